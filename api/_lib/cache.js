@@ -0,0 +1,160 @@
+import { createHash } from "node:crypto";
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// Cache kết quả CDX phía server: key = type + URL đã chuẩn hóa, có TTL.
+// Backend chọn qua CDX_CACHE_BACKEND: memory (mặc định, LRU) | file | kv | off
+// Backend nào cũng chỉ cần 2 hàm: get(key) → entry | null, set(key, entry)
+
+export function normalizeUrl(url) {
+  return String(url).trim().toLowerCase().replace(/^[a-z]+:\/\//, "").replace(/[/.]+$/, "");
+}
+
+export const cacheKey = (type, url) => `cdx:${type}:${normalizeUrl(url)}`;
+
+export function memoryBackend({ maxEntries = 500 } = {}) {
+  const map = new Map();
+  return {
+    async get(key) {
+      const entry = map.get(key);
+      if (!entry) return null;
+      map.delete(key); // LRU: vừa dùng thì đưa xuống cuối
+      map.set(key, entry);
+      return entry;
+    },
+    async set(key, entry) {
+      map.delete(key);
+      map.set(key, entry);
+      while (map.size > maxEntries) map.delete(map.keys().next().value);
+    },
+  };
+}
+
+// Mỗi entry một file. Cứ `sweepEvery` lần ghi thì dọn thư mục: xóa entry hết hạn / hỏng,
+// còn quá `maxEntries` thì xóa các entry cũ nhất, để thư mục không phình mãi
+export function fileBackend({ dir = path.join(os.tmpdir(), "cdx-cache"), maxEntries = 5000, sweepEvery = 100 } = {}) {
+  const file = (key) => path.join(dir, `${createHash("sha1").update(key).digest("hex")}.json`);
+  let writes = 0;
+
+  const readEntry = async (f) => {
+    try {
+      return JSON.parse(await fs.readFile(f, "utf8"));
+    } catch {
+      return null;
+    }
+  };
+
+  async function prune(now = Date.now()) {
+    let names;
+    try {
+      names = (await fs.readdir(dir)).filter(f => f.endsWith(".json"));
+    } catch {
+      return;
+    }
+    const kept = [];
+    for (const name of names) {
+      const f = path.join(dir, name);
+      const entry = await readEntry(f);
+      if (!entry || !(entry.expiresAt > now)) await fs.rm(f, { force: true });
+      else kept.push({ f, storedAt: entry.storedAt ?? 0 });
+    }
+    kept.sort((a, b) => a.storedAt - b.storedAt);
+    for (const { f } of kept.slice(0, Math.max(0, kept.length - maxEntries))) await fs.rm(f, { force: true });
+  }
+
+  return {
+    async get(key) {
+      return readEntry(file(key));
+    },
+    async set(key, entry) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(file(key), JSON.stringify(entry));
+      if (writes++ % sweepEvery === 0) await prune();
+    },
+    prune,
+  };
+}
+
+// KV qua REST kiểu Upstash / Vercel KV: POST ["LỆNH", ...tham số] → { result }
+export function kvCommand({ url, token }) {
+  if (!url || !token) throw new Error("KV backend cần KV_REST_API_URL và KV_REST_API_TOKEN");
+  return async (...args) => {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+      body: JSON.stringify(args),
+    });
+    if (!res.ok) throw new Error(`KV HTTP ${res.status}`);
+    return (await res.json()).result;
+  };
+}
+
+export function kvBackend({ url, token }) {
+  const command = kvCommand({ url, token });
+  return {
+    async get(key) {
+      const value = await command("GET", key);
+      return value ? JSON.parse(value) : null;
+    },
+    // Không có expiresAt thì lưu vĩnh viễn (dùng cho danh sách theo dõi)
+    async set(key, entry) {
+      const ttl = entry.expiresAt ? ["PX", Math.max(1, entry.expiresAt - Date.now())] : [];
+      await command("SET", key, JSON.stringify(entry), ...ttl);
+    },
+  };
+}
+
+// wrap() trả { data, cache: HIT | MISS | REFRESH | OFF, age (giây) }
+// Lỗi của backend chỉ ghi log, không làm hỏng request
+export function createCache({ backend, ttlMs }) {
+  return {
+    async wrap(key, loader, { refresh = false } = {}) {
+      if (!backend) return { data: await loader(), cache: "OFF", age: 0 };
+      if (!refresh) {
+        let entry = null;
+        try {
+          entry = await backend.get(key);
+        } catch (err) {
+          console.warn("Cache get lỗi:", err);
+        }
+        if (entry && entry.expiresAt > Date.now()) {
+          return { data: entry.value, cache: "HIT", age: Math.round((Date.now() - entry.storedAt) / 1000) };
+        }
+      }
+      const data = await loader();
+      const now = Date.now();
+      try {
+        await backend.set(key, { value: data, storedAt: now, expiresAt: now + ttlMs });
+      } catch (err) {
+        console.warn("Cache set lỗi:", err);
+      }
+      return { data, cache: refresh ? "REFRESH" : "MISS", age: 0 };
+    },
+  };
+}
+
+// Số ≥ 0 từ biến môi trường; trống / sai thì null để dùng mặc định (0 vẫn là giá trị hợp lệ)
+const envCount = (value) => {
+  const n = Number(value);
+  return value !== undefined && value !== "" && Number.isFinite(n) && n >= 0 ? n : null;
+};
+
+// Đọc cấu hình từ biến môi trường
+export function cacheFromEnv(env = process.env) {
+  const ttlMs = (envCount(env.CDX_CACHE_TTL) ?? 6 * 3600) * 1000; // 0 = hết hạn ngay, không dùng lại
+  const kind = (env.CDX_CACHE_BACKEND || "memory").toLowerCase();
+  const maxEntries = envCount(env.CDX_CACHE_MAX) ?? undefined;
+  let backend = null;
+  if (kind === "memory") backend = memoryBackend({ maxEntries });
+  else if (kind === "file") backend = fileBackend({ dir: env.CDX_CACHE_DIR || undefined, maxEntries });
+  else if (kind === "kv") backend = kvBackend({ url: env.KV_REST_API_URL, token: env.KV_REST_API_TOKEN });
+  return createCache({ backend, ttlMs });
+}
+
+// Tạo một lần cho mỗi instance serverless
+let shared = null;
+export function getCache(env = process.env) {
+  if (!shared) shared = cacheFromEnv(env);
+  return shared;
+}
@@ -0,0 +1,267 @@
+// Truy vấn Wayback CDX phía server — dùng chung cho /api/cdx và /api/scan
+import { ApiError, upstreamError } from "../../src/lib/errors.js";
+import { cacheKey, getCache } from "./cache.js";
+import { timeoutFetch } from "./http.js";
+
+// WAYBACK_BASE_URL trỏ sang máy chủ giả lập (mặc định https://web.archive.org)
+const waybackHost = () => (process.env.WAYBACK_BASE_URL || "https://web.archive.org").replace(/\/+$/, "");
+const cdxBase = () => `${waybackHost()}/cdx/search/cdx`;
+
+export const CDX_TYPES = ["first", "last", "stats", "status", "timeline"];
+
+// Đọc từng dòng của response dạng text, không giữ toàn bộ body trong bộ nhớ
+async function* readLines(response) {
+  const decoder = new TextDecoder();
+  let buf = "";
+  for await (const chunk of response.body) {
+    buf += decoder.decode(chunk, { stream: true });
+    let nl;
+    while ((nl = buf.indexOf("\n")) >= 0) {
+      const line = buf.slice(0, nl).trim();
+      buf = buf.slice(nl + 1);
+      if (line) yield line;
+    }
+  }
+  buf += decoder.decode();
+  if (buf.trim()) yield buf.trim();
+}
+
+// Khoảng trống ≥ ngưỡng này giữa 2 bản lưu liên tiếp thì tách thành 2 giai đoạn hoạt động
+export const GAP_THRESHOLD_DAYS = 365;
+
+const DAY_MS = 86400000;
+const tsTime = (ts) => Date.UTC(+ts.slice(0, 4), +ts.slice(4, 6) - 1, +ts.slice(6, 8));
+const tsDate = (ts) => `${ts.slice(0, 4)}-${ts.slice(4, 6)}-${ts.slice(6, 8)}`;
+
+// Đếm toàn bộ bản lưu, bản lưu khác digest và phân bổ theo năm ngay trên server,
+// kèm phân tích độ phủ: khoảng trống dài nhất, số giai đoạn, khoảng trống gần nhất trước bản lưu cuối
+async function captureStats(url, fetch) {
+  const apiUrl = `${cdxBase()}?fl=timestamp,digest&filter=statuscode:200&url=${encodeURIComponent(url)}`;
+  const response = await fetch(apiUrl);
+  if (!response.ok) throw upstreamError(response);
+
+  let total = 0;
+  const digests = new Set();
+  const perYear = new Map();
+  let firstTs = null, prevTs = null;
+  let periods = 0, longestGap = null, recentGap = null;
+  for await (const line of readLines(response)) {
+    const [timestamp, digest] = line.split(" ");
+    if (!/^\d{8}/.test(timestamp || "")) continue;
+
+    // CDX trả theo thứ tự thời gian tăng dần
+    if (prevTs === null) {
+      firstTs = timestamp;
+      periods = 1;
+    } else {
+      const days = Math.round((tsTime(timestamp) - tsTime(prevTs)) / DAY_MS);
+      const gap = { from: tsDate(prevTs), to: tsDate(timestamp), days };
+      if (!longestGap || days > longestGap.days) longestGap = gap;
+      if (days >= GAP_THRESHOLD_DAYS) {
+        periods += 1;
+        recentGap = gap;
+      }
+    }
+    prevTs = timestamp;
+
+    const year = timestamp.slice(0, 4);
+    if (!perYear.has(year)) perYear.set(year, { total: 0, digests: new Set() });
+    const y = perYear.get(year);
+    y.total += 1;
+    total += 1;
+    if (digest) {
+      y.digests.add(digest);
+      digests.add(digest);
+    }
+  }
+
+  const years = {};
+  for (const year of [...perYear.keys()].sort()) {
+    const y = perYear.get(year);
+    years[year] = { total: y.total, unique: y.digests.size };
+  }
+  return {
+    total,
+    unique: digests.size,
+    firstTs,
+    lastTs: prevTs,
+    years,
+    coverage: {
+      firstCapture: firstTs && tsDate(firstTs),
+      lastCapture: prevTs && tsDate(prevTs),
+      periods,
+      longestGap,
+      recentGap,
+      gapThresholdDays: GAP_THRESHOLD_DAYS,
+    },
+  };
+}
+
+// Lịch bản lưu cho bảng chi tiết: số bản lưu theo năm × tháng, và mỗi năm có
+// bản lưu đầu, cuối, một bản "đại diện" (bản đầu tiên mang digest gặp nhiều nhất năm đó)
+// cùng số digest khác nhau — digest đổi nghĩa là nội dung trang thật sự thay đổi
+async function captureTimeline(url, fetch) {
+  const apiUrl = `${cdxBase()}?fl=timestamp,digest&filter=statuscode:200&url=${encodeURIComponent(url)}`;
+  const response = await fetch(apiUrl);
+  if (!response.ok) throw upstreamError(response);
+
+  let total = 0;
+  const perYear = new Map();
+  for await (const line of readLines(response)) {
+    const [timestamp, digest = ""] = line.split(" ");
+    if (!/^\d{8}/.test(timestamp || "")) continue;
+    total += 1;
+    const year = timestamp.slice(0, 4);
+    if (!perYear.has(year)) perYear.set(year, { total: 0, months: {}, first: timestamp, last: timestamp, digests: new Map() });
+    const y = perYear.get(year);
+    y.total += 1;
+    const month = timestamp.slice(4, 6);
+    y.months[month] = (y.months[month] ?? 0) + 1;
+    if (timestamp < y.first) y.first = timestamp;
+    if (timestamp > y.last) y.last = timestamp;
+    // Chỉ giữ số lần gặp + bản lưu đầu của mỗi digest, không giữ từng dòng
+    const d = y.digests.get(digest);
+    if (d) d.count += 1;
+    else y.digests.set(digest, { count: 1, first: timestamp });
+  }
+
+  const years = {};
+  for (const year of [...perYear.keys()].sort()) {
+    const y = perYear.get(year);
+    let top = null;
+    for (const d of y.digests.values()) if (!top || d.count > top.count) top = d;
+    years[year] = {
+      total: y.total,
+      unique: y.digests.size,
+      months: y.months,
+      first: y.first,
+      last: y.last,
+      representative: top.first,
+    };
+  }
+  return { total, years };
+}
+
+// Số bản lưu 3xx tối đa được mở ra để đọc đích chuyển hướng (mỗi cái là 1 request tới Wayback)
+export const MAX_REDIRECT_SAMPLES = 8;
+
+const statusClass = (code) => (/^[1-5]\d\d$/.test(code) ? `${code[0]}xx` : "other");
+const bareHost = (host) => host.toLowerCase().replace(/^www\./, "").replace(/\.$/, "");
+
+// Đọc header Location của một bản lưu 3xx. Wayback trả Location dạng /web/<ts>id_/<đích>.
+// Không theo chuyển hướng, và hủy body ngay: undici giữ socket tới khi body được đọc hết hoặc bị GC
+async function redirectTarget(timestamp, original, fetch) {
+  const res = await fetch(`${waybackHost()}/web/${timestamp}id_/${original}`, { redirect: "manual" });
+  const location = res.headers.get("location");
+  await res.body?.cancel().catch(() => {});
+  if (!location) return null;
+  const m = location.match(/\/web\/\d+(?:[a-z]{2}_)?\/(.+)$/);
+  try {
+    return new URL(m ? m[1] : location, original).hostname;
+  } catch {
+    return null;
+  }
+}
+
+// Phân bổ bản lưu theo nhóm mã trạng thái (2xx/3xx/4xx/5xx) từng năm,
+// và các host đích chuyển hướng phổ biến nhất (lấy mẫu bản lưu 3xx rải đều các năm)
+async function captureStatusHistory(url, fetch) {
+  const apiUrl = `${cdxBase()}?fl=timestamp,statuscode,digest,original&url=${encodeURIComponent(url)}`;
+  const response = await fetch(apiUrl);
+  if (!response.ok) throw upstreamError(response);
+
+  let total = 0;
+  const classes = {};
+  const years = {};
+  const redirectsByYear = new Map(); // năm → các bản lưu 3xx khác digest
+  for await (const line of readLines(response)) {
+    const [timestamp, statuscode, digest, original] = line.split(" ");
+    if (!/^\d{4}/.test(timestamp || "")) continue;
+    const year = timestamp.slice(0, 4);
+    const cls = statusClass(statuscode || "");
+    total += 1;
+    classes[cls] = (classes[cls] ?? 0) + 1;
+    years[year] = years[year] || {};
+    years[year][cls] = (years[year][cls] ?? 0) + 1;
+
+    if (cls === "3xx") {
+      if (!redirectsByYear.has(year)) redirectsByYear.set(year, new Map());
+      const seen = redirectsByYear.get(year);
+      if (seen.has(digest)) seen.get(digest).captures += 1;
+      else if (seen.size < MAX_REDIRECT_SAMPLES) seen.set(digest, { timestamp, original, captures: 1 });
+    }
+  }
+
+  // Lấy mẫu xoay vòng qua các năm để năm nào có 3xx cũng được đại diện
+  const samples = [];
+  const pools = [...redirectsByYear.values()].map(m => [...m.values()]);
+  for (let i = 0; samples.length < MAX_REDIRECT_SAMPLES && pools.some(p => p.length > i); i++) {
+    for (const pool of pools) {
+      if (pool[i] && samples.length < MAX_REDIRECT_SAMPLES) samples.push(pool[i]);
+    }
+  }
+
+  const self = bareHost(url.replace(/^[a-z]+:\/\//i, "").split("/")[0]);
+  const targets = new Map();
+  await Promise.all(samples.map(async ({ timestamp, original, captures }) => {
+    let host = null;
+    try {
+      host = await redirectTarget(timestamp, original, fetch);
+    } catch (err) {
+      console.warn(`Không đọc được redirect ${timestamp} ${original}:`, err);
+    }
+    if (!host) return;
+    const key = bareHost(host);
+    const year = timestamp.slice(0, 4);
+    // captures: số bản lưu 3xx (cùng digest, cùng năm) mà mẫu này đại diện
+    const t = targets.get(key) || { host: key, captures: 0, external: key !== self, firstYear: year, lastYear: year };
+    t.captures += captures;
+    if (year < t.firstYear) t.firstYear = year;
+    if (year > t.lastYear) t.lastYear = year;
+    targets.set(key, t);
+  }));
+
+  return {
+    total,
+    classes,
+    years,
+    redirects: {
+      sampled: samples.length,
+      targets: [...targets.values()].sort((a, b) => b.captures - a.captures),
+    },
+  };
+}
+
+// Trả về đúng dữ liệu mà /api/cdx trả cho client với từng type
+// `fetch` có thể là fetch đã qua bộ giới hạn tốc độ của /api/scan; `signal` hủy mọi request của truy vấn
+export async function queryCdx(type, url, { fetch: baseFetch = timeoutFetch(), signal } = {}) {
+  const fetch = signal ? (u, init) => baseFetch(u, { ...init, signal }) : baseFetch;
+  if (type === "stats") return captureStats(url, fetch);
+  if (type === "status") return captureStatusHistory(url, fetch);
+  if (type === "timeline") return captureTimeline(url, fetch);
+
+  let apiUrl = "";
+  if (type === "first") {
+    apiUrl = `${cdxBase()}?output=json&filter=statuscode:200&fl=timestamp&collapse=digest&limit=1&sort=ascending&url=${encodeURIComponent(url)}`;
+  } else if (type === "last") {
+    apiUrl = `${cdxBase()}?output=json&filter=statuscode:200&fl=timestamp&collapse=digest&limit=1&sort=descending&url=${encodeURIComponent(url)}`;
+  } else {
+    throw new ApiError(`Invalid type: ${type}`, { code: "invalid_param", status: 400 });
+  }
+
+  const response = await fetch(apiUrl);
+  if (!response.ok) throw upstreamError(response);
+  try {
+    return await response.json();
+  } catch (e) {
+    if (e?.name === "TimeoutError") throw e;
+    // Wayback đôi khi trả trang HTML lỗi kèm mã 200
+    throw new ApiError("Invalid CDX response", { code: "upstream_invalid", status: 502, upstreamStatus: response.status, retryable: true });
+  }
+}
+
+// Như queryCdx nhưng qua cache; `refresh` bỏ qua bản đã cache và ghi đè
+// Trả { data, cache: HIT | MISS | REFRESH | OFF, age }
+export function cachedQueryCdx(type, url, { fetch, signal, refresh = false } = {}) {
+  return getCache().wrap(cacheKey(type, url), () => queryCdx(type, url, { fetch, signal }), { refresh });
+}
@@ -0,0 +1,120 @@
+// Phần dùng chung của các endpoint /api/*: trả lỗi có cấu trúc, khóa API, giới hạn theo client,
+// kiểm tra tham số miền và timeout khi gọi upstream
+import { createHash, timingSafeEqual } from "node:crypto";
+import { ApiError, toApiError } from "../../src/lib/errors.js";
+import { normalizeDomain } from "../../src/lib/domains.js";
+
+export const envNumber = (name, def) => {
+  const n = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(n) && n >= 0 ? n : def;
+};
+
+// Body lỗi: { error, code, upstreamStatus, retryable }; upstream báo Retry-After thì chuyển tiếp cho client
+export function sendError(res, err) {
+  const e = toApiError(err);
+  if (e.status >= 500 && e.code === "internal") console.error(err);
+  if (e.retryAfterMs) res.setHeader("Retry-After", String(Math.ceil(e.retryAfterMs / 1000)));
+  res.status(e.status).json(e.toJSON());
+}
+
+// AbortSignal.any chỉ có từ Node 20.3; CLI vẫn chạy trên Node 18 nên tự gộp khi thiếu.
+// Giữ nguyên `reason` của tín hiệu hủy trước (TimeoutError → upstream_timeout)
+export function anySignal(signals) {
+  if (typeof AbortSignal.any === "function") return AbortSignal.any(signals);
+  const controller = new AbortController();
+  const done = signals.find(s => s.aborted);
+  if (done) {
+    controller.abort(done.reason);
+    return controller.signal;
+  }
+  const onAbort = (e) => {
+    for (const s of signals) s.removeEventListener("abort", onAbort);
+    controller.abort(e.target.reason);
+  };
+  for (const s of signals) s.addEventListener("abort", onAbort);
+  return controller.signal;
+}
+
+// fetch tự hủy sau UPSTREAM_TIMEOUT_MS (mặc định 60s, tính cả thời gian đọc body).
+// Dùng làm fetchImpl của scheduler để đồng hồ chỉ chạy khi request thật sự được gửi đi
+export function timeoutFetch(ms = envNumber("UPSTREAM_TIMEOUT_MS", 60000)) {
+  return (url, init = {}) => {
+    if (!ms) return globalThis.fetch(url, init);
+    const timeout = AbortSignal.timeout(ms);
+    const signal = init.signal ? anySignal([init.signal, timeout]) : timeout;
+    return globalThis.fetch(url, { ...init, signal });
+  };
+}
+
+// Tham số miền dùng đúng luật tách miền của ô nhập (chế độ hostname: giữ nguyên subdomain)
+export const MAX_PARAM_LENGTH = 2048;
+
+export function domainParam(value, name = "url") {
+  if (!value) throw new ApiError(`Missing ${name} param`, { code: "invalid_param", status: 400 });
+  if (Array.isArray(value) || value.length > MAX_PARAM_LENGTH) {
+    throw new ApiError(`Invalid ${name} param`, { code: "invalid_param", status: 400 });
+  }
+  const { domain, reason } = normalizeDomain(value, { mode: "hostname" });
+  if (!domain) throw new ApiError(`Invalid ${name} param: ${reason}`, { code: "invalid_param", status: 400 });
+  return domain;
+}
+
+const sha256 = (s) => createHash("sha256").update(String(s)).digest();
+
+// So sánh bí mật không lộ thời gian (băm trước để hai bên luôn cùng độ dài)
+export const safeEqual = (given, expected) => timingSafeEqual(sha256(given), sha256(expected));
+
+// API_KEY đặt thì mọi request phải gửi header X-Api-Key trùng khớp.
+// Không nhận ?key=: khóa nằm trong URL sẽ lộ ra log truy cập, log proxy và lịch sử trình duyệt
+function checkApiKey(req) {
+  const expected = process.env.API_KEY;
+  if (!expected) return;
+  const given = req.headers["x-api-key"] || "";
+  if (!safeEqual(given, expected)) {
+    throw new ApiError("Invalid or missing API key", { code: "unauthorized", status: 401 });
+  }
+}
+
+// Giới hạn số request mỗi phút cho từng client (theo IP), cửa sổ trượt đơn giản trong bộ nhớ.
+// Trên serverless mỗi instance đếm riêng — đủ để chặn một client dội request, không phải hạn mức chính xác
+const RATE_WINDOW_MS = 60000;
+const MAX_TRACKED_CLIENTS = 10000;
+const hits = new Map();
+
+const clientId = (req) =>
+  String(req.headers["x-forwarded-for"] || "").split(",")[0].trim() || req.socket?.remoteAddress || "unknown";
+
+function checkRateLimit(req) {
+  const limit = envNumber("API_RATE_LIMIT", 600);
+  if (!limit) return;
+  const now = Date.now();
+  const id = clientId(req);
+  const recent = (hits.get(id) || []).filter(t => now - t < RATE_WINDOW_MS);
+  if (recent.length >= limit) {
+    hits.set(id, recent);
+    throw new ApiError("Too many requests", {
+      code: "rate_limited",
+      status: 429,
+      retryable: true,
+      retryAfterMs: RATE_WINDOW_MS - (now - recent[0]),
+    });
+  }
+  recent.push(now);
+  hits.delete(id); // đưa xuống cuối Map để phần tử đầu luôn là client lâu không gọi nhất
+  hits.set(id, recent);
+  if (hits.size > MAX_TRACKED_CLIENTS) hits.delete(hits.keys().next().value);
+}
+
+// Gọi đầu mỗi handler; trả false nếu đã trả lỗi cho client
+export function guard(req, res, { rateLimit = true } = {}) {
+  try {
+    checkApiKey(req);
+    if (rateLimit) checkRateLimit(req);
+    return true;
+  } catch (e) {
+    sendError(res, e);
+    return false;
+  }
+}
+
+export const isFlag = (v) => v === "1" || v === "true";
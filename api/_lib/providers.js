@@ -0,0 +1,19 @@
+// Tra các nguồn lưu trữ khác Wayback phía server, có cache — dùng chung cho /api/provider và /api/scan
+import { lookupProvider } from "../../src/lib/providers.js";
+import { cacheKey, getCache } from "./cache.js";
+import { timeoutFetch } from "./http.js";
+
+// Địa chỉ gốc của từng nguồn, để trống thì dùng địa chỉ thật
+export function providerBases(env = process.env) {
+  return {
+    wayback: env.WAYBACK_BASE_URL || undefined,
+    commoncrawl: env.COMMONCRAWL_INDEX_URL || undefined,
+    archivetoday: env.ARCHIVE_TODAY_URL || undefined,
+  };
+}
+
+// Trả { data, cache: HIT | MISS | REFRESH | OFF, age } như cachedQueryCdx
+export function cachedLookup(id, url, { fetch = timeoutFetch(), signal, refresh = false } = {}) {
+  const baseUrl = providerBases()[id];
+  return getCache().wrap(cacheKey(`provider:${id}`, url), () => lookupProvider(id, url, { fetch, baseUrl, signal }), { refresh });
+}
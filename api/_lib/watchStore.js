@@ -0,0 +1,194 @@
+// Lưu trữ danh sách theo dõi, tách theo từng miền để các lượt chạy chồng nhau không ghi đè lẫn nhau:
+// - cấu hình miền { domain, intervalHours, addedAt } chỉ do thêm/xóa ghi
+// - trạng thái kiểm tra { lastCheckedAt, nextCheckAt, snapshot, error, lastChangeAt } chỉ do lượt kiểm tra ghi
+// - nhật ký thay đổi là danh sách chỉ thêm vào đầu (giữ tối đa `maxChanges` mục)
+// - khóa lượt kiểm tra (có hạn) để cron và "Kiểm tra ngay" không cùng quét một lúc
+// Backend: kv (Redis qua REST, dùng khi deploy) | file (chạy local) | memory
+import { createHash, randomUUID } from "node:crypto";
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { kvCommand } from "./cache.js";
+
+const chunks = (list, size) => {
+  const out = [];
+  for (let i = 0; i < list.length; i += size) out.push(list.slice(i, i + size));
+  return out;
+};
+
+export function kvWatchStore({ url, token, prefix = "watchlist", maxChanges }) {
+  const command = kvCommand({ url, token });
+  const key = (kind, domain) => `${prefix}:${kind}:${domain}`;
+  const DOMAINS = `${prefix}:domains`, CHANGES = `${prefix}:changes`, LOCK = `${prefix}:lock`;
+  const parse = (v) => (v ? JSON.parse(v) : null);
+  return {
+    async domains() {
+      return (await command("SMEMBERS", DOMAINS)) || [];
+    },
+    async getItems(domains) {
+      const out = [];
+      for (const part of chunks(domains, 100)) {
+        const values = await command("MGET", ...part.flatMap(d => [key("item", d), key("state", d)]));
+        part.forEach((domain, i) => out.push({ domain, item: parse(values[i * 2]), state: parse(values[i * 2 + 1]) }));
+      }
+      return out;
+    },
+    async addItem(domain, item, state) {
+      await command("SET", key("item", domain), JSON.stringify(item));
+      await command("SET", key("state", domain), JSON.stringify(state), "NX"); // miền đã có thì giữ trạng thái cũ
+      await command("SADD", DOMAINS, domain);
+    },
+    async removeItem(domain) {
+      await command("SREM", DOMAINS, domain);
+      await command("DEL", key("item", domain), key("state", domain));
+    },
+    // Miền đã bị xóa trong lúc quét thì bỏ qua
+    async setState(domain, state) {
+      if (!(await command("SISMEMBER", DOMAINS, domain))) return false;
+      await command("SET", key("state", domain), JSON.stringify(state));
+      return true;
+    },
+    async pushChanges(events) {
+      if (events.length === 0) return;
+      // LPUSH đẩy lần lượt vào đầu danh sách → đảo lại để events[0] nằm đầu
+      await command("LPUSH", CHANGES, ...[...events].reverse().map(e => JSON.stringify(e)));
+      await command("LTRIM", CHANGES, 0, maxChanges - 1);
+    },
+    async changes() {
+      return ((await command("LRANGE", CHANGES, 0, -1)) || []).map(parse);
+    },
+    async lock(ttlMs) {
+      const token = randomUUID();
+      return (await command("SET", LOCK, token, "NX", "PX", Math.max(1, Math.round(ttlMs)))) ? token : null;
+    },
+    async unlock(token) {
+      if ((await command("GET", LOCK)) === token) await command("DEL", LOCK);
+    },
+  };
+}
+
+export function memoryWatchStore({ maxChanges }) {
+  const items = new Map(), states = new Map();
+  let changes = [];
+  let lock = null; // { token, until }
+  return {
+    async domains() { return [...items.keys()]; },
+    async getItems(domains) {
+      return domains.map(domain => ({ domain, item: items.get(domain) ?? null, state: states.get(domain) ?? null }));
+    },
+    async addItem(domain, item, state) {
+      items.set(domain, item);
+      if (!states.has(domain)) states.set(domain, state);
+    },
+    async removeItem(domain) {
+      items.delete(domain);
+      states.delete(domain);
+    },
+    async setState(domain, state) {
+      if (!items.has(domain)) return false;
+      states.set(domain, state);
+      return true;
+    },
+    async pushChanges(events) { changes = [...events, ...changes].slice(0, maxChanges); },
+    async changes() { return changes; },
+    async lock(ttlMs) {
+      if (lock && lock.until > Date.now()) return null;
+      lock = { token: randomUUID(), until: Date.now() + ttlMs };
+      return lock.token;
+    },
+    async unlock(token) { if (lock?.token === token) lock = null; },
+  };
+}
+
+// Mỗi miền một file (ghi ra file tạm rồi rename nên không bao giờ đọc phải file ghi dở),
+// mỗi thay đổi một file; khóa là file tạo bằng cờ "wx" (chỉ một tiến trình tạo được)
+export function fileWatchStore({ dir = path.join(os.tmpdir(), "watchlist"), maxChanges }) {
+  const hash = (domain) => createHash("sha1").update(domain).digest("hex");
+  const file = (kind, domain) => path.join(dir, kind, `${hash(domain)}.json`);
+  const lockFile = path.join(dir, "check.lock");
+
+  const readJson = async (f) => {
+    try {
+      return JSON.parse(await fs.readFile(f, "utf8"));
+    } catch {
+      return null;
+    }
+  };
+  const writeJson = async (f, value) => {
+    await fs.mkdir(path.dirname(f), { recursive: true });
+    const tmp = `${f}.${randomUUID()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(value));
+    await fs.rename(tmp, f);
+  };
+  const list = async (sub) => {
+    try {
+      return (await fs.readdir(path.join(dir, sub))).filter(f => f.endsWith(".json"));
+    } catch {
+      return [];
+    }
+  };
+
+  return {
+    async domains() {
+      const entries = await Promise.all((await list("item")).map(f => readJson(path.join(dir, "item", f))));
+      return entries.filter(Boolean).map(it => it.domain);
+    },
+    async getItems(domains) {
+      return Promise.all(domains.map(async domain => ({
+        domain,
+        item: await readJson(file("item", domain)),
+        state: await readJson(file("state", domain)),
+      })));
+    },
+    async addItem(domain, item, state) {
+      try {
+        await fs.mkdir(path.join(dir, "state"), { recursive: true });
+        await fs.writeFile(file("state", domain), JSON.stringify(state), { flag: "wx" });
+      } catch (err) {
+        if (err.code !== "EEXIST") throw err;
+      }
+      await writeJson(file("item", domain), item);
+    },
+    async removeItem(domain) {
+      await fs.rm(file("item", domain), { force: true });
+      await fs.rm(file("state", domain), { force: true });
+    },
+    async setState(domain, state) {
+      if (!(await readJson(file("item", domain)))) return false;
+      await writeJson(file("state", domain), state);
+      return true;
+    },
+    async pushChanges(events) {
+      // Tên file theo thời gian (đệm số 0) nên sắp xếp tên là sắp xếp thời gian
+      await Promise.all(events.map(e =>
+        writeJson(path.join(dir, "changes", `${String(e.at).padStart(15, "0")}-${hash(e.domain)}.json`), e)
+      ));
+      const names = (await list("changes")).sort().reverse();
+      await Promise.all(names.slice(maxChanges).map(f => fs.rm(path.join(dir, "changes", f), { force: true })));
+    },
+    async changes() {
+      const names = (await list("changes")).sort().reverse().slice(0, maxChanges);
+      return (await Promise.all(names.map(f => readJson(path.join(dir, "changes", f))))).filter(Boolean);
+    },
+    async lock(ttlMs) {
+      await fs.mkdir(dir, { recursive: true });
+      const token = randomUUID();
+      for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+          await fs.writeFile(lockFile, JSON.stringify({ token, until: Date.now() + ttlMs }), { flag: "wx" });
+          return token;
+        } catch (err) {
+          if (err.code !== "EEXIST") throw err;
+          // Khóa quá hạn (tiến trình trước chết giữa chừng) thì gỡ rồi thử lại một lần
+          const held = await readJson(lockFile);
+          if (held && held.until > Date.now()) return null;
+          await fs.rm(lockFile, { force: true });
+        }
+      }
+      return null;
+    },
+    async unlock(token) {
+      if ((await readJson(lockFile))?.token === token) await fs.rm(lockFile, { force: true });
+    },
+  };
+}
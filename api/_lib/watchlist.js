@@ -0,0 +1,148 @@
+// Danh sách theo dõi phía server: lưu trữ, kiểm tra lại các miền tới hạn, ghi thay đổi và gọi webhook.
+// Backend chọn qua WATCHLIST_BACKEND: kv | file | memory (xem watchStore.js). Không đặt thì dùng kv khi có
+// KV_REST_API_URL, còn lại là file. Trên Vercel /tmp không giữ lại giữa các lần gọi nên bắt buộc kv
+import { createHmac } from "node:crypto";
+import { ApiError } from "../../src/lib/errors.js";
+import { scanDomainsParallel } from "../../src/lib/scanner.js";
+import { createScheduler } from "../../src/lib/scheduler.js";
+import { diffSnapshot, watchSnapshot } from "../../src/lib/watchlist.js";
+import { fileWatchStore, kvWatchStore, memoryWatchStore } from "./watchStore.js";
+import { cachedQueryCdx } from "./cdx.js";
+import { providerBases } from "./providers.js";
+import { timeoutFetch } from "./http.js";
+
+export const MAX_CHANGES = 1000;
+
+export function createWatchStore(env = process.env) {
+  const kind = (env.WATCHLIST_BACKEND || (env.KV_REST_API_URL ? "kv" : "file")).toLowerCase();
+  if (kind === "kv") {
+    return kvWatchStore({ url: env.KV_REST_API_URL, token: env.KV_REST_API_TOKEN, maxChanges: MAX_CHANGES });
+  }
+  if (env.VERCEL) {
+    throw new ApiError("Watchlist needs a KV store on Vercel: set KV_REST_API_URL and KV_REST_API_TOKEN", {
+      code: "watchlist_storage",
+      status: 503,
+    });
+  }
+  if (kind === "memory") return memoryWatchStore({ maxChanges: MAX_CHANGES });
+  return fileWatchStore({ dir: env.WATCHLIST_DIR || undefined, maxChanges: MAX_CHANGES });
+}
+
+let shared = null;
+const getStore = () => (shared ??= createWatchStore());
+
+// Gộp cấu hình + trạng thái của từng miền thành một mục như giao diện hiển thị
+export async function loadItems(store = getStore()) {
+  const entries = await store.getItems(await store.domains());
+  return entries
+    .filter(e => e.item)
+    .map(e => ({ lastCheckedAt: null, nextCheckAt: null, snapshot: null, error: null, ...e.state, ...e.item }))
+    .sort((a, b) => a.addedAt - b.addedAt || a.domain.localeCompare(b.domain));
+}
+
+// Thay đổi mới nhất trước; `since` (ms) lọc các mục mới hơn
+export async function loadChanges({ since = 0, store = getStore() } = {}) {
+  return (await store.changes()).filter(c => c.at > since);
+}
+
+// Thêm miền (miền đã có thì chỉ đổi chu kỳ, giữ trạng thái kiểm tra); kiểm tra ngay ở lượt cron kế tiếp
+export async function addItems(domains, intervalHours, {
+  max = Number(process.env.WATCHLIST_MAX) || 500,
+  store = getStore(),
+} = {}) {
+  const existing = new Map((await store.getItems(await store.domains())).filter(e => e.item).map(e => [e.domain, e.item]));
+  const added = domains.filter(d => !existing.has(d));
+  if (existing.size + added.length > max) {
+    throw new ApiError(`Watchlist is limited to ${max} domains`, { code: "limit_exceeded", status: 400 });
+  }
+  const now = Date.now();
+  for (const domain of domains) {
+    const item = { domain, intervalHours, addedAt: existing.get(domain)?.addedAt ?? now };
+    await store.addItem(domain, item, { lastCheckedAt: null, nextCheckAt: now, snapshot: null, error: null });
+  }
+  return loadItems(store);
+}
+
+export async function removeItem(domain, { store = getStore() } = {}) {
+  await store.removeItem(domain);
+  return loadItems(store);
+}
+
+// WATCHLIST_WEBHOOK_URL nhận POST JSON { type, at, changes }; có WATCHLIST_WEBHOOK_SECRET thì
+// ký body bằng HMAC-SHA256 trong header X-Signature ("sha256=<hex>")
+export async function sendWebhook(events, env = process.env) {
+  if (!env.WATCHLIST_WEBHOOK_URL || events.length === 0) return null;
+  const body = JSON.stringify({ type: "watchlist.changes", at: new Date().toISOString(), changes: events });
+  const headers = { "Content-Type": "application/json", "User-Agent": "archive-checker-watchlist" };
+  if (env.WATCHLIST_WEBHOOK_SECRET) {
+    headers["X-Signature"] = `sha256=${createHmac("sha256", env.WATCHLIST_WEBHOOK_SECRET).update(body).digest("hex")}`;
+  }
+  try {
+    const res = await fetch(env.WATCHLIST_WEBHOOK_URL, { method: "POST", headers, body, signal: AbortSignal.timeout(10000) });
+    return { ok: res.ok, status: res.status };
+  } catch (err) {
+    console.warn("Webhook lỗi:", err);
+    return { ok: false, error: String(err?.message || err) };
+  }
+}
+
+// Một lượt kiểm tra: quét các miền đã tới hạn (hoặc `only` nếu chỉ định), so với lần trước,
+// ghi thay đổi và gọi webhook. `budgetMs`: hết giờ thì hủy, miền chưa xong để lượt sau.
+// Chỉ một lượt chạy tại một thời điểm; lượt khác đang chạy thì báo lỗi check_running (409)
+export async function runChecks({
+  only = null, budgetMs = 240000, now = Date.now(), store = getStore(), concurrency = 3, rps = 2,
+} = {}) {
+  const lock = await store.lock(budgetMs + 60000);
+  if (!lock) throw new ApiError("Another watchlist check is running", { code: "check_running", status: 409 });
+  try {
+    return await checkDue({ only, budgetMs, now, store, concurrency, rps });
+  } finally {
+    await store.unlock(lock);
+  }
+}
+
+async function checkDue({ only, budgetMs, now, store, concurrency, rps }) {
+  const items = await loadItems(store);
+  const due = items.filter(it => (only ? only.includes(it.domain) : (it.nextCheckAt ?? 0) <= now));
+  if (due.length === 0) return { checked: 0, due: 0, changes: [], webhook: null };
+
+  const results = new Map();
+  await scanDomainsParallel(due.map(it => it.domain), {
+    signal: AbortSignal.timeout(budgetMs),
+    scheduler: createScheduler({ concurrency, rps, fetchImpl: timeoutFetch() }),
+    // Luôn lấy dữ liệu mới, không dùng bản CDX đã cache
+    cdx: (type, domain, opts) => cachedQueryCdx(type, domain, { ...opts, refresh: true }),
+    providers: ["wayback"],
+    bases: providerBases(),
+    onRow: (index, row) => { if (row.status !== "checking") results.set(due[index].domain, row); },
+  });
+
+  const checkedAt = Date.now();
+  const events = [];
+  // Chỉ ghi trạng thái của từng miền vừa quét; chu kỳ đọc lại vì có thể vừa được đổi trong lúc quét
+  const latest = new Map((await store.getItems([...results.keys()])).map(e => [e.domain, e]));
+  for (const [domain, row] of results) {
+    const { item, state } = latest.get(domain) || {};
+    if (!item) continue; // đã bị xóa trong lúc quét
+    const next = {
+      ...state,
+      lastCheckedAt: checkedAt,
+      nextCheckAt: checkedAt + item.intervalHours * 3600000,
+    };
+    if (row.status === "error") {
+      next.error = row.errorMsg || "error"; // giữ ảnh chụp cũ để lần sau vẫn so được
+    } else {
+      const snapshot = watchSnapshot(row);
+      const changes = diffSnapshot(state?.snapshot, snapshot);
+      if (changes.length) {
+        events.push({ id: `${checkedAt}-${domain}`, at: checkedAt, domain, changes, snapshot });
+        next.lastChangeAt = checkedAt;
+      }
+      next.snapshot = snapshot;
+      next.error = null;
+    }
+    await store.setState(domain, next);
+  }
+  await store.pushChanges(events);
+  return { checked: results.size, due: due.length, changes: events, webhook: await sendWebhook(events) };
+}
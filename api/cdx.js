@@ -1,23 +1,19 @@
-export default async function handler(req, res) {
-  const { url, type = "first" } = req.query;
-  if (!url) return res.status(400).json({ error: "Missing url param" });
+import { ApiError } from "../src/lib/errors.js";
+import { CDX_TYPES, cachedQueryCdx } from "./_lib/cdx.js";
+import { domainParam, guard, isFlag, sendError } from "./_lib/http.js";
 
-  let apiUrl = "";
-  if (type === "first") {
-    apiUrl = `https://web.archive.org/cdx/search/cdx?output=json&filter=statuscode:200&fl=timestamp&collapse=digest&limit=1&sort=ascending&url=${encodeURIComponent(url)}`;
-  } else if (type === "last") {
-    apiUrl = `https://web.archive.org/cdx/search/cdx?output=json&filter=statuscode:200&fl=timestamp&collapse=digest&limit=1&sort=descending&url=${encodeURIComponent(url)}`;
-  } else if (type === "year") {
-    apiUrl = `https://web.archive.org/cdx/search/cdx?output=json&fl=timestamp&collapse=timestamp:4&filter=statuscode:200&url=${encodeURIComponent(url)}`;
-  } else {
-    return res.status(400).json({ error: "Invalid type param" });
-  }
+export default async function handler(req, res) {
+  if (!guard(req, res)) return;
+  const { url, type = "first", refresh } = req.query;
 
   try {
-    const response = await fetch(apiUrl);
-    const data = await response.json();
+    const domain = domainParam(url);
+    if (!CDX_TYPES.includes(type)) throw new ApiError("Invalid type param", { code: "invalid_param", status: 400 });
+    const { data, cache, age } = await cachedQueryCdx(type, domain, { refresh: isFlag(refresh) });
+    res.setHeader("X-Cache", cache);
+    res.setHeader("Age", String(age));
     res.status(200).json(data);
   } catch (e) {
-    res.status(500).json({ error: "Fetch failed", details: String(e) });
+    sendError(res, e);
   }
 }
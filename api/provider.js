@@ -0,0 +1,23 @@
+import { ApiError } from "../src/lib/errors.js";
+import { PROVIDER_IDS } from "../src/lib/providers.js";
+import { cachedLookup } from "./_lib/providers.js";
+import { domainParam, guard, isFlag, sendError } from "./_lib/http.js";
+
+// GET /api/provider?id=commoncrawl|archivetoday&url=… — Wayback dùng /api/cdx
+export default async function handler(req, res) {
+  if (!guard(req, res)) return;
+  const { id, url, refresh } = req.query;
+
+  try {
+    const domain = domainParam(url);
+    if (!PROVIDER_IDS.includes(id) || id === "wayback") {
+      throw new ApiError("Invalid id param", { code: "invalid_param", status: 400 });
+    }
+    const { data, cache, age } = await cachedLookup(id, domain, { refresh: isFlag(refresh) });
+    res.setHeader("X-Cache", cache);
+    res.setHeader("Age", String(age));
+    res.status(200).json(data);
+  } catch (e) {
+    sendError(res, e);
+  }
+}
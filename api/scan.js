@@ -0,0 +1,92 @@
+import { extractDomainsFromText, scanDomainsParallel } from "../src/lib/scanner.js";
+import { createScheduler } from "../src/lib/scheduler.js";
+import { normalizeProviders } from "../src/lib/providers.js";
+import { cachedQueryCdx } from "./_lib/cdx.js";
+import { cachedLookup, providerBases } from "./_lib/providers.js";
+import { anySignal, envNumber, guard, sendError, timeoutFetch } from "./_lib/http.js";
+import { ApiError, toApiError } from "../src/lib/errors.js";
+
+// POST /api/scan — quét cả danh sách trên server, trả kết quả từng miền theo luồng
+// Body: { domains: string[] | string, concurrency?, rps?, refresh? (bỏ qua cache CDX),
+//         providers?: ["wayback", "commoncrawl", "archivetoday"] (mặc định chỉ wayback) }
+// Mặc định NDJSON; gửi Accept: text/event-stream (hoặc format: "sse") để nhận Server-Sent Events.
+// Hết SCAN_BUDGET_MS (trước khi Vercel cắt hàm ở maxDuration) thì dừng và gửi
+// done { partial: true, remaining: [chỉ số miền chưa xong] } để client quét tiếp đợt sau.
+// Quét gắn với kết nối: client đóng tab / mất mạng là dừng, kết quả không được lưu trên server
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return sendError(res, new ApiError("Method not allowed", { code: "method_not_allowed", status: 405 }));
+  }
+  if (!guard(req, res)) return;
+
+  const body = typeof req.body === "string" ? { domains: req.body } : (req.body || {});
+  const input = Array.isArray(body.domains) ? body.domains.join("\n") : String(body.domains ?? "");
+  // Client đã chọn chế độ tách miền; server giữ nguyên hostname được gửi lên
+  const domains = extractDomainsFromText(input, { mode: "hostname" });
+  if (domains.length === 0) return sendError(res, new ApiError("No valid domains", { code: "invalid_param", status: 400 }));
+
+  const sse = body.format === "sse" || String(req.headers.accept || "").includes("text/event-stream");
+  res.writeHead(200, {
+    "Content-Type": sse ? "text/event-stream; charset=utf-8" : "application/x-ndjson; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    "X-Accel-Buffering": "no",
+  });
+  const send = (event) => {
+    if (res.writableEnded) return;
+    res.write(sse
+      ? `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`
+      : `${JSON.stringify(event)}\n`);
+  };
+
+  // Client ngắt kết nối thì dừng quét, không gọi archive.org vô ích; hết thời gian thì dừng để trả phần còn lại
+  const controller = new AbortController();
+  res.on("close", () => controller.abort());
+  const budget = new AbortController();
+  const budgetMs = envNumber("SCAN_BUDGET_MS", 240000);
+  const timer = budgetMs ? setTimeout(() => budget.abort(), budgetMs) : null;
+  const signal = anySignal([controller.signal, budget.signal]);
+  const finished = new Set();
+
+  const num = (v, def, min, max) => Number.isFinite(Number(v)) ? Math.min(max, Math.max(min, Number(v))) : def;
+  let stats = { done: 0, total: domains.length, errors: 0, avg: 0 };
+
+  // Số liệu tốc độ gửi tối đa 1 lần/giây, riêng sự kiện throttle thì gửi ngay
+  let lastRate = 0, lastThrottles = 0;
+  const scheduler = createScheduler({
+    concurrency: num(body.concurrency, 5, 1, 20),
+    rps: num(body.rps, 3, 0.2, 20),
+    fetchImpl: timeoutFetch(),
+    onStats: (rate) => {
+      const now = Date.now();
+      if (now - lastRate < 1000 && rate.throttleEvents === lastThrottles) return;
+      lastRate = now;
+      lastThrottles = rate.throttleEvents;
+      send({ type: "rate", ...rate });
+    },
+  });
+
+  const providers = normalizeProviders(body.providers);
+  send({ type: "start", total: domains.length, domains, providers });
+  try {
+    await scanDomainsParallel(domains, {
+      signal,
+      scheduler,
+      cdx: (type, domain, opts) => cachedQueryCdx(type, domain, { ...opts, refresh: Boolean(body.refresh) }),
+      providers,
+      lookup: async (id, domain, opts) => (await cachedLookup(id, domain, { ...opts, refresh: Boolean(body.refresh) })).data,
+      bases: providerBases(),
+      onRow: (index, row) => {
+        if (row.status !== "checking") finished.add(index);
+        send({ type: "row", index, domain: domains[index], ...row });
+      },
+      onStats: (s) => { stats = s; send({ type: "stats", ...s }); },
+    });
+    const remaining = domains.map((_, i) => i).filter(i => !finished.has(i));
+    send(remaining.length ? { type: "done", ...stats, partial: true, remaining } : { type: "done", ...stats });
+  } catch (e) {
+    send({ type: "error", ...toApiError(e).toJSON() });
+  }
+  clearTimeout(timer);
+  res.end();
+}
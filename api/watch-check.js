@@ -0,0 +1,28 @@
+import { runChecks } from "./_lib/watchlist.js";
+import { guard, safeEqual, sendError } from "./_lib/http.js";
+import { ApiError } from "../src/lib/errors.js";
+
+// Lượt kiểm tra danh sách theo dõi — Vercel Cron gọi GET theo lịch trong vercel.json,
+// giao diện gọi POST ("Kiểm tra ngay"). Chỉ quét các miền đã tới hạn; ?domain=a.com,b.com để ép quét
+
+// Vercel gửi "Authorization: Bearer <CRON_SECRET>" khi biến này được đặt
+const fromCron = (req) => {
+  const secret = process.env.CRON_SECRET;
+  return Boolean(secret) && safeEqual(req.headers.authorization || "", `Bearer ${secret}`);
+};
+
+export default async function handler(req, res) {
+  // Trên Vercel endpoint này công khai: thiếu CRON_SECRET thì ai cũng kích được một lượt quét kèm webhook
+  if (process.env.VERCEL && !process.env.CRON_SECRET) {
+    return sendError(res, new ApiError("CRON_SECRET is not set", { code: "cron_secret_missing", status: 503 }));
+  }
+  if (!fromCron(req) && !guard(req, res)) return;
+
+  try {
+    const only = req.query.domain ? String(req.query.domain).split(",").map(s => s.trim().toLowerCase()).filter(Boolean) : null;
+    const result = await runChecks({ only, budgetMs: Number(process.env.WATCHLIST_BUDGET_MS) || 240000 });
+    res.status(200).json(result);
+  } catch (e) {
+    sendError(res, e);
+  }
+}
@@ -0,0 +1,34 @@
+import { ApiError } from "../src/lib/errors.js";
+import { extractDomainsFromText } from "../src/lib/scanner.js";
+import { clampInterval } from "../src/lib/watchlist.js";
+import { addItems, loadChanges, loadItems, removeItem } from "./_lib/watchlist.js";
+import { domainParam, guard, sendError } from "./_lib/http.js";
+
+// GET    /api/watchlist[?since=<ms>]            → { items, changes } (thay đổi mới nhất trước)
+// POST   /api/watchlist { domains, intervalHours } → { items }
+// DELETE /api/watchlist?domain=<domain>          → { items }
+export default async function handler(req, res) {
+  if (!guard(req, res)) return;
+
+  try {
+    if (req.method === "GET") {
+      const since = Number(req.query.since) || 0;
+      const [items, changes] = await Promise.all([loadItems(), loadChanges({ since })]);
+      return res.status(200).json({ items, changes });
+    }
+    if (req.method === "POST") {
+      const body = req.body || {};
+      const input = Array.isArray(body.domains) ? body.domains.join("\n") : String(body.domains ?? "");
+      const domains = extractDomainsFromText(input, { mode: "hostname" });
+      if (domains.length === 0) throw new ApiError("No valid domains", { code: "invalid_param", status: 400 });
+      return res.status(200).json({ items: await addItems(domains, clampInterval(body.intervalHours)) });
+    }
+    if (req.method === "DELETE") {
+      return res.status(200).json({ items: await removeItem(domainParam(req.query.domain, "domain")) });
+    }
+    res.setHeader("Allow", "GET, POST, DELETE");
+    throw new ApiError("Method not allowed", { code: "method_not_allowed", status: 405 });
+  } catch (e) {
+    sendError(res, e);
+  }
+}
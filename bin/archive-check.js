@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+// archive-check — quét danh sách miền từ dòng lệnh (cron, pipeline shell), cùng bộ máy với giao diện web
+import { readFile } from "node:fs/promises";
+import { parseArgs } from "node:util";
+import { parseDomainInput, scanDomainsParallel, EMPTY_ENRICH } from "../src/lib/scanner.js";
+import { createScheduler } from "../src/lib/scheduler.js";
+import { normalizeProviders } from "../src/lib/providers.js";
+import { DEFAULT_PRESET, evaluateRow, validatePreset } from "../src/lib/scoring.js";
+import { COLUMN_KEYS, resolveColumns, toRecord, csvHeader, csvLine } from "../src/lib/exportColumns.js";
+import { cachedQueryCdx } from "../api/_lib/cdx.js";
+import { cachedLookup, providerBases } from "../api/_lib/providers.js";
+import { timeoutFetch } from "../api/_lib/http.js";
+
+// 0: quét xong mọi miền • 1: lỗi tham số / không chạy được • 2: có miền bị lỗi
+const EXIT_OK = 0, EXIT_FATAL = 1, EXIT_PARTIAL = 2;
+
+const HELP = `Usage: archive-check [options] [file ...]
+
+Reads domains (any text: URLs, emails, CSV cells…) from the given files, or stdin
+when no file or "-" is given, and writes one result per domain to stdout.
+
+Options:
+  -f, --format <csv|json|ndjson>  Output format (default: csv). ndjson streams rows as they finish.
+  -c, --concurrency <n>           Domains in flight, 1–20 (default: 5)
+      --rps <n>                   Request budget per second, 0.2–20 (default: 3)
+      --retries <n>               Extra attempts for a domain that errors, 0–5 (default: 1)
+      --columns <a,b,…>           Output columns (default: all, same as the web export)
+      --list-columns              Print the available columns and exit
+      --providers <a,b,…>         wayback, commoncrawl, archivetoday (default: wayback)
+      --mode <registrable|hostname>  Domain extraction mode (default: registrable)
+      --scoring <file.json>       Scoring preset exported from the web UI (default: built-in)
+      --refresh                   Bypass the CDX cache
+  -q, --quiet                     No progress on stderr
+  -h, --help                      Show this help
+
+Exit codes: 0 all domains scanned, 2 some domains errored, 1 usage or fatal error.`;
+
+const num = (v, def, min, max) => Number.isFinite(Number(v)) ? Math.min(max, Math.max(min, Number(v))) : def;
+const list = (v) => String(v ?? "").split(",").map(s => s.trim()).filter(Boolean);
+
+async function readStdin() {
+  let text = "";
+  for await (const chunk of process.stdin) text += chunk;
+  return text;
+}
+
+async function main(argv) {
+  const { values: opts, positionals: files } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      format: { type: "string", short: "f", default: "csv" },
+      concurrency: { type: "string", short: "c" },
+      rps: { type: "string" },
+      retries: { type: "string" },
+      columns: { type: "string" },
+      "list-columns": { type: "boolean" },
+      providers: { type: "string" },
+      mode: { type: "string", default: "registrable" },
+      scoring: { type: "string" },
+      refresh: { type: "boolean" },
+      quiet: { type: "boolean", short: "q" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+
+  if (opts.help) {
+    console.log(HELP);
+    return EXIT_OK;
+  }
+  if (opts["list-columns"]) {
+    console.log(COLUMN_KEYS.join("\n"));
+    return EXIT_OK;
+  }
+  if (!["csv", "json", "ndjson"].includes(opts.format)) throw new Error(`Unknown format: ${opts.format}`);
+  if (!["registrable", "hostname"].includes(opts.mode)) throw new Error(`Unknown mode: ${opts.mode}`);
+  const columns = resolveColumns(list(opts.columns));
+  const preset = opts.scoring ? validatePreset(JSON.parse(await readFile(opts.scoring, "utf8"))) : DEFAULT_PRESET;
+
+  if (files.length === 0 && process.stdin.isTTY) throw new Error("No input: pass a file or pipe domains on stdin");
+  const inputs = await Promise.all((files.length ? files : ["-"]).map(f => (f === "-" ? readStdin() : readFile(f, "utf8"))));
+  const parsed = parseDomainInput(inputs.join("\n"), { mode: opts.mode });
+  if (parsed.domains.length === 0) throw new Error("No valid domains in input");
+
+  const progress = !opts.quiet && process.stderr.isTTY;
+  const log = (msg) => { if (!opts.quiet) process.stderr.write(`${msg}\n`); };
+  if (parsed.rejected.length) log(`Skipped ${parsed.rejected.length} invalid token(s)`);
+  if (parsed.truncated) log(`Only the first ${parsed.limit} domains are scanned (${parsed.truncated} cut off)`);
+
+  const refresh = Boolean(opts.refresh);
+  const rows = parsed.domains.map(domain => ({ domain, status: "checking", ...EMPTY_ENRICH }));
+  const finish = (row) => ({ ...row, ...evaluateRow(row, preset) });
+  let errors = 0;
+
+  await scanDomainsParallel(parsed.domains, {
+    scheduler: createScheduler({
+      concurrency: num(opts.concurrency, 5, 1, 20),
+      rps: num(opts.rps, 3, 0.2, 20),
+      fetchImpl: timeoutFetch(),
+    }),
+    retries: num(opts.retries, 1, 0, 5),
+    cdx: (type, domain, o) => cachedQueryCdx(type, domain, { ...o, refresh }),
+    providers: normalizeProviders(list(opts.providers)),
+    lookup: async (id, domain, o) => (await cachedLookup(id, domain, { ...o, refresh })).data,
+    bases: providerBases(),
+    onRow: (index, patch) => {
+      rows[index] = { ...rows[index], ...patch };
+      if (patch.status === "error") errors += 1;
+      if (opts.format === "ndjson" && patch.status !== "checking") {
+        process.stdout.write(`${JSON.stringify(toRecord(finish(rows[index]), columns))}\n`);
+      }
+    },
+    onStats: (s) => {
+      if (progress) process.stderr.write(`\r${s.done}/${s.total} scanned, ${s.errors} error(s)`);
+    },
+  });
+  if (progress) process.stderr.write("\n");
+
+  if (opts.format === "csv") {
+    process.stdout.write(`${[csvHeader(columns), ...rows.map(r => csvLine(finish(r), columns))].join("\n")}\n`);
+  } else if (opts.format === "json") {
+    process.stdout.write(`${JSON.stringify(rows.map(r => toRecord(finish(r), columns)), null, 2)}\n`);
+  }
+  return errors > 0 ? EXIT_PARTIAL : EXIT_OK;
+}
+
+main(process.argv.slice(2))
+  .then((code) => { process.exitCode = code; })
+  .catch((e) => {
+    console.error(`archive-check: ${e?.message || e}`);
+    process.exitCode = EXIT_FATAL;
+  });
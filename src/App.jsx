@@ -1,278 +1,468 @@
-import React, { useMemo, useRef, useState } from "react";
-import { motion, AnimatePresence } from "framer-motion";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import {
-  Zap, Download, Loader2, Upload, X, CheckCircle2, AlertCircle, ExternalLink, Copy
+  Zap, Download, Loader2, Upload, X, Copy, History, RotateCw, SlidersHorizontal, FileInput, Pause, Play, Eye, Share2
 } from "lucide-react";
+import {
+  scanDomainsParallel, scanViaServer, proxyCdx, proxyProvider, EMPTY_ENRICH
+} from "./lib/scanner.js";
+import { PROVIDERS, DEFAULT_PROVIDERS, normalizeProviders } from "./lib/providers.js";
+import { parseDomainInput, MAX_DOMAINS } from "./lib/domains.js";
+import { createScheduler } from "./lib/scheduler.js";
+import {
+  newScanId, saveScan, listScans, renameScan, deleteScan, pendingIndices, errorIndices
+} from "./lib/history.js";
+import { parseResultFile } from "./lib/resultFiles.js";
+import { readJSON, writeJSON } from "./lib/storage.js";
+import { viewIndices, DEFAULT_FILTERS, hasActiveFilters, ageYears } from "./lib/tableView.js";
+import { evaluateRow, loadActivePreset, saveActivePreset } from "./lib/scoring.js";
+import HistoryPanel, { ScanCompare } from "./components/HistoryPanel.jsx";
+import DomainDrawer from "./components/DomainDrawer.jsx";
+import FileImport from "./components/FileImport.jsx";
+import ResultsTable from "./components/ResultsTable.jsx";
+import ScoringPanel from "./components/ScoringPanel.jsx";
+import ExportPanel from "./components/ExportPanel.jsx";
+import SharePanel from "./components/SharePanel.jsx";
+import RetryPanel from "./components/RetryPanel.jsx";
+import WatchlistPanel from "./components/WatchlistPanel.jsx";
+import { fetchWatchlist } from "./lib/watchlist.js";
+import { useI18n, LanguageSwitcher } from "./components/I18nProvider.jsx";
+
+const API_KEY_STORAGE = "archive-checker:api-key";
+const WATCH_SEEN_STORAGE = "archive-checker:watch-seen";
 
-// Lọc domain hợp lệ
-function extractDomainsFromText(input) {
-  if (!input) return [];
-  const rough = input.split(/\r?\n|,|\s+/).map(s => s.trim()).filter(Boolean);
-  const normalized = rough.map(tok => {
-    try {
-      if (/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(tok)) return tok.split("@")[1];
-      if (/^https?:\/\//i.test(tok)) return new URL(tok).hostname;
-      return tok;
-    } catch { return tok; }
-  });
-  const strip = normalized.map(s =>
-    s.replace(/^(https?:\/\/)?(www\.)?/i, "").replace(/[\/?#].*$/, "")
-  );
-  const domainRe = /^(?=.{1,253}$)(?:(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)\.)+[a-z]{2,}$/i;
-  return Array.from(new Set(strip.map(s => s.toLowerCase()))).filter(s => domainRe.test(s)).slice(0, 1000);
-}
-
-function chunk(arr, size) {
-  const out = [];
-  for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
-  return out;
-}
+export default function App() {
+  const i18n = useI18n();
+  const { t, number } = i18n;
+  const [raw, setRaw] = useState("");
+  // registrable: rút về tên miền đăng ký được • hostname: giữ nguyên hostname
+  const [extractMode, setExtractMode] = useState("registrable");
+  const parsed = useMemo(() => parseDomainInput(raw, { mode: extractMode }), [raw, extractMode]);
+  const domains = parsed.domains;
+  const [showRejected, setShowRejected] = useState(false);
 
-// Wayback Available API
-async function checkAvailable(domain) {
-  const endpoint = `https://archive.org/wayback/available?url=${encodeURIComponent(domain)}`;
-  const t0 = performance.now();
-  let res, data;
-  try {
-    res = await fetch(endpoint, { cache: "no-store" });
-    data = await res.json();
-  } catch (e) {
-    throw new Error("Lỗi mạng");
-  }
-  const t1 = performance.now();
-  if (!res.ok) throw new Error(`HTTP ${res.status}`);
-  const closest = data?.archived_snapshots?.closest;
-  return {
-    archived: Boolean(closest),
-    closestUrl: closest?.url || null,
-    closestTs: closest?.timestamp || null,
-    timeMs: Math.max(1, Math.round(t1 - t0)),
+  const [rows, setRows] = useState([]);
+  const [isScanning, setIsScanning] = useState(false);
+  const [paused, setPaused] = useState(false);
+  const [showRetry, setShowRetry] = useState(false);
+  const [rate, setRate] = useState(null); // số liệu tốc độ/throttle của scheduler
+  const [stats, setStats] = useState({ done: 0, total: 0, errors: 0, avg: 0 });
+  const abortRef = useRef(null);
+  const pauseStopRef = useRef(false); // quét trên server: tạm dừng = ngắt luồng, "Tiếp tục" quét nốt
+  const [serverScan, setServerScan] = useState(true);
+
+  // Lần quét đang hiển thị (được lưu vào IndexedDB cùng rows/stats)
+  const [scanMeta, setScanMeta] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [showHistory, setShowHistory] = useState(false);
+  const skipSaveRef = useRef(false);
+  const [detailIndex, setDetailIndex] = useState(null); // dòng đang mở bảng chi tiết
+
+  // Bộ tiêu chí chấm điểm đang dùng; điểm & kết luận tính lại từ rows, không lưu vào lịch sử
+  const [scoring, setScoring] = useState(loadActivePreset);
+  const [showScoring, setShowScoring] = useState(false);
+  useEffect(() => { saveActivePreset(scoring); }, [scoring]);
+  const scoredRows = useMemo(() => {
+    const now = new Date();
+    return rows.map(r => {
+      const { score, verdict } = evaluateRow(r, scoring, now);
+      return { ...r, score, verdict };
+    });
+  }, [rows, scoring]);
+
+  // Sắp xếp / lọc bảng; xuất, copy & chia sẻ mặc định theo phần đang hiển thị
+  const [sort, setSort] = useState(null);
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [exportAll, setExportAll] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [showShare, setShowShare] = useState(false);
+
+  // Bộ kết quả nhập từ file, dùng làm mốc so sánh với lần quét mới
+  const [baseline, setBaseline] = useState(null);
+  const importRef = useRef(null);
+
+  // Thông báo ngắn (copy, xuất, nhập file), tự ẩn sau vài giây
+  const [notice, setNotice] = useState(null);
+  const noticeTimer = useRef(null);
+  const notify = (text, tone = "info") => {
+    clearTimeout(noticeTimer.current);
+    setNotice({ text, tone });
+    noticeTimer.current = setTimeout(() => setNotice(null), 4000);
   };
-}
-
-// Hàm nâng cấp - retry nhiều lần, check đa dạng kiểu dữ liệu trả về, log lỗi rõ ràng
-async function enrichByCDX(domain) {
-  const fetchProxy = async (type) => {
-    const url = `/api/cdx?url=${encodeURIComponent(domain)}&type=${type}`;
-    for (let i = 0; i < 3; i++) { // thử tối đa 3 lần
-      try {
-        const res = await fetch(url);
-        if (!res.ok) continue;
-        const data = await res.json();
-        if (data && ((Array.isArray(data) && data.length > 1) || (typeof data === "object" && Object.keys(data).length > 0))) {
-          return data;
-        }
-      } catch (err) {
-        // Có thể dùng Sentry, hoặc log ra console
-        console.warn(`CDX API lỗi cho ${domain} (${type}):`, err);
-      }
-      await new Promise(r => setTimeout(r, 1000)); // đợi 1s giữa các lần thử
+  const visibleIndices = useMemo(() => viewIndices(scoredRows, { filters, sort }), [scoredRows, filters, sort]);
+
+  // Tốc độ quét: số miền chạy song song + ngân sách request/giây (chung cho archive.org và /api/cdx)
+  const [concurrency, setConcurrency] = useState(5);
+  const [rps, setRps] = useState(3);
+  const [forceRefresh, setForceRefresh] = useState(false); // bỏ qua cache CDX của proxy cho cả lần quét
+  const [providers, setProviders] = useState(DEFAULT_PROVIDERS); // nguồn lưu trữ dùng cho lần quét
+  // Khóa API khi server đặt API_KEY; không lưu vào lịch sử quét hay file xuất
+  const [apiKey, setApiKey] = useState(() => readJSON(API_KEY_STORAGE, ""));
+  useEffect(() => { writeJSON(API_KEY_STORAGE, apiKey); }, [apiKey]);
+
+  // Danh sách theo dõi: số thay đổi chưa xem (mới hơn mốc đã xem) hiện trên nút "Theo dõi"
+  const [showWatch, setShowWatch] = useState(false);
+  const [watchSeen, setWatchSeen] = useState(() => readJSON(WATCH_SEEN_STORAGE, 0));
+  const [unseenChanges, setUnseenChanges] = useState(0);
+  useEffect(() => {
+    fetchWatchlist({ since: watchSeen, apiKey })
+      .then(({ changes }) => setUnseenChanges(changes.length))
+      .catch(() => setUnseenChanges(0)); // server chưa có /api/watchlist (vd. chạy vite dev) thì thôi
+  }, [apiKey]);
+  const markWatchSeen = (at) => {
+    if (at <= watchSeen) return;
+    setWatchSeen(at);
+    writeJSON(WATCH_SEEN_STORAGE, at);
+    setUnseenChanges(0);
+  };
+  const schedulerRef = useRef(null);
+
+  // Quét trong trình duyệt thì chỉnh được ngay khi đang chạy
+  useEffect(() => { schedulerRef.current?.setConcurrency(concurrency); }, [concurrency]);
+  useEffect(() => { schedulerRef.current?.setRps(rps); }, [rps]);
+
+  const refreshHistory = () =>
+    listScans().then(setHistory).catch(err => console.warn("Không đọc được lịch sử quét:", err));
+
+  const openScan = (scan) => {
+    skipSaveRef.current = true;
+    setScanMeta({
+      id: scan.id,
+      name: scan.name,
+      createdAt: scan.createdAt,
+      finishedAt: scan.finishedAt,
+      input: scan.input,
+      domains: scan.domains,
+      settings: scan.settings,
+      // Đang "running" mà mở lại nghĩa là tab trước đã bị đóng/tải lại giữa chừng
+      status: scan.status === "running" ? "interrupted" : scan.status,
+    });
+    setDetailIndex(null);
+    setRaw(scan.input ?? (scan.domains || []).join("\n"));
+    setRows(scan.rows || []);
+    setStats(scan.stats || { done: 0, total: 0, errors: 0, avg: 0 });
+    if (scan.settings) {
+      setServerScan(scan.settings.serverScan !== false);
+      if (scan.settings.concurrency) setConcurrency(scan.settings.concurrency);
+      if (scan.settings.rps) setRps(scan.settings.rps);
+      if (scan.settings.extractMode) setExtractMode(scan.settings.extractMode);
+      setProviders(normalizeProviders(scan.settings.providers));
     }
-    return null;
   };
 
-  let firstYear = "—", lastYear = "—", years = "—", totalSnapshots = 0;
-
-  const firstRes = await fetchProxy("first");
-  if (Array.isArray(firstRes) && firstRes.length > 1 && firstRes[1][0]) {
-    firstYear = firstRes[1][0].slice(0, 4);
-  } else if (firstRes && firstRes.timestamp) {
-    firstYear = firstRes.timestamp.slice(0, 4);
-  }
-
-  const lastRes = await fetchProxy("last");
-  if (Array.isArray(lastRes) && lastRes.length > 1 && lastRes[1][0]) {
-    lastYear = lastRes[1][0].slice(0, 4);
-  } else if (lastRes && lastRes.timestamp) {
-    lastYear = lastRes.timestamp.slice(0, 4);
-  }
-
-  if (firstYear !== "—" && lastYear !== "—") {
-    const span = Number(lastYear) - Number(firstYear);
-    years = `${span} năm`;
-  }
-
-  const yearRes = await fetchProxy("year");
-  totalSnapshots = Array.isArray(yearRes)
-    ? Math.max(0, yearRes.length - 1)
-    : typeof yearRes === "object" && yearRes !== null
-      ? Math.max(0, Object.keys(yearRes).length - 1)
-      : 0;
-
-  // Nếu vẫn chưa có dữ liệu, thử fetch trực tiếp từ Wayback API làm fallback
-  if (totalSnapshots === 0) {
-    // Có thể bổ sung logic fetch trực tiếp từ archive.org hoặc lưu log miền lỗi
-  }
-
-  return { firstYear, lastYear, years, totalSnapshots };
-}
+  // Khôi phục lần quét gần nhất sau khi tải lại trang
+  useEffect(() => {
+    listScans()
+      .then(scans => {
+        setHistory(scans);
+        if (scans[0]) openScan(scans[0]);
+      })
+      .catch(err => console.warn("Không đọc được lịch sử quét:", err));
+  }, []);
+
+  // Tự lưu tiến độ (gộp các cập nhật trong 800ms)
+  useEffect(() => {
+    if (!scanMeta) return;
+    if (skipSaveRef.current) {
+      skipSaveRef.current = false;
+      return;
+    }
+    const t = setTimeout(() => {
+      saveScan({ ...scanMeta, rows, stats })
+        .then(() => { if (scanMeta.status !== "running") refreshHistory(); })
+        .catch(err => console.warn("Không lưu được lịch sử quét:", err));
+    }, 800);
+    return () => clearTimeout(t);
+  }, [scanMeta, rows, stats]);
+
+  const updateRow = (index, patch) => setRows(prev => {
+    const c = [...prev];
+    c[index] = { ...c[index], ...patch };
+    return c;
+  });
 
-// Hàm quét song song
-async function scanDomainsParallel(domains, setRows, setStats, setBatchInfo, abortRef, batchSize, delayBetweenAttempts, delayBetweenBatch) {
-  setRows(domains.map(d => ({
-    domain: d, status: "checking", years: "—", firstYear: "—", lastYear: "—", totalSnapshots: 0
-  })));
-  setStats({ done: 0, total: domains.length, errors: 0, avg: 0 });
-
-  const controller = new AbortController();
-  abortRef.current = controller;
-
-  const batches = chunk(domains, batchSize);
-  setBatchInfo({ idx: 1, total: batches.length });
-
-  let done = 0;
-  let errors = 0;
-  let totalTime = 0;
-
-  for (let b = 0; b < batches.length; b++) {
-    setBatchInfo({ idx: b + 1, total: batches.length });
-    const batch = batches[b];
-
-    // Quét song song trong batch
-    const promises = batch.map(async (domain, j) => {
-      if (controller.signal.aborted) return;
-      const globalIdx = b * batchSize + j;
-      setRows(prev => {
-        const c = [...prev];
-        c[globalIdx] = { ...c[globalIdx], status: "checking", errorMsg: undefined };
-        return c;
-      });
-      const t0 = performance.now();
-      let result;
-      for (let retry = 0; retry < 2; retry++) {
-        try {
-          // Quét available và enrich
-          const res = await checkAvailable(domain);
-          if (res.archived) {
-            let enrichInfo = { years: "—", firstYear: "—", lastYear: "—", totalSnapshots: 0 };
-            try {
-              enrichInfo = await enrichByCDX(domain);
-            } catch (err) {
-              console.warn(`Lỗi enrich cho ${domain}:`, err);
-            }
-            result = { ...res, ...enrichInfo, status: "complete" };
-            break; // thành công, break retry
-          } else {
-            result = { ...res, years: "—", firstYear: "—", lastYear: "—", totalSnapshots: 0, status: "complete" };
-            break;
-          }
-        } catch (e) {
-          if (retry === 1) {
-            result = {
-              status: "error",
-              errorMsg: e?.message || "Lỗi không xác định",
-              years: "—",
-              firstYear: "—",
-              lastYear: "—",
-              totalSnapshots: 0,
-              timeMs: 0,
-              closestUrl: null,
-              closestTs: null
-            };
-          }
-          await new Promise(r => setTimeout(r, delayBetweenAttempts));
+  // Quét `targets`; kết quả thứ i ghi vào dòng indices[i] của bảng
+  // `offset`: số dòng đã xong từ trước (khi tiếp tục), vẫn tính vào tiến độ
+  // `overrides`: cài đặt riêng cho lần chạy này (làm mới một dòng, thử lại lỗi), mặc định lấy cài đặt hiện tại
+  const runScan = async (targets, indices, offset = 0, overrides = {}) => {
+    const { serverScan: onServer, ...settings } = {
+      serverScan, concurrency, rps, refresh: forceRefresh, providers, ...overrides,
+    };
+    const { refresh } = settings;
+    setIsScanning(true);
+    setPaused(false);
+    const controller = new AbortController();
+    abortRef.current = controller;
+    pauseStopRef.current = false;
+    setRate(null);
+    setScanMeta(m => ({ ...m, status: "running", settings: { ...settings, serverScan: onServer, extractMode } }));
+
+    // Hủy rồi thì kết quả về muộn không được ghi vào bảng nữa
+    const onRow = (i, patch) => { if (!controller.signal.aborted) updateRow(indices[i], patch); };
+    const onStats = (s) => {
+      if (!controller.signal.aborted) setStats({ ...s, done: s.done + offset, total: s.total + offset });
+    };
+    try {
+      if (onServer) {
+        // Server dừng khi hết thời gian của hàm và trả các miền chưa xong → gửi tiếp từng đợt
+        let batch = targets.map((_, i) => i);
+        const carry = { done: 0, errors: 0 }; // số liệu các đợt trước
+        while (batch.length > 0 && !controller.signal.aborted) {
+          const part = batch;
+          let last = { done: 0, errors: 0 };
+          const done = await scanViaServer(part.map(i => targets[i]), {
+            ...settings,
+            apiKey,
+            signal: controller.signal,
+            onEvent: ({ type, ...ev }) => {
+              if (type === "row") onRow(part[ev.index], ev);
+              else if (type === "stats") {
+                last = ev;
+                onStats({ ...ev, done: ev.done + carry.done, errors: ev.errors + carry.errors, total: targets.length });
+              }
+              else if (type === "rate") setRate(ev);
+              else if (type === "error") throw Object.assign(new Error(ev.error), { code: ev.code });
+            },
+          });
+          batch = done.partial ? (done.remaining || []).map(i => part[i]) : [];
+          carry.done += last.done;
+          carry.errors += last.errors;
         }
+      } else {
+        let lastRate = 0;
+        schedulerRef.current = createScheduler({
+          ...settings,
+          onStats: (r) => {
+            if (Date.now() - lastRate < 250 && !r.pausedMs) return;
+            lastRate = Date.now();
+            setRate(r);
+          },
+        });
+        await scanDomainsParallel(targets, {
+          signal: controller.signal,
+          scheduler: schedulerRef.current,
+          cdx: proxyCdx("/api/cdx", { refresh, apiKey }),
+          providers: settings.providers,
+          lookup: proxyProvider("/api/provider", { refresh, apiKey }),
+          onRow,
+          onStats,
+        });
       }
-      const t1 = performance.now();
-      setRows(prev => {
-        const c = [...prev];
-        c[globalIdx] = {
-          ...c[globalIdx],
-          ...result,
-          timeMs: result.status === "error" ? 0 : Math.max(1, Math.round(t1 - t0))
-        };
-        return c;
-      });
-      done += 1;
-      if (result.status === "error") errors += 1;
-      else totalTime += (result.timeMs || 0);
-      setStats({ done, total: domains.length, errors, avg: Math.round(totalTime / Math.max(1, (done - errors))) });
-    });
-
-    await Promise.allSettled(promises);
-    if (controller.signal.aborted) break;
-    if (b < batches.length - 1) await new Promise(r => setTimeout(r, delayBetweenBatch));
-  }
-}
+    } catch (e) {
+      if (!controller.signal.aborted) {
+        const errorMsg = e?.message || "Unknown error";
+        const errorCode = e?.code;
+        setRows(prev => prev.map(r => r.status === "checking" ? { ...r, status: "error", errorCode, errorMsg } : r));
+      }
+    }
+    schedulerRef.current = null;
+    const status = !controller.signal.aborted ? "complete" : pauseStopRef.current ? "paused" : "cancelled";
+    setScanMeta(m => ({ ...m, status, finishedAt: Date.now() }));
+    setPaused(false);
+    setIsScanning(false);
+  };
 
-export default function App() {
-  const [raw, setRaw] = useState("");
-  const domains = useMemo(() => extractDomainsFromText(raw), [raw]);
+  // Nâng cấp: quét song song — mặc định chạy trên server (/api/scan) để đỡ tải cho tab; quét vẫn gắn với tab, đóng tab là dừng
+  const startScan = async (targets = domains, input = raw) => {
+    if (targets.length === 0) return;
+    setScanMeta({
+      id: newScanId(),
+      name: targets.length > 1 ? `${targets[0]} +${targets.length - 1}` : targets[0],
+      createdAt: Date.now(),
+      input,
+      domains: targets,
+      status: "running",
+    });
+    setDetailIndex(null);
+    setRows(targets.map(d => ({ domain: d, status: "checking", ...EMPTY_ENRICH })));
+    await runScan(targets, targets.map((_, i) => i));
+  };
 
-  const [rows, setRows] = useState([]);
-  const [isScanning, setIsScanning] = useState(false);
-  const [batchInfo, setBatchInfo] = useState({ idx: 0, total: 0 });
-  const [stats, setStats] = useState({ done: 0, total: 0, errors: 0, avg: 0 });
-  const abortRef = useRef(null);
+  // Tiếp tục: bỏ qua dòng đã hoàn thành, chỉ quét lại dòng đang dở hoặc lỗi
+  const resumeScan = async () => {
+    const indices = pendingIndices(rows);
+    if (indices.length === 0) return;
+    await runScan(indices.map(i => rows[i].domain), indices, rows.length - indices.length);
+  };
 
-  // Có thể chỉnh nhanh/chậm ở đây
-  const BATCH_SIZE = 10; // 10 domain mỗi batch
-  const DELAY_BETWEEN_ATTEMPTS = 2500; // 2.5s chờ giữa 2 lần quét 1 domain
-  const DELAY_BETWEEN_BATCH = 2500; // 2.5s chờ giữa các batch
+  // Quét lại một dòng, bỏ qua cache
+  const refreshRow = async (index) => {
+    updateRow(index, { status: "checking", errorCode: undefined, errorMsg: undefined });
+    await runScan([rows[index].domain], [index], rows.length - 1, { refresh: true });
+  };
 
-  // Nâng cấp: quét song song
-  const startScan = async () => {
-    if (domains.length === 0) return;
-    setIsScanning(true);
-    await scanDomainsParallel(domains, setRows, setStats, setBatchInfo, abortRef, BATCH_SIZE, DELAY_BETWEEN_ATTEMPTS, DELAY_BETWEEN_BATCH);
-    setIsScanning(false);
+  // Thử lại chỉ các dòng lỗi, với cài đặt chọn trong RetryPanel
+  const retryErrors = async (overrides) => {
+    const indices = errorIndices(rows);
+    if (indices.length === 0) return;
+    setShowRetry(false);
+    indices.forEach(i => updateRow(i, { status: "checking", errorCode: undefined, errorMsg: undefined }));
+    await runScan(indices.map(i => rows[i].domain), indices, rows.length - indices.length, overrides);
   };
 
   const cancelScan = () => {
     abortRef.current?.abort();
+    setPaused(false);
     setIsScanning(false);
   };
 
-  const exportCSV = () => {
-    const header = ["domain","status","years","first_year","last_year","total_snapshots","time_ms","closest_ts","archive_url"];
-    const lines = [header.join(",")].concat(
-      rows.map(r =>
-        [
-          r.domain,
-          r.status,
-          r.years ?? "",
-          r.firstYear ?? "",
-          r.lastYear ?? "",
-          r.totalSnapshots ?? 0,
-          r.timeMs ?? 0,
-          r.closestTs ?? "",
-          r.closestUrl ?? "",
-        ].map(x => `"${String(x).replace(/"/g,'""')}"`).join(",")
-      )
-    );
-    const blob = new Blob([lines.join("\n")], { type: "text/csv;charset=utf-8;" });
-    const a = document.createElement("a");
-    a.href = URL.createObjectURL(blob);
-    a.download = `archive-ketqua-${Date.now()}.csv`;
-    a.click();
+  // Quét trong trình duyệt: giữ hàng đợi, miền đang chạy gửi nốt request đã tới lượt.
+  // Quét trên server không giữ được kết nối treo, nên ngắt luồng; "Tiếp tục" quét nốt các miền chưa xong
+  const pauseScan = () => {
+    if (schedulerRef.current) {
+      schedulerRef.current.pause();
+      setPaused(true);
+      setScanMeta(m => ({ ...m, status: "paused" }));
+    } else {
+      pauseStopRef.current = true;
+      abortRef.current?.abort();
+    }
+  };
+
+  const unpauseScan = () => {
+    schedulerRef.current?.resume();
+    setPaused(false);
+    setScanMeta(m => ({ ...m, status: "running" }));
+  };
+
+  const handleRename = async (id, name) => {
+    if (scanMeta?.id === id) setScanMeta(m => ({ ...m, name }));
+    else await renameScan(id, name).catch(err => console.warn("Không đổi tên được:", err));
+    refreshHistory();
   };
 
+  const handleDelete = async (id) => {
+    if (scanMeta?.id === id) setScanMeta(null);
+    await deleteScan(id).catch(err => console.warn("Không xóa được:", err));
+    refreshHistory();
+  };
+
+  const exportRows = () => (exportAll ? scoredRows : visibleIndices.map(i => scoredRows[i]));
+
   const copyDomainsWithYears = () => {
-    const lines = rows
-      .filter(r => typeof r.years === "string" && r.years !== "—" && !r.years.startsWith("0"))
-      .map(r => `${r.domain}, ${r.years}, ${r.firstYear}, ${r.lastYear}`);
-    if (lines.length === 0) return;
-    navigator.clipboard.writeText(lines.join("\n"));
+    const lines = exportRows()
+      .filter(r => r.verdict === "good")
+      .map(r => {
+        const age = ageYears(r);
+        return `${r.domain}, ${age == null ? "—" : t("units.years", { count: age })}, ${r.firstYear}, ${r.lastYear}, ${r.score}`;
+      });
+    if (lines.length === 0) return notify(t("notices.noGood"), "error");
+    navigator.clipboard.writeText(lines.join("\n"))
+      .then(() => notify(t("notices.copied", { count: lines.length })))
+      .catch(e => notify(t("notices.copyFailed", { message: e?.message || e }), "error"));
+  };
+
+  // Mở file kết quả đã xuất như một lần quét đã xong (lưu vào lịch sử), không cần quét lại
+  const importResults = async (file) => {
+    if (!file) return;
+    try {
+      const { meta, rows: imported } = await parseResultFile(file);
+      if (imported.length === 0) throw new Error(t("notices.importEmpty"));
+      const createdAt = Date.parse(meta?.scan?.createdAt ?? meta?.exportedAt ?? "") || file.lastModified || Date.now();
+      const scan = {
+        id: newScanId(),
+        name: t("notices.importedName", { name: meta?.scan?.name ?? file.name }),
+        createdAt,
+        finishedAt: Date.parse(meta?.scan?.finishedAt ?? "") || createdAt,
+        input: imported.map(r => r.domain).join("\n"),
+        domains: imported.map(r => r.domain),
+        settings: meta?.settings,
+        status: "complete",
+        rows: imported,
+        stats: {
+          done: imported.length,
+          total: imported.length,
+          errors: imported.filter(r => r.status === "error").length,
+          avg: 0,
+        },
+        importedFrom: file.name,
+      };
+      await saveScan(scan).catch(err => console.warn("Không lưu được lịch sử quét:", err));
+      openScan(scan);
+      setBaseline(scan);
+      refreshHistory();
+      notify(t("notices.imported", { count: imported.length, file: file.name }));
+    } catch (e) {
+      notify(t("notices.importFailed", { file: file.name, message: i18n.errorText(e) }), "error");
+    }
   };
 
   const parsedCount = domains.length;
   const pct = stats.total ? Math.round((stats.done / stats.total) * 100) : 0;
 
   const errorRows = rows.filter(r => r.status === "error");
+  const pendingCount = scanMeta ? pendingIndices(rows).length : 0;
+  const unfinished = rows.some(r => r.status === "checking");
 
   return (
     <div className="min-h-screen bg-[#EEF2FF]">
       <div className="max-w-6xl mx-auto px-4 py-6">
         <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 mb-4">
-          <button
-            onClick={startScan}
-            disabled={isScanning || parsedCount === 0}
-            className="inline-flex items-center gap-2 bg-[#D19B00] hover:bg-[#B88700] text-white px-5 py-3 rounded-md text-base font-medium disabled:opacity-60"
-          >
-            <Zap className="w-5 h-5" />
-            {isScanning ? "Đang Quét Nhanh..." : "Quét Nhanh"}
-          </button>
           <div className="flex gap-3">
+            <button
+              onClick={() => startScan()}
+              disabled={isScanning || parsedCount === 0}
+              className="inline-flex items-center gap-2 bg-[#D19B00] hover:bg-[#B88700] text-white px-5 py-3 rounded-md text-base font-medium disabled:opacity-60"
+            >
+              <Zap className="w-5 h-5" />
+              {isScanning ? t("app.scanning") : t("app.quickScan")}
+            </button>
+            {!isScanning && unfinished && (
+              <button
+                onClick={resumeScan}
+                className="inline-flex items-center gap-2 border border-[#D19B00] text-[#8A6600] bg-white hover:bg-amber-50 px-4 py-3 rounded-md text-sm font-medium"
+                title={t("app.resumeTitle")}
+              >
+                <RotateCw className="w-4 h-4" />
+                {t("app.resume", { count: pendingCount })}
+              </button>
+            )}
+            {!isScanning && errorRows.length > 0 && (
+              <button
+                onClick={() => setShowRetry(v => !v)}
+                className="inline-flex items-center gap-2 border border-red-200 text-red-700 bg-white hover:bg-red-50 px-4 py-3 rounded-md text-sm font-medium"
+                title={t("app.retryErrorsTitle")}
+              >
+                <RotateCw className="w-4 h-4" />
+                {t("app.retryErrors", { count: errorRows.length })}
+              </button>
+            )}
+          </div>
+          <div className="flex gap-3">
+            <LanguageSwitcher />
+            <label className="inline-flex items-center gap-2 text-sm text-gray-700" title={t("app.serverScanTitle")}>
+              <input
+                type="checkbox"
+                checked={serverScan}
+                disabled={isScanning}
+                onChange={(e) => setServerScan(e.target.checked)}
+              />
+              {t("app.serverScan")}
+            </label>
+            <button
+              onClick={() => { setShowHistory(v => !v); refreshHistory(); }}
+              className="inline-flex items-center justify-center border border-gray-200 bg-white hover:bg-gray-50 h-10 px-4 rounded-md text-sm"
+            >
+              <History className="mr-2 h-4 w-4" />
+              {t("app.history")}
+            </button>
+            <button
+              onClick={() => setShowScoring(v => !v)}
+              className="inline-flex items-center justify-center border border-gray-200 bg-white hover:bg-gray-50 h-10 px-4 rounded-md text-sm"
+            >
+              <SlidersHorizontal className="mr-2 h-4 w-4" />
+              {t("app.scoring")}
+            </button>
+            <button
+              onClick={() => setShowWatch(v => !v)}
+              title={t("app.watchTitle")}
+              className="inline-flex items-center justify-center border border-gray-200 bg-white hover:bg-gray-50 h-10 px-4 rounded-md text-sm"
+            >
+              <Eye className="mr-2 h-4 w-4" />
+              {t("app.watch")}
+              {unseenChanges > 0 && (
+                <span className="ml-2 px-1.5 rounded-full bg-amber-500 text-white text-xs">{unseenChanges}</span>
+              )}
+            </button>
             <button
               onClick={() => {
                 setRaw([
@@ -287,21 +477,45 @@ export default function App() {
               className="inline-flex items-center justify-center border border-gray-200 bg-white hover:bg-gray-50 h-10 px-4 rounded-md text-sm"
             >
               <Upload className="mr-2 h-4 w-4" />
-              Tải Miền Mẫu
+              {t("app.loadSample")}
             </button>
             <button
-              onClick={exportCSV}
+              onClick={() => importRef.current?.click()}
+              disabled={isScanning}
+              title={t("app.importResultsTitle")}
+              className="inline-flex items-center justify-center border border-gray-200 bg-white hover:bg-gray-50 h-10 px-4 rounded-md text-sm disabled:opacity-50"
+            >
+              <FileInput className="mr-2 h-4 w-4" />
+              {t("app.importResults")}
+            </button>
+            <input
+              ref={importRef}
+              type="file"
+              accept=".csv,.tsv,.json,.ndjson,.jsonl,.xlsx"
+              className="hidden"
+              onChange={(e) => { importResults(e.target.files?.[0]); e.target.value = ""; }}
+            />
+            <button
+              onClick={() => setShowExport(v => !v)}
               className="inline-flex items-center justify-center border border-gray-200 bg-white hover:bg-gray-50 h-10 px-4 rounded-md text-sm"
             >
               <Download className="mr-2 h-4 w-4" />
-              Xuất Kết Quả
+              {t("app.export")}
+            </button>
+            <button
+              onClick={() => setShowShare(v => !v)}
+              title={t("app.shareTitle")}
+              className="inline-flex items-center justify-center border border-gray-200 bg-white hover:bg-gray-50 h-10 px-4 rounded-md text-sm"
+            >
+              <Share2 className="mr-2 h-4 w-4" />
+              {t("app.share")}
             </button>
             <button
               onClick={copyDomainsWithYears}
               className="inline-flex items-center justify-center border border-gray-200 bg-white hover:bg-gray-50 h-10 px-4 rounded-md text-sm"
             >
               <Copy className="mr-2 h-4 w-4" />
-              Coppy domain & năm
+              {t("app.copyGood")}
             </button>
           </div>
         </div>
@@ -309,37 +523,221 @@ export default function App() {
         {isScanning && (
           <div className="p-4 border rounded-lg bg-white mb-4">
             <div className="flex items-center gap-2 text-sm">
-              <Loader2 className="h-4 w-4 animate-spin text-blue-600" />
+              {paused
+                ? <Pause className="h-4 w-4 text-amber-600" />
+                : <Loader2 className="h-4 w-4 animate-spin text-blue-600" />}
               <span className="font-medium">
-                Đang xử lý batch {batchInfo.idx} / {batchInfo.total}
+                {paused ? t("progress.paused") : t("progress.scanning", { count: rate?.active ?? 0 })} • {number(stats.done)} / {number(stats.total)}
               </span>
             </div>
             <div className="h-2 bg-gray-200 rounded-full overflow-hidden mt-3">
               <div className="h-full bg-black" style={{ width: `${pct}%` }} />
             </div>
             <div className="text-xs text-gray-600 mt-2">
-              10 miền mỗi lần quét • Mỗi miền quét 2 lần • Quét tuần tự từng batch (song song trong batch)
+              {t("progress.limits", { concurrency: rate?.concurrency ?? concurrency, rps: number(rate?.rps ?? rps) })}
             </div>
+            {rate && (
+              <div className="text-xs text-gray-600 mt-1 flex flex-wrap gap-x-4">
+                <span>{t("progress.throughput")} <b>{number(rate.throughput)}</b> req/s</span>
+                <span>{t("progress.currentRps")} <b>{number(rate.currentRps)}</b> / {number(rate.rps)} req/s</span>
+                <span className={rate.throttleEvents ? "text-amber-700" : ""}>
+                  {t("progress.throttled", { count: rate.throttleEvents })}
+                  {rate.lastThrottle
+                    ? t("progress.lastThrottle", { status: rate.lastThrottle.status, seconds: Math.round(rate.lastThrottle.waitMs / 1000) })
+                    : ""}
+                </span>
+                {rate.pausedMs > 0 && <span className="text-amber-700">{t("progress.pausedFor", { seconds: Math.ceil(rate.pausedMs / 1000) })}</span>}
+              </div>
+            )}
             <div className="mt-2 text-sm flex items-center gap-4">
-              <span className="text-emerald-600">✓ Đã hoàn thành: {stats.done - stats.errors}</span>
-              <span className="text-red-600">✗ Lỗi: {stats.errors}</span>
-              <span className="text-blue-700">⏱ TB: {isFinite(stats.avg) ? stats.avg : 0}ms</span>
-              <button onClick={cancelScan} className="ml-auto inline-flex items-center gap-1 px-3 py-1.5 bg-red-50 text-red-700 border border-red-200 rounded">
-                <X className="h-4 w-4" /> Hủy Quét
+              <span className="text-emerald-600">{t("progress.done", { count: stats.done - stats.errors })}</span>
+              <span className="text-red-600">{t("progress.errors", { count: stats.errors })}</span>
+              <span className="text-blue-700">{t("progress.avg", { ms: number(isFinite(stats.avg) ? stats.avg : 0) })}</span>
+              {paused ? (
+                <button onClick={unpauseScan} className="ml-auto inline-flex items-center gap-1 px-3 py-1.5 bg-white border rounded hover:bg-gray-50">
+                  <Play className="h-4 w-4" /> {t("progress.continue")}
+                </button>
+              ) : (
+                <button
+                  onClick={pauseScan}
+                  title={scanMeta?.settings?.serverScan
+                    ? t("progress.pauseServerTitle")
+                    : t("progress.pauseBrowserTitle")}
+                  className="ml-auto inline-flex items-center gap-1 px-3 py-1.5 bg-white border rounded hover:bg-gray-50"
+                >
+                  <Pause className="h-4 w-4" /> {t("progress.pause")}
+                </button>
+              )}
+              <button onClick={cancelScan} className="inline-flex items-center gap-1 px-3 py-1.5 bg-red-50 text-red-700 border border-red-200 rounded">
+                <X className="h-4 w-4" /> {t("progress.cancel")}
               </button>
             </div>
           </div>
         )}
 
-        <div className="bg-white border rounded-lg p-4 mb-4">
-          <textarea
-            className="w-full min-h-[160px] rounded-md border border-gray-200 p-3 font-mono text-sm outline-none focus:ring-2 focus:ring-blue-500"
-            placeholder="Dán bất cứ nội dung nào — hệ thống tự động tách miền hợp lệ (1 dòng, dấu phẩy hoặc cách đều được)"
-            value={raw}
-            onChange={(e) => setRaw(e.target.value)}
+        {showRetry && !isScanning && errorRows.length > 0 && (
+          <RetryPanel
+            count={errorRows.length}
+            defaults={{ serverScan, concurrency, rps, providers, refresh: forceRefresh }}
+            onRetry={retryErrors}
+            onClose={() => setShowRetry(false)}
+          />
+        )}
+
+        {showWatch && (
+          <WatchlistPanel
+            domains={domains}
+            apiKey={apiKey}
+            seenAt={watchSeen}
+            onSeen={markWatchSeen}
+            onNotify={notify}
+          />
+        )}
+
+        {showHistory && (
+          <HistoryPanel
+            scans={history}
+            currentId={scanMeta?.id}
+            disabled={isScanning}
+            onOpen={openScan}
+            onRename={handleRename}
+            onDelete={handleDelete}
           />
-          <div className="text-xs text-gray-500 mt-2">
-            Số miền đã tách: <b>{parsedCount}</b> (tối đa 1000)
+        )}
+
+        {notice && (
+          <div className={`mb-4 px-4 py-2 rounded-md text-sm border ${notice.tone === "error" ? "bg-red-50 border-red-200 text-red-700" : "bg-emerald-50 border-emerald-200 text-emerald-800"}`}>
+            {notice.text}
+          </div>
+        )}
+
+        {showScoring && <ScoringPanel value={scoring} onChange={setScoring} />}
+
+        {showExport && <ExportPanel rows={exportRows()} scan={scanMeta} onNotify={notify} />}
+
+        {showShare && <SharePanel rows={exportRows()} scan={scanMeta} onNotify={notify} />}
+
+        {baseline && (
+          <div className="bg-white border rounded-lg p-4 mb-4 text-sm">
+            <div className="flex items-center gap-3">
+              <span>{t("baseline.label")} <b>{baseline.name}</b> {t("baseline.domains", { count: baseline.rows.length })}</span>
+              {scanMeta?.id === baseline.id && (
+                <button
+                  onClick={() => startScan(baseline.domains, baseline.input)}
+                  disabled={isScanning}
+                  className="inline-flex items-center gap-1 px-3 py-1.5 border rounded-md hover:bg-gray-50 disabled:opacity-50"
+                >
+                  <RotateCw size={14} /> {t("baseline.rescan")}
+                </button>
+              )}
+              <button onClick={() => setBaseline(null)} className="ml-auto text-gray-500 hover:text-black"><X size={16} /></button>
+            </div>
+            {scanMeta && scanMeta.id !== baseline.id && (
+              <ScanCompare
+                a={baseline}
+                b={{ name: scanMeta.name, createdAt: scanMeta.createdAt, rows }}
+                onClose={() => setBaseline(null)}
+              />
+            )}
+          </div>
+        )}
+
+        <div className="bg-white border rounded-lg p-4 mb-4">
+          <FileImport disabled={isScanning} onImport={(text) => setRaw(prev => (prev.trim() ? `${prev}\n${text}` : text))}>
+            <textarea
+              className="w-full min-h-[160px] rounded-md border border-gray-200 p-3 font-mono text-sm outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder={t("input.placeholder")}
+              value={raw}
+              onChange={(e) => setRaw(e.target.value)}
+            />
+          </FileImport>
+          <div className="text-xs text-gray-500 mt-2 flex flex-wrap items-center gap-x-3 gap-y-1">
+            <span>{t("input.parsed")} <b>{number(parsedCount)}</b> {t("input.max", { max: number(MAX_DOMAINS) })}</span>
+            {parsed.duplicates > 0 && <span>{t("input.duplicates", { count: parsed.duplicates })}</span>}
+            {parsed.rejected.length > 0 && (
+              <button type="button" onClick={() => setShowRejected(v => !v)} className="text-red-600 underline">
+                {t("input.rejected", { count: parsed.rejected.length })}
+              </button>
+            )}
+            {parsed.truncated > 0 && (
+              <span className="text-amber-700">{t("input.truncated", { count: parsed.truncated, max: number(MAX_DOMAINS) })}</span>
+            )}
+            <select
+              className="ml-auto border rounded px-2 py-0.5 text-xs text-gray-700"
+              value={extractMode}
+              disabled={isScanning}
+              onChange={(e) => setExtractMode(e.target.value)}
+              title={t("input.modeTitle")}
+            >
+              <option value="registrable">{t("input.modeRegistrable")}</option>
+              <option value="hostname">{t("input.modeHostname")}</option>
+            </select>
+          </div>
+          {showRejected && parsed.rejected.length > 0 && (
+            <div className="mt-2 max-h-40 overflow-auto text-xs border rounded-md p-2 bg-red-50">
+              {parsed.rejected.slice(0, 200).map((r, i) => (
+                <div key={i}>
+                  <span className="font-mono">{r.token}</span> — {t(`reject.${r.reason}`)}
+                </div>
+              ))}
+              {parsed.rejected.length > 200 && <div>{t("input.moreRejected", { count: parsed.rejected.length - 200 })}</div>}
+            </div>
+          )}
+          <div className="mt-3 flex flex-wrap items-center gap-x-6 gap-y-2 text-sm text-gray-700">
+            <label className="inline-flex items-center gap-2">
+              {t("settings.concurrency")}
+              <input
+                type="range" min={1} max={20} step={1}
+                value={concurrency}
+                disabled={isScanning && serverScan}
+                onChange={(e) => setConcurrency(Number(e.target.value))}
+              />
+              <b className="w-6">{concurrency}</b> {t("settings.domainsUnit")}
+            </label>
+            <label className="inline-flex items-center gap-2">
+              {t("settings.rate")}
+              <input
+                type="range" min={0.5} max={20} step={0.5}
+                value={rps}
+                disabled={isScanning && serverScan}
+                onChange={(e) => setRps(Number(e.target.value))}
+              />
+              <b className="w-8">{number(rps)}</b> {t("settings.rpsUnit")}
+            </label>
+            <span className="inline-flex items-center gap-3" title={t("settings.sourcesTitle")}>
+              {t("settings.sources")}
+              {Object.entries(PROVIDERS).map(([id, p]) => (
+                <label key={id} className="inline-flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={providers.includes(id)}
+                    disabled={isScanning || (providers.length === 1 && providers[0] === id)}
+                    onChange={(e) => setProviders(prev => e.target.checked ? [...prev, id] : prev.filter(x => x !== id))}
+                  />
+                  {p.label}
+                </label>
+              ))}
+            </span>
+            <label className="inline-flex items-center gap-2" title={t("settings.refreshCacheTitle")}>
+              <input
+                type="checkbox"
+                checked={forceRefresh}
+                disabled={isScanning}
+                onChange={(e) => setForceRefresh(e.target.checked)}
+              />
+              {t("settings.refreshCache")}
+            </label>
+            <label className="inline-flex items-center gap-2" title={t("settings.apiKeyTitle")}>
+              {t("settings.apiKey")}
+              <input
+                type="password"
+                className="border rounded px-2 py-0.5 text-xs w-32"
+                value={apiKey}
+                disabled={isScanning}
+                onChange={(e) => setApiKey(e.target.value.trim())}
+                placeholder={t("settings.apiKeyPlaceholder")}
+              />
+            </label>
           </div>
           {stats.total > 0 && (
             <div className="mt-3">
@@ -347,7 +745,7 @@ export default function App() {
                 <div className="h-full bg-black" style={{ width: `${pct}%` }} />
               </div>
               <div className="text-xs text-gray-600 mt-1">
-                {stats.done} / {stats.total} • {pct}%
+                {number(stats.done)} / {number(stats.total)} • {pct}%
               </div>
             </div>
           )}
@@ -356,84 +754,39 @@ export default function App() {
         {rows.length > 0 && (
           <div className="bg-white border rounded-lg">
             <div className="px-4 py-3 text-base font-semibold border-b flex items-center justify-between">
-              <span>Kết Quả Quét ({rows.length} miền)</span>
-            </div>
-            <div className="overflow-auto">
-              <table className="min-w-full text-sm">
-                <thead className="bg-gray-50 text-gray-700">
-                  <tr>
-                    <th className="text-left px-4 py-2">Miền</th>
-                    <th className="text-left px-4 py-2">Trạng thái</th>
-                    <th className="text-left px-4 py-2">Số năm</th>
-                    <th className="text-left px-4 py-2">Năm đầu</th>
-                    <th className="text-left px-4 py-2">Năm cuối</th>
-                    <th className="text-left px-4 py-2">Tổng bản lưu</th>
-                    <th className="text-left px-4 py-2">Thời gian (ms)</th>
-                    <th className="text-left px-4 py-2">Hành động</th>
-                  </tr>
-                </thead>
-                <tbody className="divide-y">
-                  <AnimatePresence initial={false}>
-                    {rows.map((r, i) => (
-                      <motion.tr key={r.domain} initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} className="align-middle">
-                        <td className="px-4 py-2 font-mono">{r.domain}</td>
-                        <td className="px-4 py-2">
-                          {r.status === "checking" && (
-                            <span className="inline-flex items-center gap-1 text-gray-600">
-                              <Loader2 className="animate-spin" size={16}/> Đang kiểm tra
-                            </span>
-                          )}
-                          {r.status === "error" && (
-                            <span className="inline-flex items-center gap-1 text-red-600">
-                              <AlertCircle size={16}/> Lỗi
-                              {r.errorMsg ? <span className="ml-2 text-xs">{r.errorMsg}</span> : null}
-                            </span>
-                          )}
-                          {r.status === "complete" && (
-                            <span className="inline-flex items-center gap-1 text-emerald-700">
-                              <CheckCircle2 size={16}/> Hoàn thành
-                            </span>
-                          )}
-                        </td>
-                        <td className="px-4 py-2">
-                          {typeof r.years === "string" && /^\d+/.test(r.years) ? (
-                            <span className={r.years.startsWith("0") ? "text-red-500 font-semibold" : "text-green-600 font-semibold"}>
-                              {r.years}
-                            </span>
-                          ) : (r.years ?? "—")}
-                        </td>
-                        <td className="px-4 py-2">{r.firstYear ?? "—"}</td>
-                        <td className="px-4 py-2">{r.lastYear ?? "—"}</td>
-                        <td className="px-4 py-2">{r.totalSnapshots ?? 0}</td>
-                        <td className="px-4 py-2">{r.timeMs ?? 0}</td>
-                        <td className="px-4 py-2">
-                          <div className="flex gap-2">
-                            {r.closestUrl ? (
-                              <a className="inline-flex items-center gap-1 px-3 py-1.5 border rounded-md hover:bg-gray-50"
-                                 href={r.closestUrl} target="_blank" rel="noreferrer">
-                                <ExternalLink size={14}/> Lưu trữ
-                              </a>
-                            ) : (
-                              <span className="text-gray-400 px-3 py-1.5 border rounded-md">Lưu trữ</span>
-                            )}
-                          </div>
-                        </td>
-                      </motion.tr>
-                    ))}
-                  </AnimatePresence>
-                </tbody>
-              </table>
+              <span>
+                {t("results.title", {
+                  count: hasActiveFilters(filters) ? `${number(visibleIndices.length)} / ${number(rows.length)}` : rows.length,
+                })}
+              </span>
+              <label className="inline-flex items-center gap-2 text-sm font-normal text-gray-700" title={t("results.exportAllTitle")}>
+                <input type="checkbox" checked={exportAll} onChange={(e) => setExportAll(e.target.checked)} />
+                {t("results.exportAll")}
+              </label>
             </div>
+            <ResultsTable
+              rows={scoredRows}
+              indices={visibleIndices}
+              sort={sort}
+              onSort={setSort}
+              filters={filters}
+              onFiltersChange={setFilters}
+              isScanning={isScanning}
+              onDetail={setDetailIndex}
+              onRefresh={refreshRow}
+            />
             {errorRows.length > 0 && (
               <div className="mt-3 text-xs text-red-600">
-                <b>Miền lỗi không lấy được dữ liệu:</b> {errorRows.map(r=>r.domain).join(", ")}
+                <b>{t("results.errorDomains")}</b> {errorRows.map(r=>r.domain).join(", ")}
               </div>
             )}
           </div>
         )}
 
+        <DomainDrawer row={detailIndex == null ? null : scoredRows[detailIndex]} apiKey={apiKey} onClose={() => setDetailIndex(null)} />
+
         <div className="text-xs text-neutral-500 pt-6">
-          GENO TOOL Bản Quyền thuộc về GENO Ở KJC
+          {t("app.footer")}
         </div>
       </div>
     </div>
@@ -0,0 +1,150 @@
+import React from "react";
+import { X, ExternalLink, CornerDownRight } from "lucide-react";
+import { PROVIDERS } from "../lib/providers.js";
+import { safeHttpUrl } from "../lib/domains.js";
+import SnapshotTimeline from "./SnapshotTimeline.jsx";
+import { useI18n } from "./I18nProvider.jsx";
+
+const STATUS_CLASSES = ["2xx", "3xx", "4xx", "5xx", "other"];
+const STATUS_COLORS = {
+  "2xx": "bg-emerald-500",
+  "3xx": "bg-amber-400",
+  "4xx": "bg-red-400",
+  "5xx": "bg-red-700",
+  other: "bg-gray-300",
+};
+
+// Thanh xếp chồng tỉ lệ các nhóm mã trạng thái trong một năm
+function StatusBar({ counts, max }) {
+  const total = STATUS_CLASSES.reduce((n, c) => n + (counts[c] ?? 0), 0);
+  return (
+    <div className="flex h-3 rounded overflow-hidden bg-gray-100" style={{ width: `${Math.max(4, (total / max) * 100)}%` }}>
+      {STATUS_CLASSES.map(c => counts[c] ? (
+        <div key={c} className={STATUS_COLORS[c]} style={{ width: `${(counts[c] / total) * 100}%` }} title={`${c}: ${counts[c]}`} />
+      ) : null)}
+    </div>
+  );
+}
+
+// Bảng chi tiết một miền, mở từ dòng kết quả
+export default function DomainDrawer({ row, apiKey, onClose }) {
+  const { t, number, tsDate } = useI18n();
+  if (!row) return null;
+  const years = Object.keys(row.statusYears || {}).sort();
+  const yearTotals = years.map(y => STATUS_CLASSES.reduce((n, c) => n + (row.statusYears[y][c] ?? 0), 0));
+  const max = Math.max(1, ...yearTotals);
+  const totals = row.statusTotals || {};
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end bg-black/30" onClick={onClose}>
+      <div className="h-full w-full max-w-xl bg-white shadow-xl overflow-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="px-5 py-4 border-b flex items-center justify-between sticky top-0 bg-white">
+          <div>
+            <div className="font-mono text-lg">{row.domain}</div>
+            <div className="text-xs text-gray-500">
+              {row.firstYear ?? "—"} → {row.lastYear ?? "—"} • {t("drawer.summary", { count: row.totalSnapshots ?? 0 })}
+            </div>
+          </div>
+          <button onClick={onClose} className="text-gray-500 hover:text-black"><X size={20} /></button>
+        </div>
+
+        <div className="px-5 py-4 space-y-6 text-sm">
+          <section>
+            <h3 className="font-semibold mb-2">{t("drawer.timeline")}</h3>
+            <SnapshotTimeline domain={row.domain} apiKey={apiKey} />
+          </section>
+
+          {Object.keys(row.providers || {}).length > 0 && (
+            <section>
+              <h3 className="font-semibold mb-2">{t("drawer.sources")}</h3>
+              <table className="w-full">
+                <tbody>
+                  {Object.entries(row.providers).map(([id, p]) => (
+                    <tr key={id}>
+                      <td className="pr-3 py-0.5">{PROVIDERS[id]?.label ?? id}</td>
+                      {p.error ? (
+                        <td colSpan={3} className="py-0.5 text-red-600">{p.error}</td>
+                      ) : (
+                        <>
+                          <td className="pr-3 py-0.5 text-gray-600">{tsDate(p.firstTs)} → {tsDate(p.lastTs)}</td>
+                          <td className="pr-3 py-0.5 text-right text-gray-600" title={p.sampledCrawls ? t("drawer.sampledCrawls", { count: p.sampledCrawls }) : undefined}>
+                            {t("units.snapshots", { count: p.captures ?? 0 })}
+                          </td>
+                          <td className="py-0.5">
+                            {safeHttpUrl(p.url) && <a href={safeHttpUrl(p.url)} target="_blank" rel="noreferrer" className="text-blue-700"><ExternalLink size={14} /></a>}
+                          </td>
+                        </>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </section>
+          )}
+
+          <section>
+            <h3 className="font-semibold mb-2">{t("drawer.statusByYear")}</h3>
+            {years.length === 0 ? (
+              <div className="text-gray-500">{t("drawer.noStatus")}</div>
+            ) : (
+              <>
+                <div className="flex flex-wrap gap-3 text-xs text-gray-600 mb-2">
+                  {STATUS_CLASSES.map(c => (
+                    <span key={c} className="inline-flex items-center gap-1">
+                      <span className={`inline-block w-3 h-3 rounded ${STATUS_COLORS[c]}`} />
+                      {c === "other" ? t("drawer.other") : c}: {number(totals[c] ?? 0)}
+                    </span>
+                  ))}
+                </div>
+                <table className="w-full">
+                  <tbody>
+                    {years.map((y, i) => (
+                      <tr key={y}>
+                        <td className="pr-3 py-0.5 w-12 text-gray-600">{y}</td>
+                        <td className="py-0.5"><StatusBar counts={row.statusYears[y]} max={max} /></td>
+                        <td className="pl-3 py-0.5 w-14 text-right text-gray-600">{number(yearTotals[i])}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="text-xs text-gray-500 mt-2">
+                  {t("drawer.redirectShare", { pct: number(row.redirectPct ?? 0) })}
+                  {(totals["2xx"] ?? 0) === 0 && (totals["3xx"] ?? 0) > 0 && (
+                    <b className="text-red-600 ml-1">{t("drawer.redirectOnly")}</b>
+                  )}
+                </div>
+              </>
+            )}
+          </section>
+
+          <section>
+            <h3 className="font-semibold mb-2">{t("drawer.redirectTargets")}</h3>
+            {(row.redirectTargets || []).length === 0 ? (
+              <div className="text-gray-500">{t("drawer.noRedirects")}</div>
+            ) : (
+              <ul className="space-y-1">
+                {row.redirectTargets.map(target => (
+                  <li key={target.host} className="flex items-center gap-2">
+                    <CornerDownRight size={14} className="text-gray-400" />
+                    <span className={`font-mono ${target.external ? "text-amber-700" : "text-gray-600"}`}>{target.host}</span>
+                    <span className="text-xs text-gray-500">
+                      {t("units.snapshots", { count: target.captures })} • {target.firstYear === target.lastYear ? target.firstYear : `${target.firstYear}–${target.lastYear}`}
+                      {target.external ? "" : t("drawer.sameDomain")}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+
+          {safeHttpUrl(row.closestUrl) && (
+            <a className="inline-flex items-center gap-1 px-3 py-1.5 border rounded-md hover:bg-gray-50"
+               href={safeHttpUrl(row.closestUrl)} target="_blank" rel="noreferrer">
+              <ExternalLink size={14} /> {t("drawer.closest")}
+            </a>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
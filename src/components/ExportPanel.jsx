@@ -0,0 +1,131 @@
+import React, { useState } from "react";
+import { Download, Copy, Save, Trash2 } from "lucide-react";
+import { COLUMN_KEYS } from "../lib/exportColumns.js";
+import {
+  EXPORT_FORMATS, exportMeta, buildExportFile, downloadBlob, toTSV, loadTemplates, saveTemplates
+} from "../lib/resultFiles.js";
+import { useI18n } from "./I18nProvider.jsx";
+
+const input = "border rounded px-2 py-1 text-sm";
+
+// Chọn định dạng + cột, lưu thành mẫu; `rows` là các dòng sẽ xuất (đã theo bộ lọc hoặc toàn bộ)
+export default function ExportPanel({ rows, scan, onNotify }) {
+  const i18n = useI18n();
+  const { t, errorText } = i18n;
+  const [templates, setTemplates] = useState(loadTemplates);
+  const [format, setFormat] = useState("csv");
+  const [columns, setColumns] = useState(COLUMN_KEYS);
+  const [templateName, setTemplateName] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const toggle = (key) => setColumns(prev =>
+    prev.includes(key) ? prev.filter(k => k !== key) : COLUMN_KEYS.filter(k => k === key || prev.includes(k))
+  );
+
+  const persist = (list) => {
+    setTemplates(list);
+    saveTemplates(list);
+  };
+
+  const applyTemplate = (name) => {
+    const t = templates.find(x => x.name === name);
+    if (!t) return;
+    setTemplateName(t.name);
+    setFormat(t.format);
+    setColumns(t.columns);
+  };
+
+  const saveTemplate = () => {
+    const name = templateName.trim();
+    if (!name || columns.length === 0) return;
+    persist([...templates.filter(t => t.name !== name), { name, format, columns }]);
+    onNotify(t("export.templateSaved", { name }));
+  };
+
+  const download = async () => {
+    setBusy(true);
+    try {
+      const meta = exportMeta(scan, { columns, total: rows.length, locale: i18n.locale });
+      const blob = await buildExportFile(rows, { format, columns, meta });
+      downloadBlob(blob, `${t("export.fileName")}-${Date.now()}.${EXPORT_FORMATS[format].ext}`);
+    } catch (e) {
+      onNotify(t("export.failed", { message: errorText(e) }), "error");
+    }
+    setBusy(false);
+  };
+
+  const copy = async () => {
+    if (rows.length === 0) return onNotify(t("export.nothingToCopy"), "error");
+    try {
+      await navigator.clipboard.writeText(toTSV(rows, columns, i18n));
+      onNotify(t("export.copied", { rows: i18n.number(rows.length), columns: columns.length }));
+    } catch (e) {
+      onNotify(t("export.copyFailed", { message: errorText(e) }), "error");
+    }
+  };
+
+  return (
+    <div className="bg-white border rounded-lg p-4 mb-4 text-sm">
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <span className="text-base font-semibold mr-2">{t("export.title", { count: rows.length })}</span>
+        <select className={input} value={format} onChange={(e) => setFormat(e.target.value)}>
+          {Object.entries(EXPORT_FORMATS).map(([k, f]) => <option key={k} value={k}>{f.label}</option>)}
+        </select>
+        <select className={input} value="" onChange={(e) => applyTemplate(e.target.value)}>
+          <option value="">{t("export.templates")}</option>
+          {templates.map(t => <option key={t.name} value={t.name}>{t.name}</option>)}
+        </select>
+        <input className={`${input} w-36`} placeholder={t("export.templateName")} value={templateName} onChange={(e) => setTemplateName(e.target.value)} />
+        <button
+          onClick={saveTemplate}
+          disabled={!templateName.trim() || columns.length === 0}
+          className="inline-flex items-center gap-1 px-3 py-1.5 border rounded-md hover:bg-gray-50 disabled:opacity-40"
+        >
+          <Save size={14} /> {t("export.saveTemplate")}
+        </button>
+        {templates.some(t => t.name === templateName.trim()) && (
+          <button
+            onClick={() => persist(templates.filter(t => t.name !== templateName.trim()))}
+            className="inline-flex items-center gap-1 px-3 py-1.5 border rounded-md text-red-700 hover:bg-red-50"
+          >
+            <Trash2 size={14} /> {t("export.deleteTemplate")}
+          </button>
+        )}
+        <div className="ml-auto flex gap-2">
+          <button
+            onClick={copy}
+            disabled={columns.length === 0}
+            title={t("export.copyTitle")}
+            className="inline-flex items-center gap-1 px-3 py-1.5 border rounded-md hover:bg-gray-50 disabled:opacity-40"
+          >
+            <Copy size={14} /> {t("export.copy")}
+          </button>
+          <button
+            onClick={download}
+            disabled={busy || columns.length === 0 || rows.length === 0}
+            className="inline-flex items-center gap-1 px-3 py-1.5 border rounded-md bg-black text-white hover:bg-gray-800 disabled:opacity-40"
+          >
+            <Download size={14} /> {t("export.download")}
+          </button>
+        </div>
+      </div>
+
+      <div className="flex items-center gap-3 text-xs mb-1">
+        <span className="text-gray-600">{t("export.columns", { count: columns.length, total: COLUMN_KEYS.length })}</span>
+        <button onClick={() => setColumns(COLUMN_KEYS)} className="text-blue-700 underline">{t("export.all")}</button>
+        <button onClick={() => setColumns([])} className="text-blue-700 underline">{t("export.none")}</button>
+      </div>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-x-4 gap-y-1 font-mono text-xs">
+        {COLUMN_KEYS.map(key => (
+          <label key={key} className="inline-flex items-center gap-1">
+            <input type="checkbox" checked={columns.includes(key)} onChange={() => toggle(key)} />
+            {key}
+          </label>
+        ))}
+      </div>
+      <div className="mt-2 text-xs text-gray-500">
+        {t("export.hint")}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,168 @@
+import React, { useRef, useState } from "react";
+import { FileUp, X } from "lucide-react";
+import { normalizeDomain } from "../lib/domains.js";
+import { useI18n } from "./I18nProvider.jsx";
+
+const TEXT_EXT = /\.(txt|list)$/i;
+const DELIMITED_EXT = /\.(csv|tsv)$/i;
+
+const isDomainCell = (v) => Boolean(v && normalizeDomain(String(v), { mode: "hostname" }).domain);
+
+// Cột có nhiều ô giống tên miền nhất
+function guessColumn(rows) {
+  const width = Math.max(0, ...rows.map(r => r.length));
+  let best = 0, bestCount = -1;
+  for (let c = 0; c < width; c++) {
+    const count = rows.slice(0, 200).filter(r => isDomainCell(r[c])).length;
+    if (count > bestCount) { best = c; bestCount = count; }
+  }
+  return best;
+}
+
+// Đọc CSV/TSV/XLSX thành { tên sheet: mảng dòng }; xlsx chỉ tải khi cần
+async function readSheets(file) {
+  const XLSX = await import("xlsx");
+  const wb = DELIMITED_EXT.test(file.name)
+    ? XLSX.read(await file.text(), { type: "string" })
+    : XLSX.read(await file.arrayBuffer(), { type: "array" });
+  const sheets = {};
+  for (const name of wb.SheetNames) {
+    sheets[name] = XLSX.utils.sheet_to_json(wb.Sheets[name], { header: 1, raw: false, defval: "" });
+  }
+  return sheets;
+}
+
+// Vùng kéo-thả file quanh ô nhập + chọn cột cho file dạng bảng
+export default function FileImport({ onImport, disabled, children }) {
+  const { t, errorText } = useI18n();
+  const inputRef = useRef(null);
+  const [dragging, setDragging] = useState(false);
+  const [pending, setPending] = useState(null); // { fileName, sheets, sheet, column, hasHeader }
+  const [error, setError] = useState("");
+
+  const pickSheet = (sheets, sheet, fileName) => {
+    const rows = sheets[sheet] || [];
+    const column = guessColumn(rows);
+    setPending({ fileName, sheets, sheet, column, hasHeader: rows.length > 0 && !isDomainCell(rows[0][column]) });
+  };
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    setError("");
+    try {
+      if (TEXT_EXT.test(file.name) || (file.type === "text/plain" && !DELIMITED_EXT.test(file.name))) {
+        onImport(await file.text());
+        return;
+      }
+      const sheets = await readSheets(file);
+      const first = Object.keys(sheets)[0];
+      if (!first) throw new Error(t("fileImport.empty"));
+      pickSheet(sheets, first, file.name);
+    } catch (e) {
+      setError(t("fileImport.readFailed", { file: file.name, message: errorText(e) }));
+    }
+  };
+
+  const rows = pending ? pending.sheets[pending.sheet] || [] : [];
+  const width = Math.max(0, ...rows.map(r => r.length));
+  const header = pending?.hasHeader ? rows[0] || [] : [];
+  const body = pending?.hasHeader ? rows.slice(1) : rows;
+  const columnLabel = (c) => (header[c] ? t("fileImport.namedColumn", { name: header[c], n: c + 1 }) : t("fileImport.column", { n: c + 1 }));
+
+  const confirm = () => {
+    const values = body.map(r => r[pending.column]).filter(Boolean);
+    onImport(values.join("\n"));
+    setPending(null);
+  };
+
+  return (
+    <div
+      className="relative"
+      onDragOver={(e) => { e.preventDefault(); if (!disabled) setDragging(true); }}
+      onDragLeave={() => setDragging(false)}
+      onDrop={(e) => {
+        e.preventDefault();
+        setDragging(false);
+        if (!disabled) handleFile(e.dataTransfer.files?.[0]);
+      }}
+    >
+      {children}
+      {dragging && (
+        <div className="absolute inset-0 rounded-md border-2 border-dashed border-blue-500 bg-blue-50/80 flex items-center justify-center text-sm text-blue-700 pointer-events-none">
+          {t("fileImport.drop")}
+        </div>
+      )}
+
+      <div className="mt-2 flex items-center gap-3 text-xs text-gray-500">
+        <button
+          type="button"
+          disabled={disabled}
+          onClick={() => inputRef.current?.click()}
+          className="inline-flex items-center gap-1 px-2 py-1 border rounded-md hover:bg-gray-50 disabled:opacity-50"
+        >
+          <FileUp size={14} /> {t("fileImport.pick")}
+        </button>
+        <span>{t("fileImport.hint")}</span>
+        <input
+          ref={inputRef}
+          type="file"
+          accept=".txt,.list,.csv,.tsv,.xlsx,.xls,text/plain,text/csv"
+          className="hidden"
+          onChange={(e) => { handleFile(e.target.files?.[0]); e.target.value = ""; }}
+        />
+      </div>
+      {error && <div className="mt-1 text-xs text-red-600">{error}</div>}
+
+      {pending && (
+        <div className="mt-3 border rounded-md p-3 text-sm bg-gray-50">
+          <div className="flex items-center justify-between mb-2">
+            <b>{pending.fileName}</b>
+            <button onClick={() => setPending(null)} className="text-gray-500 hover:text-black"><X size={16} /></button>
+          </div>
+          <div className="flex flex-wrap items-center gap-4">
+            {Object.keys(pending.sheets).length > 1 && (
+              <label className="inline-flex items-center gap-2">
+                {t("fileImport.sheet")}
+                <select
+                  className="border rounded px-2 py-1"
+                  value={pending.sheet}
+                  onChange={(e) => pickSheet(pending.sheets, e.target.value, pending.fileName)}
+                >
+                  {Object.keys(pending.sheets).map(n => <option key={n} value={n}>{n}</option>)}
+                </select>
+              </label>
+            )}
+            <label className="inline-flex items-center gap-2">
+              {t("fileImport.domainColumn")}
+              <select
+                className="border rounded px-2 py-1"
+                value={pending.column}
+                onChange={(e) => setPending(p => ({ ...p, column: Number(e.target.value) }))}
+              >
+                {Array.from({ length: width }, (_, c) => <option key={c} value={c}>{columnLabel(c)}</option>)}
+              </select>
+            </label>
+            <label className="inline-flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={pending.hasHeader}
+                onChange={(e) => setPending(p => ({ ...p, hasHeader: e.target.checked }))}
+              />
+              {t("fileImport.hasHeader")}
+            </label>
+          </div>
+          <div className="mt-2 text-xs text-gray-600 font-mono">
+            {body.slice(0, 5).map((r, i) => <div key={i}>{String(r[pending.column] ?? "")}</div>)}
+            {body.length > 5 && <div>{t("fileImport.more", { count: body.length - 5 })}</div>}
+          </div>
+          <button
+            onClick={confirm}
+            className="mt-2 inline-flex items-center gap-1 px-3 py-1.5 border rounded-md bg-white hover:bg-gray-100"
+          >
+            {t("fileImport.add", { count: body.length })}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
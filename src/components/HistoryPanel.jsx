@@ -0,0 +1,147 @@
+import React, { useMemo, useState } from "react";
+import { FolderOpen, Pencil, Trash2, GitCompare, Check, X } from "lucide-react";
+import { diffScans } from "../lib/compare.js";
+import { useI18n } from "./I18nProvider.jsx";
+
+function scanCounts(scan) {
+  const rows = scan.rows || [];
+  return {
+    total: rows.length,
+    done: rows.filter(r => r.status === "complete").length,
+    errors: rows.filter(r => r.status === "error").length,
+  };
+}
+
+// Bảng khác biệt giữa hai lần quét (lần cũ hơn làm gốc)
+export function ScanCompare({ a, b, onClose }) {
+  const { t, number } = useI18n();
+  const [older, newer] = a.createdAt <= b.createdAt ? [a, b] : [b, a];
+  const changes = useMemo(() => diffScans(older.rows || [], newer.rows || []), [older, newer]);
+  return (
+    <div className="mt-3 border rounded-md">
+      <div className="px-3 py-2 text-sm border-b flex items-center justify-between bg-gray-50">
+        <span>
+          {t("compare.title")} <b>{older.name}</b> → <b>{newer.name}</b>{t("compare.changes", { count: changes.length })}
+        </span>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-800"><X size={16} /></button>
+      </div>
+      {changes.length === 0 ? (
+        <div className="px-3 py-2 text-sm text-gray-500">{t("compare.none")}</div>
+      ) : (
+        <div className="max-h-72 overflow-auto">
+          <table className="min-w-full text-sm">
+            <thead className="text-gray-700">
+              <tr>
+                <th className="text-left px-3 py-1">{t("compare.domain")}</th>
+                <th className="text-left px-3 py-1">{t("compare.change")}</th>
+                <th className="text-left px-3 py-1">{t("compare.lastYear")}</th>
+                <th className="text-left px-3 py-1">{t("compare.snapshots")}</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {changes.map(c => (
+                <tr key={c.domain}>
+                  <td className="px-3 py-1 font-mono">{c.domain}</td>
+                  <td className="px-3 py-1">{c.kinds.map(k => t(`compare.kinds.${k}`)).join(", ")}</td>
+                  <td className="px-3 py-1">{c.before?.lastYear ?? "—"} → {c.after?.lastYear ?? "—"}</td>
+                  <td className="px-3 py-1">{number(c.before?.totalSnapshots ?? 0)} → {number(c.after?.totalSnapshots ?? 0)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function HistoryPanel({ scans, currentId, disabled, onOpen, onRename, onDelete }) {
+  const { t, has, dateTime } = useI18n();
+  const [editing, setEditing] = useState(null); // { id, name }
+  const [selected, setSelected] = useState([]);
+  const [comparing, setComparing] = useState(false);
+
+  const toggleSelect = (id) => {
+    setComparing(false);
+    setSelected(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id].slice(-2));
+  };
+
+  const compared = comparing ? selected.map(id => scans.find(s => s.id === id)).filter(Boolean) : [];
+
+  return (
+    <div className="bg-white border rounded-lg p-4 mb-4">
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-base font-semibold">{t("history.title", { count: scans.length })}</span>
+        <button
+          onClick={() => setComparing(true)}
+          disabled={selected.length !== 2}
+          className="inline-flex items-center gap-1 px-3 py-1.5 border rounded-md text-sm hover:bg-gray-50 disabled:opacity-50"
+        >
+          <GitCompare size={14} /> {t("history.compareTwo")}
+        </button>
+      </div>
+      {scans.length === 0 ? (
+        <div className="text-sm text-gray-500">{t("history.empty")}</div>
+      ) : (
+        <div className="max-h-64 overflow-auto divide-y">
+          {scans.map(scan => {
+            const c = scanCounts(scan);
+            return (
+              <div key={scan.id} className={`flex items-center gap-3 py-2 text-sm ${scan.id === currentId ? "bg-blue-50" : ""}`}>
+                <input type="checkbox" checked={selected.includes(scan.id)} onChange={() => toggleSelect(scan.id)} />
+                <div className="flex-1 min-w-0">
+                  {editing?.id === scan.id ? (
+                    <form
+                      className="flex gap-1"
+                      onSubmit={(e) => {
+                        e.preventDefault();
+                        onRename(scan.id, editing.name.trim() || scan.name);
+                        setEditing(null);
+                      }}
+                    >
+                      <input
+                        autoFocus
+                        className="flex-1 border rounded px-2 py-0.5"
+                        value={editing.name}
+                        onChange={(e) => setEditing({ id: scan.id, name: e.target.value })}
+                      />
+                      <button type="submit" className="text-emerald-700"><Check size={16} /></button>
+                      <button type="button" onClick={() => setEditing(null)} className="text-gray-500"><X size={16} /></button>
+                    </form>
+                  ) : (
+                    <div className="font-medium truncate">{scan.name}</div>
+                  )}
+                  <div className="text-xs text-gray-500">
+                    {dateTime(scan.createdAt)} • {has(`history.status.${scan.status}`) ? t(`history.status.${scan.status}`) : scan.status} •{" "}
+                    {t("history.done", { done: c.done, total: c.total })}{c.errors ? t("history.errors", { count: c.errors }) : ""}
+                  </div>
+                </div>
+                <button disabled={disabled} onClick={() => onOpen(scan)} title={t("history.open")} className="text-gray-600 hover:text-black disabled:opacity-40">
+                  <FolderOpen size={16} />
+                </button>
+                <button onClick={() => setEditing({ id: scan.id, name: scan.name })} title={t("history.rename")} className="text-gray-600 hover:text-black">
+                  <Pencil size={16} />
+                </button>
+                <button
+                  disabled={disabled && scan.id === currentId}
+                  onClick={() => {
+                    if (!window.confirm(t("history.confirmDelete", { name: scan.name }))) return;
+                    setSelected(prev => prev.filter(x => x !== scan.id));
+                    onDelete(scan.id);
+                  }}
+                  title={t("history.delete")}
+                  className="text-red-600 hover:text-red-800 disabled:opacity-40"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+      {compared.length === 2 && (
+        <ScanCompare a={compared[0]} b={compared[1]} onClose={() => setComparing(false)} />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from "react";
+import { Languages } from "lucide-react";
+import { LOCALES, createI18n, detectLocale, saveLocale } from "../lib/i18n.js";
+
+const I18nContext = createContext(null);
+
+// Bọc toàn app; đổi ngôn ngữ là mọi component dùng useI18n() vẽ lại
+export function I18nProvider({ children }) {
+  const [locale, setLocale] = useState(detectLocale);
+  const value = useMemo(() => ({ ...createI18n(locale), setLocale }), [locale]);
+
+  useEffect(() => {
+    saveLocale(locale);
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+// { locale, setLocale, t, number, tsDate, dateTime, errorText }
+export function useI18n() {
+  return useContext(I18nContext);
+}
+
+export function LanguageSwitcher() {
+  const { locale, setLocale, t } = useI18n();
+  return (
+    <label className="inline-flex items-center gap-1 text-sm text-gray-700" title={t("app.language")}>
+      <Languages className="h-4 w-4" />
+      <select className="border rounded px-1 py-0.5 text-sm bg-white" value={locale} onChange={(e) => setLocale(e.target.value)}>
+        {Object.entries(LOCALES).map(([id, l]) => <option key={id} value={id}>{l.label}</option>)}
+      </select>
+    </label>
+  );
+}
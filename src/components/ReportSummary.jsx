@@ -0,0 +1,65 @@
+import React, { useMemo } from "react";
+import { summarizeRows, reportStats, reportCharts } from "../lib/report.js";
+import { useI18n } from "./I18nProvider.jsx";
+
+const TONES = { bad: "text-red-600", review: "text-amber-600" };
+
+// Ô số liệu + biểu đồ của báo cáo chia sẻ (cùng dữ liệu với file HTML)
+export default function ReportSummary({ rows }) {
+  const i18n = useI18n();
+  const { t, number } = i18n;
+  const summary = useMemo(() => summarizeRows(rows), [rows]);
+  const charts = reportCharts(summary, t).filter(c => c.bars.some(b => b.value > 0));
+
+  return (
+    <div className="text-sm">
+      <div className="flex flex-wrap gap-3 mb-3">
+        {reportStats(summary, i18n).map(s => (
+          <div key={s.label} className="border rounded-md px-3 py-2 min-w-[130px]">
+            <div className={`text-lg font-semibold ${TONES[s.tone] || ""}`}>{s.value}</div>
+            <div className="text-xs text-gray-500">{s.label}</div>
+            {s.hint && <div className="text-xs text-gray-400">{s.hint}</div>}
+          </div>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-6">
+        {charts.map(chart => {
+          const max = Math.max(1, ...chart.bars.map(b => b.value));
+          return (
+            <div key={chart.key} className="min-w-[240px]">
+              <div className="text-xs font-semibold text-gray-700 mb-1">{chart.title}</div>
+              {chart.layout === "columns" ? (
+                <div>
+                  <div className="flex items-end gap-0.5 h-24">
+                    {chart.bars.map(b => (
+                      <div
+                        key={b.label}
+                        title={`${b.label}: ${number(b.value)}`}
+                        className="w-2.5"
+                        style={{ height: `${(b.value / max) * 100}%`, minHeight: b.value > 0 ? 2 : 0, background: b.color }}
+                      />
+                    ))}
+                  </div>
+                  <div className="flex justify-between text-xs text-gray-500">
+                    <span>{chart.bars[0]?.label}</span>
+                    <span>{chart.bars[chart.bars.length - 1]?.label}</span>
+                  </div>
+                </div>
+              ) : (
+                chart.bars.map(b => (
+                  <div key={b.label} className="flex items-center gap-2 text-xs h-5">
+                    <span className="w-24 text-gray-600 truncate">{b.label}</span>
+                    <div className="w-40 bg-gray-100 rounded-sm h-3">
+                      <div className="h-3 rounded-sm" style={{ width: `${(b.value / max) * 100}%`, background: b.color }} />
+                    </div>
+                    <span className="text-gray-700">{number(b.value)}</span>
+                  </div>
+                ))
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
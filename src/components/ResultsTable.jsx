@@ -0,0 +1,284 @@
+import React, { useEffect, useLayoutEffect, useRef, useState } from "react";
+import {
+  Loader2, CheckCircle2, AlertCircle, ExternalLink, RefreshCw, Database, PanelRight,
+  ArrowUp, ArrowDown, ArrowUpDown, Search
+} from "lucide-react";
+import { toUnicodeDomain, safeHttpUrl } from "../lib/domains.js";
+import { coverageLevel, COVERAGE_CLASSES, formatGap } from "../lib/coverage.js";
+import { DEFAULT_FILTERS, hasActiveFilters, ageYears } from "../lib/tableView.js";
+import { VERDICTS } from "../lib/scoring.js";
+import { PROVIDERS } from "../lib/providers.js";
+import { VerdictBadge } from "./ScoringPanel.jsx";
+import { useI18n } from "./I18nProvider.jsx";
+
+// Bảng ảo hóa: chỉ render các dòng đang nằm trong khung nhìn (chiều cao dòng cố định)
+const ROW_HEIGHT = 56;
+const OVERSCAN = 8;
+
+// Nhãn ngắn của các nguồn đã quét; nguồn có bản lưu tô đậm, nguồn lỗi tô đỏ
+function SourceBadges({ providers }) {
+  const { t, tsDate } = useI18n();
+  const entries = Object.entries(providers || {});
+  if (entries.length === 0) return "—";
+  return (
+    <span className="inline-flex gap-1">
+      {entries.map(([id, p]) => (
+        <span
+          key={id}
+          title={p.error
+            ? `${PROVIDERS[id]?.label}: ${p.error}`
+            : t("table.sourceTitle", { label: PROVIDERS[id]?.label, count: p.captures ?? 0, from: tsDate(p.firstTs), to: tsDate(p.lastTs) })}
+          className={`px-1 rounded border text-xs ${p.error ? "border-red-300 text-red-600" : p.archived ? "border-blue-300 bg-blue-50 text-blue-800" : "text-gray-400"}`}
+        >
+          {PROVIDERS[id]?.short ?? id}
+        </span>
+      ))}
+    </span>
+  );
+}
+
+// Biểu đồ cột nhỏ: số bản lưu theo từng năm (năm trống = 0)
+function YearSparkline({ yearCounts }) {
+  const years = Object.keys(yearCounts || {}).map(Number).sort((a, b) => a - b);
+  if (years.length === 0) return null;
+  const from = years[0], to = years[years.length - 1];
+  const values = [];
+  for (let y = from; y <= to; y++) values.push(yearCounts[y] ?? 0);
+  const max = Math.max(...values, 1);
+  const barW = 4, gap = 1, h = 20;
+  const title = values.map((v, i) => `${from + i}: ${v}`).join("\n");
+  return (
+    <svg width={values.length * (barW + gap)} height={h} className="inline-block align-middle">
+      <title>{title}</title>
+      {values.map((v, i) => {
+        const bh = v > 0 ? Math.max(2, Math.round((v / max) * h)) : 0;
+        return <rect key={i} x={i * (barW + gap)} y={h - bh} width={barW} height={bh} className="fill-blue-500" />;
+      })}
+    </svg>
+  );
+}
+
+// Tên cột ở bản dịch "table.columns.<khóa>", chú thích (nếu có) ở "table.columnTitles.<khóa>"
+const COLUMNS = [
+  "domain", "status", "score", "years", "firstYear", "lastYear", "sources", "totalSnapshots",
+  "activePeriods", "longestGap", "recentGap", "redirectPct", "mainRedirect", "timeMs",
+];
+
+function SortHeader({ col, sort, onSort }) {
+  const { t, has } = useI18n();
+  const active = sort?.key === col;
+  const Icon = !active ? ArrowUpDown : sort.dir === "asc" ? ArrowUp : ArrowDown;
+  // asc → desc → bỏ sắp xếp
+  const next = !active ? { key: col, dir: "asc" } : sort.dir === "asc" ? { key: col, dir: "desc" } : null;
+  return (
+    <th className="text-left px-4 py-2 whitespace-nowrap" title={has(`table.columnTitles.${col}`) ? t(`table.columnTitles.${col}`) : undefined}>
+      <button onClick={() => onSort(next)} className={`inline-flex items-center gap-1 ${active ? "text-black" : ""}`}>
+        {t(`table.columns.${col}`)}
+        <Icon size={12} className={active ? "" : "text-gray-400"} />
+      </button>
+    </th>
+  );
+}
+
+function FilterBar({ filters, onChange, shown, total }) {
+  const { t, number } = useI18n();
+  const set = (patch) => onChange({ ...filters, ...patch });
+  const input = "border rounded px-2 py-1 text-sm";
+  return (
+    <div className="px-4 py-2 border-b flex flex-wrap items-center gap-x-4 gap-y-2 text-sm text-gray-700">
+      <label className="inline-flex items-center gap-1">
+        <Search size={14} className="text-gray-400" />
+        <input className={`${input} w-44`} placeholder={t("table.search")} value={filters.q} onChange={(e) => set({ q: e.target.value })} />
+      </label>
+      <select className={input} value={filters.status} onChange={(e) => set({ status: e.target.value })}>
+        <option value="all">{t("table.allStatuses")}</option>
+        {["complete", "error", "checking"].map(k => <option key={k} value={k}>{t(`table.status.${k}`)}</option>)}
+      </select>
+      <select className={input} value={filters.verdict} onChange={(e) => set({ verdict: e.target.value })}>
+        <option value="all">{t("table.allVerdicts")}</option>
+        {Object.keys(VERDICTS).map(k => <option key={k} value={k}>{t(`verdicts.${k}`)}</option>)}
+      </select>
+      <label className="inline-flex items-center gap-1">
+        {t("table.minAge")}
+        <input type="number" min={0} className={`${input} w-16`} value={filters.minAge} onChange={(e) => set({ minAge: e.target.value })} />
+        {t("unitLabels.years")}
+      </label>
+      <label className="inline-flex items-center gap-1">
+        {t("table.snapshots")}
+        <input type="number" min={0} placeholder={t("table.from")} className={`${input} w-20`} value={filters.minSnapshots} onChange={(e) => set({ minSnapshots: e.target.value })} />
+        –
+        <input type="number" min={0} placeholder={t("table.to")} className={`${input} w-20`} value={filters.maxSnapshots} onChange={(e) => set({ maxSnapshots: e.target.value })} />
+      </label>
+      <label className="inline-flex items-center gap-1">
+        <input type="checkbox" checked={filters.archivedOnly} onChange={(e) => set({ archivedOnly: e.target.checked })} />
+        {t("table.archivedOnly")}
+      </label>
+      {hasActiveFilters(filters) && (
+        <button onClick={() => onChange(DEFAULT_FILTERS)} className="text-blue-700 underline">{t("table.clearFilters")}</button>
+      )}
+      <span className="ml-auto text-xs text-gray-500">{t("table.shown", { shown: number(shown), total: number(total) })}</span>
+    </div>
+  );
+}
+
+function StatusCell({ r }) {
+  const { t, errorText } = useI18n();
+  if (r.status === "checking") {
+    return (
+      <span className="inline-flex items-center gap-1 text-gray-600">
+        <Loader2 className="animate-spin" size={16}/> {t("table.status.checking")}
+      </span>
+    );
+  }
+  if (r.status === "error") {
+    const message = r.errorCode || r.errorMsg ? errorText(r) : null;
+    return (
+      <span className="inline-flex items-center gap-1 text-red-600 max-w-[240px]" title={r.errorMsg}>
+        <AlertCircle size={16} className="shrink-0"/> {t("table.status.error")}
+        {message ? <span className="ml-2 text-xs truncate">{message}</span> : null}
+      </span>
+    );
+  }
+  return (
+    <span className="inline-flex items-center gap-1 text-emerald-700">
+      <CheckCircle2 size={16}/> {t("table.status.complete")}
+      {r.cache === "HIT" && (
+        <span className="ml-1 inline-flex items-center gap-0.5 text-xs text-gray-500" title={t("table.cacheTitle")}>
+          <Database size={12}/> {t("table.cache")}
+        </span>
+      )}
+      {r.cache === "PARTIAL" && (
+        <span className="ml-1 inline-flex items-center gap-0.5 text-xs text-gray-500" title={t("table.cachePartialTitle")}>
+          <Database size={12}/> {t("table.cachePartial")}
+        </span>
+      )}
+    </span>
+  );
+}
+
+// Không truyền onDetail / onRefresh thì ẩn nút tương ứng (trang chỉ xem của liên kết chia sẻ)
+export default function ResultsTable({
+  rows, indices, sort, onSort, filters, onFiltersChange, isScanning, onDetail, onRefresh,
+}) {
+  const i18n = useI18n();
+  const { t, number } = i18n;
+  const scrollRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(600);
+
+  useLayoutEffect(() => {
+    const el = scrollRef.current;
+    if (!el) return;
+    const measure = () => setViewportHeight(el.clientHeight || 600);
+    measure();
+    window.addEventListener("resize", measure);
+    return () => window.removeEventListener("resize", measure);
+  }, []);
+
+  // Đổi bộ lọc / sắp xếp thì quay lại đầu bảng
+  useEffect(() => {
+    if (scrollRef.current) scrollRef.current.scrollTop = 0;
+    setScrollTop(0);
+  }, [filters, sort]);
+
+  const start = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const end = Math.min(indices.length, Math.ceil((scrollTop + viewportHeight) / ROW_HEIGHT) + OVERSCAN);
+  const visible = indices.slice(start, end);
+
+  return (
+    <>
+      <FilterBar filters={filters} onChange={onFiltersChange} shown={indices.length} total={rows.length} />
+      <div ref={scrollRef} className="overflow-auto max-h-[70vh]" onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}>
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50 text-gray-700 sticky top-0 z-10">
+            <tr>
+              {COLUMNS.map(col => <SortHeader key={col} col={col} sort={sort} onSort={onSort} />)}
+              <th className="text-left px-4 py-2">{t("table.actions")}</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {start > 0 && <tr style={{ height: start * ROW_HEIGHT }} />}
+            {visible.map(i => {
+              const r = rows[i];
+              const level = coverageLevel(r);
+              const age = ageYears(r);
+              const archiveUrl = safeHttpUrl(r.closestUrl);
+              return (
+                <tr key={r.domain} style={{ height: ROW_HEIGHT }} className="align-middle whitespace-nowrap">
+                  <td className="px-4 py-1 font-mono">
+                    {r.domain}
+                    {toUnicodeDomain(r.domain) !== r.domain && (
+                      <div className="text-xs text-gray-500">{toUnicodeDomain(r.domain)}</div>
+                    )}
+                  </td>
+                  <td className="px-4 py-1"><StatusCell r={r} /></td>
+                  <td className="px-4 py-1"><VerdictBadge verdict={r.verdict} score={r.score} /></td>
+                  <td className="px-4 py-1 font-semibold">{age == null ? "—" : t("units.years", { count: age })}</td>
+                  <td className="px-4 py-1">{r.firstYear ?? "—"}</td>
+                  <td className="px-4 py-1">{r.lastYear ?? "—"}</td>
+                  <td className="px-4 py-1"><SourceBadges providers={r.providers} /></td>
+                  <td className="px-4 py-1">
+                    <div className="flex items-center gap-2">
+                      <span title={t("table.uniqueTitle", { count: r.uniqueSnapshots ?? 0 })}>{number(r.totalSnapshots ?? 0)}</span>
+                      <YearSparkline yearCounts={r.yearCounts} />
+                    </div>
+                  </td>
+                  <td className={`px-4 py-1 ${COVERAGE_CLASSES[level] || ""}`}>
+                    {r.activePeriods || "—"}
+                  </td>
+                  <td className={`px-4 py-1 ${(r.longestGap?.days ?? 0) >= 365 ? "text-amber-600" : ""}`}>
+                    {formatGap(r.longestGap, i18n)}
+                  </td>
+                  <td className={`px-4 py-1 ${level === "drop" ? "text-red-600 font-semibold" : ""}`}
+                      title={level === "drop" ? t("table.dropTitle") : undefined}>
+                    {formatGap(r.recentGap, i18n)}
+                  </td>
+                  <td className={`px-4 py-1 ${(r.redirectPct ?? 0) >= 80 ? "text-red-600 font-semibold" : (r.redirectPct ?? 0) >= 30 ? "text-amber-600" : ""}`}>
+                    {r.redirectPct == null ? "—" : number(r.redirectPct / 100, { style: "percent", maximumFractionDigits: 1 })}
+                  </td>
+                  <td className="px-4 py-1 font-mono text-xs">{r.mainRedirect ?? "—"}</td>
+                  <td className="px-4 py-1">{number(r.timeMs ?? 0)}</td>
+                  <td className="px-4 py-1">
+                    <div className="flex gap-2">
+                      {onDetail && (
+                        <button
+                          onClick={() => onDetail(i)}
+                          title={t("table.detail")}
+                          className="inline-flex items-center px-2 py-1.5 border rounded-md hover:bg-gray-50"
+                        >
+                          <PanelRight size={14}/>
+                        </button>
+                      )}
+                      {archiveUrl ? (
+                        <a className="inline-flex items-center gap-1 px-3 py-1.5 border rounded-md hover:bg-gray-50"
+                           href={archiveUrl} target="_blank" rel="noreferrer">
+                          <ExternalLink size={14}/> {t("table.archive")}
+                        </a>
+                      ) : (
+                        <span className="text-gray-400 px-3 py-1.5 border rounded-md">{t("table.archive")}</span>
+                      )}
+                      {onRefresh && (
+                        <button
+                          onClick={() => onRefresh(i)}
+                          disabled={isScanning}
+                          title={t("table.refreshTitle")}
+                          className="inline-flex items-center px-2 py-1.5 border rounded-md hover:bg-gray-50 disabled:opacity-40"
+                        >
+                          <RefreshCw size={14}/>
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+            {end < indices.length && <tr style={{ height: (indices.length - end) * ROW_HEIGHT }} />}
+          </tbody>
+        </table>
+        {indices.length === 0 && (
+          <div className="px-4 py-6 text-sm text-gray-500 text-center">{t("table.noMatch")}</div>
+        )}
+      </div>
+    </>
+  );
+}
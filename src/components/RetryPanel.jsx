@@ -0,0 +1,73 @@
+import React, { useState } from "react";
+import { RotateCw, X } from "lucide-react";
+import { PROVIDERS } from "../lib/providers.js";
+import { useI18n } from "./I18nProvider.jsx";
+
+const input = "border rounded px-2 py-1 text-sm w-20";
+
+// Quét lại riêng các dòng lỗi; cài đặt lấy từ cài đặt hiện tại nhưng chỉnh riêng được cho lần thử lại
+// (vd. chạy trong trình duyệt thay vì server, giảm tốc độ, thêm nguồn, bỏ qua cache)
+export default function RetryPanel({ count, defaults, onRetry, onClose }) {
+  const { t } = useI18n();
+  const [settings, setSettings] = useState(defaults);
+  const set = (patch) => setSettings(s => ({ ...s, ...patch }));
+  const num = (v, min, max) => Math.min(max, Math.max(min, Number(v) || min));
+
+  return (
+    <div className="bg-white border rounded-lg p-4 mb-4 text-sm">
+      <div className="flex items-center justify-between mb-3">
+        <span className="text-base font-semibold">{t("retry.title", { count })}</span>
+        <button onClick={onClose} className="p-1 rounded hover:bg-gray-100" title={t("retry.close")}><X size={16} /></button>
+      </div>
+      <div className="flex flex-wrap items-center gap-x-6 gap-y-2 text-gray-700">
+        <label className="inline-flex items-center gap-2">
+          <input type="checkbox" checked={settings.serverScan} onChange={(e) => set({ serverScan: e.target.checked })} />
+          {t("app.serverScan")}
+        </label>
+        <label className="inline-flex items-center gap-2">
+          {t("settings.concurrency")}
+          <input
+            type="number" min={1} max={20} className={input}
+            value={settings.concurrency}
+            onChange={(e) => set({ concurrency: num(e.target.value, 1, 20) })}
+          />
+        </label>
+        <label className="inline-flex items-center gap-2">
+          {t("settings.rate")}
+          <input
+            type="number" min={0.5} max={20} step={0.5} className={input}
+            value={settings.rps}
+            onChange={(e) => set({ rps: num(e.target.value, 0.5, 20) })}
+          />
+          {t("settings.rpsUnit")}
+        </label>
+        <span className="inline-flex items-center gap-3">
+          {t("settings.sources")}
+          {Object.entries(PROVIDERS).map(([id, p]) => (
+            <label key={id} className="inline-flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={settings.providers.includes(id)}
+                disabled={settings.providers.length === 1 && settings.providers[0] === id}
+                onChange={(e) => set({
+                  providers: e.target.checked ? [...settings.providers, id] : settings.providers.filter(x => x !== id),
+                })}
+              />
+              {p.label}
+            </label>
+          ))}
+        </span>
+        <label className="inline-flex items-center gap-2">
+          <input type="checkbox" checked={settings.refresh} onChange={(e) => set({ refresh: e.target.checked })} />
+          {t("settings.refreshCache")}
+        </label>
+        <button
+          onClick={() => onRetry(settings)}
+          className="ml-auto inline-flex items-center gap-1 px-3 py-1.5 border rounded-md bg-black text-white hover:bg-gray-800"
+        >
+          <RotateCw size={14} /> {t("retry.retry")}
+        </button>
+      </div>
+    </div>
+  );
+}
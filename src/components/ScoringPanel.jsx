@@ -0,0 +1,220 @@
+import React, { useRef, useState } from "react";
+import { Plus, Trash2, ArrowUp, ArrowDown, Save, FileDown, FileUp } from "lucide-react";
+import {
+  METRICS, OPERATORS, VERDICTS, SCORE_COMPONENTS, DEFAULT_PRESET,
+  loadPresets, savePresets, validatePreset, describeRule
+} from "../lib/scoring.js";
+import { useI18n } from "./I18nProvider.jsx";
+
+export function VerdictBadge({ verdict, score }) {
+  const { t } = useI18n();
+  if (!verdict) return <span className="text-gray-400">—</span>;
+  return (
+    <span className={`inline-flex items-center gap-1 px-2 py-0.5 border rounded text-xs font-semibold ${VERDICTS[verdict].className}`}>
+      {t(`verdicts.${verdict}`)}
+      {score != null && <span className="font-normal">{score}</span>}
+    </span>
+  );
+}
+
+const input = "border rounded px-2 py-1 text-sm";
+
+// Tên preset mặc định hiện theo ngôn ngữ; preset người dùng giữ nguyên tên
+const presetLabel = (name, t) => (name === DEFAULT_PRESET.name ? t("scoring.defaultName") : name);
+
+// Sửa bộ tiêu chí đang dùng; `value` đổi là bảng kết quả chấm lại ngay
+export default function ScoringPanel({ value, onChange }) {
+  const { t, errorText } = useI18n();
+  const [presets, setPresets] = useState(loadPresets);
+  const [error, setError] = useState("");
+  const fileRef = useRef(null);
+
+  const set = (patch) => onChange({ ...value, ...patch });
+  const setWeight = (key, patch) => set({ weights: { ...value.weights, [key]: { ...value.weights[key], ...patch } } });
+  const setRule = (i, patch) => set({ rules: value.rules.map((r, j) => (j === i ? { ...r, ...patch } : r)) });
+  const setCondition = (i, k, patch) =>
+    setRule(i, { conditions: value.rules[i].conditions.map((c, j) => (j === k ? { ...c, ...patch } : c)) });
+  const moveRule = (i, d) => {
+    const rules = [...value.rules];
+    [rules[i], rules[i + d]] = [rules[i + d], rules[i]];
+    set({ rules });
+  };
+
+  const persist = (list) => {
+    setPresets(list);
+    savePresets(list);
+  };
+
+  const savePreset = () => {
+    try {
+      const preset = validatePreset(value);
+      persist([...presets.filter(p => p.name !== preset.name), preset]);
+      setError("");
+    } catch (e) {
+      setError(errorText(e));
+    }
+  };
+
+  const deletePreset = () => {
+    if (value.name === DEFAULT_PRESET.name) return;
+    if (!window.confirm(t("scoring.confirmDelete", { name: value.name }))) return;
+    persist(presets.filter(p => p.name !== value.name));
+  };
+
+  const exportPreset = () => {
+    const blob = new Blob([JSON.stringify(value, null, 2)], { type: "application/json" });
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = `tieu-chi-${value.name.replace(/[^\p{L}\p{N}_-]+/gu, "-")}.json`;
+    a.click();
+  };
+
+  const importPreset = async (file) => {
+    if (!file) return;
+    try {
+      const preset = validatePreset(JSON.parse(await file.text()));
+      persist([...presets.filter(p => p.name !== preset.name), preset]);
+      onChange(preset);
+      setError("");
+    } catch (e) {
+      setError(t("scoring.importFailed", { file: file.name, message: errorText(e) }));
+    }
+  };
+
+  return (
+    <div className="bg-white border rounded-lg p-4 mb-4 text-sm">
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <span className="text-base font-semibold mr-2">{t("scoring.title")}</span>
+        <select
+          className={input}
+          value={presets.some(p => p.name === value.name) ? value.name : ""}
+          onChange={(e) => { const p = presets.find(x => x.name === e.target.value); if (p) onChange(p); }}
+        >
+          <option value="" disabled>{t("scoring.unsaved")}</option>
+          {presets.map(p => <option key={p.name} value={p.name}>{presetLabel(p.name, t)}</option>)}
+        </select>
+        <input className={`${input} w-40`} value={value.name} onChange={(e) => set({ name: e.target.value })} title={t("scoring.presetName")} />
+        <button onClick={savePreset} className="inline-flex items-center gap-1 px-3 py-1.5 border rounded-md hover:bg-gray-50">
+          <Save size={14} /> {t("scoring.savePreset")}
+        </button>
+        <button
+          onClick={deletePreset}
+          disabled={value.name === DEFAULT_PRESET.name || !presets.some(p => p.name === value.name)}
+          className="inline-flex items-center gap-1 px-3 py-1.5 border rounded-md text-red-700 hover:bg-red-50 disabled:opacity-40"
+        >
+          <Trash2 size={14} /> {t("scoring.delete")}
+        </button>
+        <div className="ml-auto flex gap-2">
+          <button onClick={() => fileRef.current?.click()} className="inline-flex items-center gap-1 px-3 py-1.5 border rounded-md hover:bg-gray-50">
+            <FileUp size={14} /> {t("scoring.importJson")}
+          </button>
+          <button onClick={exportPreset} className="inline-flex items-center gap-1 px-3 py-1.5 border rounded-md hover:bg-gray-50">
+            <FileDown size={14} /> {t("scoring.exportJson")}
+          </button>
+          <input
+            ref={fileRef}
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            onChange={(e) => { importPreset(e.target.files?.[0]); e.target.value = ""; }}
+          />
+        </div>
+      </div>
+      {error && <div className="mb-3 text-xs text-red-600">{error}</div>}
+
+      <div className="grid md:grid-cols-2 gap-6">
+        <section>
+          <h3 className="font-semibold mb-1">{t("scoring.scoreTitle")}</h3>
+          <div className="text-xs text-gray-500 mb-2">{t("scoring.scoreHint")}</div>
+          <table className="w-full">
+            <thead className="text-gray-600 text-xs">
+              <tr>
+                <th className="text-left py-1">{t("scoring.component")}</th>
+                <th className="text-left py-1">{t("scoring.weight")}</th>
+                <th className="text-left py-1">{t("scoring.target")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(SCORE_COMPONENTS).map(([key, c]) => (
+                <tr key={key}>
+                  <td className="py-1 pr-2">{t(`scoreComponents.${key}`)}</td>
+                  <td className="py-1 pr-2">
+                    <input type="number" min={0} className={`${input} w-20`} value={value.weights[key]?.weight ?? 0}
+                           onChange={(e) => setWeight(key, { weight: Number(e.target.value) })} />
+                  </td>
+                  <td className="py-1">
+                    <input type="number" min={0} className={`${input} w-24`} value={value.weights[key]?.target ?? 0}
+                           onChange={(e) => setWeight(key, { target: Number(e.target.value) })} />
+                    {c.unit && <span className="ml-1 text-xs text-gray-500">{t(`unitLabels.${c.unit}`)}</span>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+
+        <section>
+          <h3 className="font-semibold mb-1">{t("scoring.rulesTitle")}</h3>
+          <div className="text-xs text-gray-500 mb-2">{t("scoring.rulesHint")}</div>
+          <div className="space-y-2">
+            {value.rules.map((rule, i) => (
+              <div key={i} className="border rounded-md p-2" title={describeRule(rule, t)}>
+                <div className="flex items-center gap-2 mb-1">
+                  <span className="text-xs text-gray-500">#{i + 1} →</span>
+                  <select className={input} value={rule.verdict} onChange={(e) => setRule(i, { verdict: e.target.value })}>
+                    {Object.keys(VERDICTS).map(k => <option key={k} value={k}>{t(`verdicts.${k}`)}</option>)}
+                  </select>
+                  <div className="ml-auto flex gap-1 text-gray-500">
+                    <button disabled={i === 0} onClick={() => moveRule(i, -1)} className="hover:text-black disabled:opacity-30"><ArrowUp size={14} /></button>
+                    <button disabled={i === value.rules.length - 1} onClick={() => moveRule(i, 1)} className="hover:text-black disabled:opacity-30"><ArrowDown size={14} /></button>
+                    <button onClick={() => set({ rules: value.rules.filter((_, j) => j !== i) })} className="text-red-600 hover:text-red-800"><Trash2 size={14} /></button>
+                  </div>
+                </div>
+                {rule.conditions.map((c, k) => (
+                  <div key={k} className="flex items-center gap-1 mt-1">
+                    <span className="w-8 text-xs text-gray-500">{k === 0 ? t("scoring.if") : t("scoring.and")}</span>
+                    <select className={input} value={c.metric} onChange={(e) => setCondition(i, k, { metric: e.target.value })}>
+                      {Object.keys(METRICS).map(m => <option key={m} value={m}>{t(`metrics.${m}`)}</option>)}
+                    </select>
+                    <select className={input} value={c.op} onChange={(e) => setCondition(i, k, { op: e.target.value })}>
+                      {OPERATORS.map(op => <option key={op} value={op}>{op}</option>)}
+                    </select>
+                    <input type="number" className={`${input} w-20`} value={c.value}
+                           onChange={(e) => setCondition(i, k, { value: Number(e.target.value) })} />
+                    <span className="text-xs text-gray-500">{METRICS[c.metric]?.unit ? t(`unitLabels.${METRICS[c.metric].unit}`) : ""}</span>
+                    <button
+                      onClick={() => setRule(i, { conditions: rule.conditions.filter((_, j) => j !== k) })}
+                      className="ml-auto text-gray-400 hover:text-red-600"
+                    >
+                      <Trash2 size={12} />
+                    </button>
+                  </div>
+                ))}
+                <button
+                  onClick={() => setRule(i, { conditions: [...rule.conditions, { metric: "age", op: ">=", value: 1 }] })}
+                  className="mt-1 inline-flex items-center gap-1 text-xs text-blue-700"
+                >
+                  <Plus size={12} /> {t("scoring.addCondition")}
+                </button>
+              </div>
+            ))}
+          </div>
+          <div className="mt-2 flex items-center gap-3">
+            <button
+              onClick={() => set({ rules: [...value.rules, { verdict: "good", conditions: [{ metric: "score", op: ">=", value: 70 }] }] })}
+              className="inline-flex items-center gap-1 px-3 py-1.5 border rounded-md hover:bg-gray-50"
+            >
+              <Plus size={14} /> {t("scoring.addRule")}
+            </button>
+            <label className="inline-flex items-center gap-2">
+              {t("scoring.fallback")}
+              <select className={input} value={value.fallback} onChange={(e) => set({ fallback: e.target.value })}>
+                {Object.keys(VERDICTS).map(k => <option key={k} value={k}>{t(`verdicts.${k}`)}</option>)}
+              </select>
+            </label>
+          </div>
+        </section>
+      </div>
+    </div>
+  );
+}
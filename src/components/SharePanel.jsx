@@ -0,0 +1,84 @@
+import React, { useState } from "react";
+import { FileCode, Link2, Copy } from "lucide-react";
+import { buildHtmlReport, encodeShareLink } from "../lib/report.js";
+import { downloadBlob } from "../lib/resultFiles.js";
+import ReportSummary from "./ReportSummary.jsx";
+import { useI18n } from "./I18nProvider.jsx";
+
+const button = "inline-flex items-center gap-1 px-3 py-1.5 border rounded-md hover:bg-gray-50 disabled:opacity-40";
+
+// "Chia sẻ": báo cáo HTML tự chứa hoặc liên kết chỉ xem; `rows` là các dòng đang hiển thị (giống ExportPanel)
+export default function SharePanel({ rows, scan, onNotify }) {
+  const i18n = useI18n();
+  const { t, number, errorText } = i18n;
+  const [link, setLink] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const size = (url) => `${number(url.length / 1024, { maximumFractionDigits: 1 })} KB`;
+
+  const downloadHtml = () => {
+    try {
+      const html = buildHtmlReport(rows, { scan, i18n });
+      downloadBlob(new Blob([html], { type: "text/html;charset=utf-8" }), `${t("share.fileName")}-${Date.now()}.html`);
+    } catch (e) {
+      onNotify(t("share.htmlFailed", { message: errorText(e) }), "error");
+    }
+  };
+
+  const createLink = async () => {
+    setBusy(true);
+    try {
+      const url = await encodeShareLink(rows, {
+        scan,
+        locale: i18n.locale,
+        baseUrl: `${window.location.origin}${window.location.pathname}`,
+      });
+      setLink(url);
+      await navigator.clipboard.writeText(url)
+        .then(() => onNotify(t("share.linkCopied", { size: size(url) })))
+        .catch(() => onNotify(t("share.linkCreated", { size: size(url) })));
+    } catch (e) {
+      setLink("");
+      onNotify(t("share.linkFailed", { message: errorText(e) }), "error");
+    }
+    setBusy(false);
+  };
+
+  const copyLink = () => navigator.clipboard.writeText(link)
+    .then(() => onNotify(t("share.linkCopied", { size: size(link) })))
+    .catch(e => onNotify(t("export.copyFailed", { message: errorText(e) }), "error"));
+
+  return (
+    <div className="bg-white border rounded-lg p-4 mb-4 text-sm">
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <span className="text-base font-semibold mr-2">{t("share.title", { count: rows.length })}</span>
+        <div className="ml-auto flex gap-2">
+          <button onClick={downloadHtml} disabled={rows.length === 0} title={t("share.htmlTitle")} className={button}>
+            <FileCode size={14} /> {t("share.html")}
+          </button>
+          <button
+            onClick={createLink}
+            disabled={busy || rows.length === 0}
+            title={t("share.linkTitle")}
+            className={`${button} bg-black text-white hover:bg-gray-800`}
+          >
+            <Link2 size={14} /> {t("share.link")}
+          </button>
+        </div>
+      </div>
+
+      {link && (
+        <div className="flex items-center gap-2 mb-3">
+          <input readOnly value={link} onFocus={(e) => e.target.select()} className="flex-1 border rounded px-2 py-1 text-xs font-mono text-gray-600" />
+          <span className="text-xs text-gray-500">{size(link)}</span>
+          <button onClick={copyLink} className={button}>
+            <Copy size={14} /> {t("share.copyLink")}
+          </button>
+        </div>
+      )}
+
+      <ReportSummary rows={rows} />
+      <div className="mt-3 text-xs text-gray-500">{t("share.hint")}</div>
+    </div>
+  );
+}
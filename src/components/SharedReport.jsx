@@ -0,0 +1,109 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Loader2, FileCode, Eye, ArrowLeft } from "lucide-react";
+import { decodeShareLink, buildHtmlReport } from "../lib/report.js";
+import { downloadBlob } from "../lib/resultFiles.js";
+import { viewIndices, DEFAULT_FILTERS, hasActiveFilters } from "../lib/tableView.js";
+import ResultsTable from "./ResultsTable.jsx";
+import ReportSummary from "./ReportSummary.jsx";
+import { useI18n, LanguageSwitcher } from "./I18nProvider.jsx";
+
+// Trang chỉ xem mở từ liên kết chia sẻ (#share=...): không quét, không lưu lịch sử, chỉ sắp xếp / lọc
+export default function SharedReport({ data }) {
+  const i18n = useI18n();
+  const { t, number, dateTime, errorText } = i18n;
+  const [state, setState] = useState({ loading: true });
+  const [sort, setSort] = useState(null);
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+
+  useEffect(() => {
+    let live = true;
+    setState({ loading: true });
+    decodeShareLink(data)
+      .then(res => { if (live) setState(res); })
+      .catch(error => { if (live) setState({ error }); });
+    return () => { live = false; };
+  }, [data]);
+
+  const rows = state.rows || [];
+  const indices = useMemo(() => viewIndices(rows, { filters, sort }), [rows, filters, sort]);
+  const scan = state.meta?.scan;
+  const title = scan?.name ? t("report.titleFor", { name: scan.name }) : t("report.title");
+
+  // File HTML theo đúng phần đang xem
+  const downloadHtml = () => {
+    const html = buildHtmlReport(indices.map(i => rows[i]), { scan, i18n });
+    downloadBlob(new Blob([html], { type: "text/html;charset=utf-8" }), `${t("share.fileName")}-${Date.now()}.html`);
+  };
+
+  return (
+    <div className="min-h-screen bg-[#EEF2FF]">
+      <div className="max-w-6xl mx-auto px-4 py-6">
+        <div className="flex flex-wrap items-center gap-3 mb-4">
+          <div>
+            <div className="text-lg font-semibold">{title}</div>
+            <div className="text-xs text-gray-600 inline-flex items-center gap-1">
+              <Eye size={12} /> {t("share.readOnly")}
+              {state.meta?.exportedAt && <> • {t("share.sharedAt", { date: dateTime(Date.parse(state.meta.exportedAt)) })}</>}
+              {scan?.createdAt && <> • {t("report.scannedAt", { date: dateTime(Date.parse(scan.createdAt)) })}</>}
+            </div>
+          </div>
+          <div className="ml-auto flex items-center gap-3">
+            <LanguageSwitcher />
+            <button
+              onClick={downloadHtml}
+              disabled={rows.length === 0}
+              title={t("share.htmlTitle")}
+              className="inline-flex items-center justify-center border border-gray-200 bg-white hover:bg-gray-50 h-10 px-4 rounded-md text-sm disabled:opacity-50"
+            >
+              <FileCode className="mr-2 h-4 w-4" />
+              {t("share.html")}
+            </button>
+            <a
+              href={window.location.pathname}
+              className="inline-flex items-center justify-center border border-gray-200 bg-white hover:bg-gray-50 h-10 px-4 rounded-md text-sm"
+            >
+              <ArrowLeft className="mr-2 h-4 w-4" />
+              {t("share.openApp")}
+            </a>
+          </div>
+        </div>
+
+        {state.loading && (
+          <div className="p-4 border rounded-lg bg-white text-sm inline-flex items-center gap-2">
+            <Loader2 className="h-4 w-4 animate-spin text-blue-600" /> {t("share.loading")}
+          </div>
+        )}
+
+        {state.error && (
+          <div className="px-4 py-2 rounded-md text-sm border bg-red-50 border-red-200 text-red-700">
+            {t("share.openFailed", { message: errorText(state.error) })}
+          </div>
+        )}
+
+        {state.rows && (
+          <>
+            <div className="bg-white border rounded-lg p-4 mb-4">
+              <ReportSummary rows={indices.map(i => rows[i])} />
+            </div>
+            <div className="bg-white border rounded-lg">
+              <div className="px-4 py-3 text-base font-semibold border-b">
+                {t("results.title", {
+                  count: hasActiveFilters(filters) ? `${number(indices.length)} / ${number(rows.length)}` : rows.length,
+                })}
+              </div>
+              <ResultsTable
+                rows={rows}
+                indices={indices}
+                sort={sort}
+                onSort={setSort}
+                filters={filters}
+                onFiltersChange={setFilters}
+                isScanning={false}
+              />
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+import React, { useEffect, useState } from "react";
+import { Loader2 } from "lucide-react";
+import { proxyCdx } from "../lib/scanner.js";
+import { waybackUrl } from "../lib/providers.js";
+import { useI18n } from "./I18nProvider.jsx";
+
+const MONTHS = ["01", "02", "03", "04", "05", "06", "07", "08", "09", "10", "11", "12"];
+// Viết đủ tên class để Tailwind giữ lại khi build
+const LEVELS = ["bg-gray-100", "bg-blue-100", "bg-blue-200", "bg-blue-400", "bg-blue-600", "bg-blue-800"];
+
+const level = (n, max) => (n ? Math.min(LEVELS.length - 1, 1 + Math.floor((n / max) * (LEVELS.length - 2))) : 0);
+
+// Lịch bản lưu năm × tháng của một miền (tải khi mở bảng chi tiết, qua /api/cdx?type=timeline)
+export default function SnapshotTimeline({ domain, apiKey }) {
+  const { t, number, tsDate, errorText } = useI18n();
+  const [state, setState] = useState({ loading: true });
+
+  useEffect(() => {
+    let cancelled = false;
+    setState({ loading: true });
+    proxyCdx("/api/cdx", { apiKey })("timeline", domain)
+      .then(({ data }) => { if (!cancelled) setState({ data }); })
+      .catch(e => { if (!cancelled) setState({ error: e }); });
+    return () => { cancelled = true; };
+  }, [domain, apiKey]);
+
+  if (state.loading) {
+    return <div className="inline-flex items-center gap-2 text-gray-500"><Loader2 size={14} className="animate-spin" /> {t("timeline.loading")}</div>;
+  }
+  if (state.error) return <div className="text-red-600">{t("timeline.failed", { message: errorText(state.error) })}</div>;
+
+  const years = Object.keys(state.data?.years || {}).sort();
+  if (years.length === 0) return <div className="text-gray-500">{t("timeline.empty")}</div>;
+  const max = Math.max(1, ...years.flatMap(y => Object.values(state.data.years[y].months)));
+  const link = (ts, label) => (
+    <a href={waybackUrl(ts, domain)} target="_blank" rel="noreferrer" title={tsDate(ts)} className="text-blue-700 hover:underline">{label}</a>
+  );
+
+  return (
+    <>
+      <div className="overflow-x-auto">
+        <table className="text-xs">
+          <thead className="text-gray-500">
+            <tr>
+              <th className="text-left pr-2 font-normal">{t("timeline.year")}</th>
+              {MONTHS.map(m => <th key={m} className="w-5 font-normal">{Number(m)}</th>)}
+              <th className="pl-2 text-right font-normal">{t("timeline.snapshots")}</th>
+              <th className="pl-2 text-right font-normal" title={t("timeline.uniqueTitle")}>{t("timeline.unique")}</th>
+              <th className="pl-3 text-left font-normal">Wayback</th>
+            </tr>
+          </thead>
+          <tbody>
+            {years.map(y => {
+              const info = state.data.years[y];
+              return (
+                <tr key={y}>
+                  <td className="pr-2 text-gray-600">{y}</td>
+                  {MONTHS.map(m => (
+                    <td key={m} className="p-0.5">
+                      <div className={`w-4 h-4 rounded-sm ${LEVELS[level(info.months[m] ?? 0, max)]}`} title={`${y}-${m}: ${t("units.snapshots", { count: info.months[m] ?? 0 })}`} />
+                    </td>
+                  ))}
+                  <td className="pl-2 text-right">{number(info.total)}</td>
+                  <td className="pl-2 text-right">{number(info.unique)}</td>
+                  <td className="pl-3 whitespace-nowrap space-x-2">
+                    {link(info.first, t("timeline.first"))}
+                    {link(info.representative, t("timeline.representative"))}
+                    {link(info.last, t("timeline.last"))}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <div className="mt-2 flex items-center gap-1 text-xs text-gray-500">
+        {t("timeline.less")}
+        {LEVELS.map(c => <span key={c} className={`inline-block w-3 h-3 rounded-sm ${c}`} />)}
+        {t("timeline.more")}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,145 @@
+import React, { useEffect, useState } from "react";
+import { Eye, RefreshCw, Play, Trash2, Loader2 } from "lucide-react";
+import {
+  WATCH_INTERVALS, DEFAULT_INTERVAL_HOURS, describeChange,
+  fetchWatchlist, addToWatchlist, removeFromWatchlist, runWatchCheck
+} from "../lib/watchlist.js";
+import { useI18n } from "./I18nProvider.jsx";
+
+const input = "border rounded px-2 py-1 text-sm";
+const FEED_LIMIT = 50;
+
+// Danh sách theo dõi trên server + luồng thay đổi. `seenAt`: mốc đã xem, thay đổi mới hơn được tô nổi
+export default function WatchlistPanel({ domains, apiKey, seenAt, onSeen, onNotify }) {
+  const i18n = useI18n();
+  const { t, has, number, tsDate, dateTime, errorText } = i18n;
+  // Chu kỳ có sẵn thì dùng nhãn dịch, chu kỳ tùy ý (đặt qua API) thì ghi số giờ
+  const intervalLabel = (h) => t("watch.every", {
+    interval: has(`watch.intervals.${h}`) ? t(`watch.intervals.${h}`) : t("watch.hours", { count: h }),
+  });
+  const [data, setData] = useState(null);
+  const [intervalHours, setIntervalHours] = useState(DEFAULT_INTERVAL_HOURS);
+  const [highlightAfter] = useState(seenAt); // mốc lúc mở bảng, để các thay đổi mới vẫn được tô sau khi đánh dấu đã xem
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const load = async () => {
+    try {
+      const next = await fetchWatchlist({ apiKey });
+      setData(next);
+      setError("");
+      if (next.changes[0]) onSeen(next.changes[0].at);
+    } catch (e) {
+      setError(errorText(e));
+    }
+  };
+  useEffect(() => { load(); }, [apiKey]);
+
+  const act = async (fn, message) => {
+    setBusy(true);
+    try {
+      const result = await fn();
+      if (message) onNotify(message(result));
+      await load();
+    } catch (e) {
+      onNotify(errorText(e), "error");
+    }
+    setBusy(false);
+  };
+
+  const items = data?.items ?? [];
+  const changes = (data?.changes ?? []).slice(0, FEED_LIMIT);
+
+  return (
+    <div className="bg-white border rounded-lg p-4 mb-4 text-sm">
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <span className="text-base font-semibold mr-2">{t("watch.title", { count: items.length })}</span>
+        <select className={input} value={intervalHours} onChange={(e) => setIntervalHours(Number(e.target.value))} title={t("watch.intervalTitle")}>
+          {WATCH_INTERVALS.map(h => <option key={h} value={h}>{intervalLabel(h)}</option>)}
+        </select>
+        <button
+          onClick={() => act(() => addToWatchlist(domains, intervalHours, { apiKey }), () => t("watch.added", { count: domains.length }))}
+          disabled={busy || domains.length === 0}
+          className="inline-flex items-center gap-1 px-3 py-1.5 border rounded-md hover:bg-gray-50 disabled:opacity-40"
+        >
+          <Eye size={14} /> {t("watch.add", { count: domains.length })}
+        </button>
+        <div className="ml-auto flex gap-2">
+          <button
+            onClick={() => act(() => runWatchCheck({ apiKey }), (r) => t("watch.checked", { checked: r.checked, due: r.due, changes: r.changes.length }))}
+            disabled={busy || items.length === 0}
+            title={t("watch.checkNowTitle")}
+            className="inline-flex items-center gap-1 px-3 py-1.5 border rounded-md hover:bg-gray-50 disabled:opacity-40"
+          >
+            {busy ? <Loader2 size={14} className="animate-spin" /> : <Play size={14} />} {t("watch.checkNow")}
+          </button>
+          <button onClick={load} disabled={busy} className="inline-flex items-center gap-1 px-3 py-1.5 border rounded-md hover:bg-gray-50 disabled:opacity-40">
+            <RefreshCw size={14} /> {t("watch.reload")}
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="mb-3 text-red-600">{t("watch.loadFailed", { message: error })}</div>}
+
+      {items.length > 0 && (
+        <div className="max-h-72 overflow-auto border rounded-md mb-4">
+          <table className="w-full text-xs">
+            <thead className="bg-gray-50 sticky top-0">
+              <tr className="text-left">
+                <th className="px-2 py-1.5">{t("watch.domain")}</th>
+                <th className="px-2 py-1.5">{t("watch.interval")}</th>
+                <th className="px-2 py-1.5">{t("watch.lastChecked")}</th>
+                <th className="px-2 py-1.5">{t("watch.next")}</th>
+                <th className="px-2 py-1.5">{t("watch.archived")}</th>
+                <th className="px-2 py-1.5">{t("watch.lastCapture")}</th>
+                <th className="px-2 py-1.5 text-right">{t("watch.snapshots")}</th>
+                <th className="px-2 py-1.5"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {items.map(it => (
+                <tr key={it.domain} className="border-t">
+                  <td className="px-2 py-1.5 font-mono">{it.domain}</td>
+                  <td className="px-2 py-1.5">{intervalLabel(it.intervalHours)}</td>
+                  <td className="px-2 py-1.5">
+                    {dateTime(it.lastCheckedAt)}
+                    {it.error && <span className="ml-1 text-red-600" title={it.error}>{t("watch.error")}</span>}
+                  </td>
+                  <td className="px-2 py-1.5">{dateTime(it.nextCheckAt)}</td>
+                  <td className="px-2 py-1.5">{it.snapshot ? t(it.snapshot.archived ? "watch.yes" : "watch.no") : "—"}</td>
+                  <td className="px-2 py-1.5">{tsDate(it.snapshot?.lastTs)}</td>
+                  <td className="px-2 py-1.5 text-right">{number(it.snapshot?.totalSnapshots)}</td>
+                  <td className="px-2 py-1.5 text-right">
+                    <button
+                      onClick={() => act(() => removeFromWatchlist(it.domain, { apiKey }))}
+                      disabled={busy}
+                      title={t("watch.remove")}
+                      className="p-1 rounded text-red-700 hover:bg-red-50 disabled:opacity-40"
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="font-medium mb-1">{t("watch.feed")}</div>
+      {changes.length === 0 ? (
+        <div className="text-xs text-gray-500">{t("watch.feedEmpty")}</div>
+      ) : (
+        <ul className="text-xs divide-y border rounded-md max-h-72 overflow-auto">
+          {changes.map(c => (
+            <li key={c.id} className={`px-2 py-1.5 ${c.at > highlightAfter ? "bg-amber-50" : ""}`}>
+              <span className="text-gray-500 mr-2">{dateTime(c.at)}</span>
+              <span className="font-mono mr-2">{c.domain}</span>
+              {c.changes.map(change => describeChange(change, i18n)).join(" • ")}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,29 @@
+// So sánh hai bộ kết quả quét theo domain (cũ → mới)
+// Mỗi thay đổi: { domain, kinds: [...], before, after }; tên loại thay đổi ở bản dịch "compare.<kind>"
+export function diffScans(oldRows, newRows) {
+  const before = new Map(oldRows.map(r => [r.domain, r]));
+  const after = new Map(newRows.map(r => [r.domain, r]));
+  const changes = [];
+
+  for (const [domain, b] of after) {
+    const a = before.get(domain);
+    if (!a) {
+      changes.push({ domain, kinds: ["added"], before: null, after: b });
+      continue;
+    }
+    const kinds = [];
+    const bothDone = a.status === "complete" && b.status === "complete";
+    if (bothDone && !a.archived && b.archived) kinds.push("newlyArchived");
+    if (bothDone && a.archived && !b.archived) kinds.push("noLongerArchived");
+    if (bothDone && a.lastYear !== b.lastYear) kinds.push("lastYear");
+    if (bothDone && (a.totalSnapshots ?? 0) !== (b.totalSnapshots ?? 0)) kinds.push("snapshots");
+    if (a.status !== "error" && b.status === "error") kinds.push("newError");
+    if (a.status === "error" && b.status === "complete") kinds.push("recovered");
+    if (kinds.length) changes.push({ domain, kinds, before: a, after: b });
+  }
+
+  for (const [domain, a] of before) {
+    if (!after.has(domain)) changes.push({ domain, kinds: ["removed"], before: a, after: null });
+  }
+  return changes;
+}
@@ -0,0 +1,32 @@
+// Đánh giá độ phủ bản lưu: phát hiện miền bị bỏ rồi đăng ký lại
+// (dữ liệu gap do /api/cdx?type=stats tính sẵn trên server)
+
+// Gap trước bản lưu cuối dài hơn mức này → nhiều khả năng miền đã hết hạn rồi có chủ mới
+export const DROP_GAP_DAYS = 730;
+
+// "drop": nghi bị bỏ & đăng ký lại • "gap": có ít nhất một khoảng trống ≥ 1 năm • "ok"
+export function coverageLevel(row) {
+  if (!row || !row.activePeriods) return null;
+  if ((row.recentGap?.days ?? 0) >= DROP_GAP_DAYS || row.activePeriods >= 3) return "drop";
+  if (row.activePeriods >= 2) return "gap";
+  return "ok";
+}
+
+export const COVERAGE_CLASSES = {
+  drop: "text-red-600 font-semibold",
+  gap: "text-amber-600 font-semibold",
+  ok: "text-gray-700",
+};
+
+// "6,2 năm" / "45 days" — `i18n` là bộ dịch của createI18n / useI18n()
+export function formatGapDays(days, { t, number }) {
+  if (!days) return "—";
+  if (days < 365) return t("units.days", { count: days });
+  return t("units.yearsDecimal", { value: number(days / 365, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) });
+}
+
+// "6,2 năm (2008→2014)"
+export function formatGap(gap, i18n) {
+  if (!gap) return "—";
+  return `${formatGapDays(gap.days, i18n)} (${gap.from.slice(0, 4)}→${gap.to.slice(0, 4)})`;
+}
@@ -0,0 +1,106 @@
+// Tách và chuẩn hóa tên miền từ văn bản bất kỳ, dựa trên Public Suffix List (tldts)
+import { parse } from "tldts";
+import punycode from "punycode/punycode.js";
+
+export const MAX_DOMAINS = 1000;
+
+// "registrable": rút về tên miền đăng ký được (a.b.example.co.uk → example.co.uk)
+// "hostname": giữ nguyên hostname đầy đủ, kể cả www. và subdomain
+export const EXTRACT_MODES = ["registrable", "hostname"];
+
+// Mã lý do loại một chuỗi; câu mô tả nằm ở bản dịch "reject.<mã>"
+export const REJECT_REASONS = ["invalid", "idn", "ip", "unknownSuffix", "suffixOnly"];
+
+// Sau khi đã về dạng ASCII: nhãn a-z0-9-, TLD chữ cái hoặc xn--
+const asciiDomainRe = /^(?=.{1,253}$)(?:(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)\.)+(?:[a-z]{2,63}|xn--[a-z0-9-]{1,59})$/;
+
+// Token có dáng tên miền/URL/email thì mới đáng báo lỗi; chữ thường trong văn bản thì bỏ qua
+const looksLikeCandidate = (tok) => tok.includes(".") || tok.includes("@") || tok.includes("://");
+
+// Lấy phần host từ email, URL có/không scheme
+function hostFromToken(tok) {
+  if (/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(tok)) return tok.split("@")[1];
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(tok)) {
+    try {
+      return new URL(tok).hostname;
+    } catch {
+      return tok.replace(/^[a-z][a-z0-9+.-]*:\/\//i, "");
+    }
+  }
+  return tok;
+}
+
+// Chỉ nhận liên kết http(s); chuỗi khác (javascript:, data:...) từ file / liên kết chia sẻ lạ thì trả null
+export function safeHttpUrl(value) {
+  try {
+    const url = new URL(String(value ?? "").trim());
+    return url.protocol === "http:" || url.protocol === "https:" ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+export function toUnicodeDomain(domain) {
+  try {
+    return punycode.toUnicode(domain);
+  } catch {
+    return domain;
+  }
+}
+
+// Chuẩn hóa một token thành tên miền ASCII (punycode).
+// Trả { domain } hoặc { reason } (một mã trong REJECT_REASONS)
+export function normalizeDomain(token, { mode = "registrable" } = {}) {
+  let host = hostFromToken(String(token).trim())
+    .replace(/^\/\//, "")
+    .replace(/[/?#].*$/, "")
+    .replace(/:\d+$/, "")
+    .replace(/\.+$/, "")
+    .toLowerCase();
+
+  try {
+    host = punycode.toASCII(host);
+  } catch {
+    return { reason: "idn" };
+  }
+  if (!asciiDomainRe.test(host)) {
+    return { reason: /^\d{1,3}(\.\d{1,3}){3}$/.test(host) ? "ip" : "invalid" };
+  }
+
+  // Chỉ dùng phần ICANN của PSL: foo.github.io, bar.blogspot.com rút về github.io, blogspot.com
+  // (miền đăng ký thật), muốn giữ từng trang con thì dùng chế độ hostname
+  const info = parse(host, { allowPrivateDomains: false });
+  if (info.isIp) return { reason: "ip" };
+  if (!info.isIcann) return { reason: "unknownSuffix" };
+  if (!info.domain) return { reason: "suffixOnly" };
+  return { domain: mode === "hostname" ? host : info.domain };
+}
+
+// Tách miền kèm báo cáo: bao nhiêu bị trùng, bị loại (lý do), bị cắt do vượt giới hạn
+export function parseDomainInput(input, { mode = "registrable", limit = MAX_DOMAINS } = {}) {
+  const report = { domains: [], duplicates: 0, rejected: [], truncated: 0, limit };
+  if (!input) return report;
+
+  const seen = new Set();
+  const tokens = input.split(/\r?\n|,|;|\s+/).map(s => s.trim().replace(/^[<("'[]+|[>)"'\]]+$/g, "")).filter(Boolean);
+  for (const tok of tokens) {
+    const { domain, reason } = normalizeDomain(tok, { mode });
+    if (!domain) {
+      if (looksLikeCandidate(tok)) report.rejected.push({ token: tok, reason });
+      continue;
+    }
+    if (seen.has(domain)) {
+      report.duplicates += 1;
+      continue;
+    }
+    seen.add(domain);
+    if (report.domains.length < limit) report.domains.push(domain);
+    else report.truncated += 1;
+  }
+  return report;
+}
+
+// Lọc domain hợp lệ
+export function extractDomainsFromText(input, opts) {
+  return parseDomainInput(input, opts).domains;
+}
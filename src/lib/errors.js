@@ -0,0 +1,61 @@
+// Lỗi có cấu trúc dùng chung giữa proxy (/api/*) và client.
+// Body lỗi của API: { error: "thông điệp", code, upstreamStatus, retryable }
+import { parseRetryAfter } from "./scheduler.js";
+
+export class ApiError extends Error {
+  constructor(message, { code = "internal", status = 500, upstreamStatus = null, retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.code = code;
+    this.status = status;
+    this.upstreamStatus = upstreamStatus;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code, upstreamStatus: this.upstreamStatus, retryable: this.retryable };
+  }
+}
+
+// Mã lỗi upstream đáng thử lại (quá tải, lỗi tạm thời)
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// Retry-After dạng số giây hoặc ngày HTTP, cùng cách đọc với bộ giới hạn tốc độ
+const retryAfterMs = (res) => parseRetryAfter(res.headers.get("retry-after")) || null;
+
+// Upstream trả mã lỗi. 429/503 giữ nguyên mã để bộ giới hạn tốc độ phía client tự lùi lại, còn lại là 502
+export function upstreamError(res, source = "CDX") {
+  return new ApiError(`${source} HTTP ${res.status}`, {
+    code: "upstream_error",
+    status: [429, 503].includes(res.status) ? res.status : 502,
+    upstreamStatus: res.status,
+    retryable: RETRYABLE_STATUSES.includes(res.status),
+    retryAfterMs: retryAfterMs(res),
+  });
+}
+
+// Quy mọi lỗi về ApiError: timeout (AbortSignal.timeout), lỗi mạng (fetch ném TypeError), lỗi khác
+export function toApiError(err) {
+  if (err instanceof ApiError) return err;
+  if (err?.name === "TimeoutError") {
+    return new ApiError("Upstream timeout", { code: "upstream_timeout", status: 504, retryable: true });
+  }
+  if (err?.name === "TypeError" && /fetch/i.test(err.message)) {
+    return new ApiError("Upstream unreachable", { code: "upstream_unreachable", status: 502, retryable: true });
+  }
+  return new ApiError(String(err?.message || err), { code: "internal", status: 500 });
+}
+
+// Phía client: đọc body lỗi của /api/* thành ApiError (body không phải JSON thì đoán theo mã HTTP)
+export async function errorFromResponse(res) {
+  let body = null;
+  try { body = await res.json(); } catch { /* body không phải JSON */ }
+  return new ApiError(body?.error || `HTTP ${res.status}`, {
+    code: body?.code ?? "http_error",
+    status: res.status,
+    upstreamStatus: body?.upstreamStatus ?? null,
+    retryable: typeof body?.retryable === "boolean" ? body.retryable : RETRYABLE_STATUSES.includes(res.status),
+    retryAfterMs: retryAfterMs(res),
+  });
+}
@@ -0,0 +1,101 @@
+// Bộ cột xuất kết quả — dùng chung cho nút "Xuất Kết Quả" và CLI (bin/archive-check.js).
+// Cột có `set` thì đọc ngược lại được khi nhập file kết quả; cột suy ra (coverage_flag, score, verdict) thì không
+import { coverageLevel } from "./coverage.js";
+import { EMPTY_ENRICH } from "./scanner.js";
+import { ageYears } from "./tableView.js";
+import { safeHttpUrl } from "./domains.js";
+
+// "2005:3;2006:10" — dạng gọn cho CSV
+export function formatYearCounts(yearCounts) {
+  return Object.keys(yearCounts || {}).sort().map(y => `${y}:${yearCounts[y]}`).join(";");
+}
+
+export function parseYearCounts(value) {
+  const counts = {};
+  for (const part of String(value ?? "").split(";")) {
+    const [y, n] = part.split(":");
+    if (/^\d{4}$/.test(y?.trim()) && Number.isFinite(Number(n))) counts[y.trim()] = Number(n);
+  }
+  return counts;
+}
+
+const blank = (v) => v === "" || v == null;
+const str = (field) => (r, v) => { if (!blank(v)) r[field] = String(v); };
+const int = (field) => (r, v) => { if (!blank(v) && Number.isFinite(Number(v))) r[field] = Number(v); };
+// Gap nằm ở 3 cột days/from/to, gom lại thành một object
+const gap = (field, part) => (r, v) => {
+  if (blank(v)) return;
+  r[field] = { ...(r[field] || {}), [part]: part === "days" ? Number(v) : String(v) };
+};
+
+// Thứ tự ở đây là thứ tự cột của file CSV
+export const EXPORT_COLUMNS = [
+  { key: "domain", get: r => r.domain, set: (r, v) => { r.domain = String(v ?? "").trim().toLowerCase(); } },
+  { key: "status", get: r => r.status, set: str("status") },
+  // Dòng lỗi: mã lỗi (dịch được, ổn định cho script) và thông điệp gốc
+  { key: "error_code", get: r => r.errorCode ?? "", set: str("errorCode") },
+  { key: "error_msg", get: r => r.errorMsg ?? "", set: str("errorMsg") },
+  // Số năm dạng số; file cũ ghi "6 năm" vẫn đọc được
+  { key: "years", get: r => ageYears(r) ?? "", set: (r, v) => { const n = parseInt(v, 10); if (Number.isFinite(n)) r.spanYears = n; } },
+  { key: "first_year", get: r => r.firstYear ?? "", set: str("firstYear") },
+  { key: "last_year", get: r => r.lastYear ?? "", set: str("lastYear") },
+  { key: "total_snapshots", get: r => r.totalSnapshots ?? 0, set: int("totalSnapshots") },
+  { key: "unique_snapshots", get: r => r.uniqueSnapshots ?? 0, set: int("uniqueSnapshots") },
+  { key: "captures_by_year", get: r => formatYearCounts(r.yearCounts), set: (r, v) => { r.yearCounts = parseYearCounts(v); } },
+  { key: "active_periods", get: r => r.activePeriods ?? 0, set: int("activePeriods") },
+  { key: "longest_gap_days", get: r => r.longestGap?.days ?? "", set: gap("longestGap", "days") },
+  { key: "longest_gap_from", get: r => r.longestGap?.from ?? "", set: gap("longestGap", "from") },
+  { key: "longest_gap_to", get: r => r.longestGap?.to ?? "", set: gap("longestGap", "to") },
+  { key: "recent_gap_days", get: r => r.recentGap?.days ?? "", set: gap("recentGap", "days") },
+  { key: "recent_gap_from", get: r => r.recentGap?.from ?? "", set: gap("recentGap", "from") },
+  { key: "recent_gap_to", get: r => r.recentGap?.to ?? "", set: gap("recentGap", "to") },
+  { key: "coverage_flag", get: r => coverageLevel(r) ?? "" },
+  { key: "redirect_pct", get: r => r.redirectPct ?? "", set: int("redirectPct") },
+  { key: "main_redirect_target", get: r => r.mainRedirect ?? "", set: str("mainRedirect") },
+  { key: "time_ms", get: r => r.timeMs ?? 0, set: int("timeMs") },
+  { key: "closest_ts", get: r => r.closestTs ?? "", set: str("closestTs") },
+  { key: "archive_url", get: r => r.closestUrl ?? "", set: (r, v) => { const url = safeHttpUrl(v); if (url) r.closestUrl = url; } },
+  { key: "score", get: r => r.score ?? "" },
+  { key: "verdict", get: r => r.verdict ?? "" },
+  { key: "sources", get: r => (r.sources || []).join(";"), set: (r, v) => { r.sources = String(v ?? "").split(";").filter(Boolean); } },
+  { key: "first_capture", get: r => r.firstTs ?? "", set: str("firstTs") },
+  { key: "last_capture", get: r => r.lastTs ?? "", set: str("lastTs") },
+];
+
+export const COLUMN_KEYS = EXPORT_COLUMNS.map(c => c.key);
+
+const BY_KEY = Object.fromEntries(EXPORT_COLUMNS.map(c => [c.key, c]));
+
+// Kiểm tra danh sách cột do người dùng chọn; rỗng = mọi cột
+export function resolveColumns(keys) {
+  if (!keys || keys.length === 0) return COLUMN_KEYS;
+  const unknown = keys.filter(k => !BY_KEY[k]);
+  if (unknown.length) throw new Error(`Unknown column(s): ${unknown.join(", ")}`);
+  return keys;
+}
+
+export function toRecord(row, columns = COLUMN_KEYS) {
+  return Object.fromEntries(columns.map(k => [k, BY_KEY[k].get(row)]));
+}
+
+// Ngược lại của toRecord: dựng lại dòng kết quả từ các cột có trong file
+export function fromRecord(record) {
+  const row = { ...EMPTY_ENRICH, status: "complete" };
+  for (const [key, value] of Object.entries(record)) BY_KEY[key]?.set?.(row, value);
+  for (const field of ["longestGap", "recentGap"]) {
+    const g = row[field];
+    if (g && !(Number.isFinite(g.days) && g.from && g.to)) row[field] = null; // thiếu cột nào thì bỏ cả gap
+  }
+  row.archived = row.sources.length > 0 || Boolean(row.closestUrl) || row.totalSnapshots > 0;
+  return row;
+}
+
+const csvCell = (x) => `"${String(x).replace(/"/g, '""')}"`;
+
+export const csvHeader = (columns = COLUMN_KEYS) => columns.join(",");
+
+export const csvLine = (row, columns = COLUMN_KEYS) => columns.map(k => csvCell(BY_KEY[k].get(row))).join(",");
+
+export function toCSV(rows, columns = COLUMN_KEYS) {
+  return [csvHeader(columns), ...rows.map(r => csvLine(r, columns))].join("\n");
+}
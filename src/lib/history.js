@@ -0,0 +1,66 @@
+// Lưu lịch sử quét trong IndexedDB: danh sách nhập, cài đặt, kết quả từng dòng, thời gian
+const DB_NAME = "archive-checker";
+const DB_VERSION = 1;
+const STORE = "scans";
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE)) {
+          db.createObjectStore(STORE, { keyPath: "id" }).createIndex("updatedAt", "updatedAt");
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+
+// Chạy một request trong transaction, trả kết quả khi transaction hoàn tất
+async function run(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const t = db.transaction(STORE, mode);
+    const req = fn(t.objectStore(STORE));
+    t.oncomplete = () => resolve(req?.result);
+    t.onerror = () => reject(t.error);
+    t.onabort = () => reject(t.error);
+  });
+}
+
+export function newScanId() {
+  return `scan-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+export const saveScan = (scan) => run("readwrite", s => s.put({ ...scan, updatedAt: Date.now() }));
+
+export const getScan = (id) => run("readonly", s => s.get(id));
+
+export const deleteScan = (id) => run("readwrite", s => s.delete(id));
+
+// Mới nhất lên đầu
+export async function listScans() {
+  const all = await run("readonly", s => s.getAll());
+  return (all || []).sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export async function renameScan(id, name) {
+  const scan = await getScan(id);
+  if (scan) await saveScan({ ...scan, name });
+}
+
+// Dòng cần quét lại khi tiếp tục: chưa xong (bị ngắt giữa chừng) hoặc lỗi
+export function pendingIndices(rows) {
+  return rows.reduce((acc, r, i) => (r.status === "checking" || r.status === "error" ? acc.concat(i) : acc), []);
+}
+
+// Dòng lỗi, cho nút "Thử lại lỗi"
+export function errorIndices(rows) {
+  return rows.reduce((acc, r, i) => (r.status === "error" ? acc.concat(i) : acc), []);
+}
@@ -0,0 +1,76 @@
+// Đa ngôn ngữ: bản dịch ở src/locales/<mã>.js (object lồng nhau), tra bằng khóa dạng "table.status".
+// Chuỗi có {tham_số}; chuỗi cần số nhiều là object { one, other } chọn theo Intl.PluralRules.
+// Dữ liệu (số năm, mã lỗi, timestamp) luôn lưu dạng thô, chỉ đổi sang chữ/định dạng khi hiển thị.
+import vi from "../locales/vi.js";
+import en from "../locales/en.js";
+import { readJSON, writeJSON } from "./storage.js";
+
+export const LOCALES = {
+  vi: { label: "Tiếng Việt", intl: "vi-VN", messages: vi },
+  en: { label: "English", intl: "en-US", messages: en },
+};
+export const DEFAULT_LOCALE = "vi";
+
+const LOCALE_KEY = "archive-checker:locale";
+
+// Ngôn ngữ đã chọn, nếu chưa chọn thì theo trình duyệt
+export function detectLocale() {
+  const saved = readJSON(LOCALE_KEY, null);
+  if (LOCALES[saved]) return saved;
+  const nav = typeof navigator !== "undefined" ? String(navigator.language || "") : "";
+  return nav && !nav.toLowerCase().startsWith("vi") ? "en" : DEFAULT_LOCALE;
+}
+
+export const saveLocale = (locale) => writeJSON(LOCALE_KEY, locale);
+
+const lookup = (messages, key) => key.split(".").reduce((o, k) => (o == null ? undefined : o[k]), messages);
+
+const interpolate = (text, params) =>
+  text.replace(/\{(\w+)\}/g, (m, name) => (params[name] ?? m));
+
+// Bộ dịch + định dạng cho một ngôn ngữ. Thiếu bản dịch thì lấy tiếng Việt, thiếu nữa thì trả khóa
+export function createI18n(locale = DEFAULT_LOCALE) {
+  const { intl, messages } = LOCALES[locale] || LOCALES[DEFAULT_LOCALE];
+  const plural = new Intl.PluralRules(intl);
+  const numberFmt = new Intl.NumberFormat(intl);
+  const dateFmt = new Intl.DateTimeFormat(intl, { dateStyle: "medium", timeZone: "UTC" });
+  const dateTimeFmt = new Intl.DateTimeFormat(intl, { dateStyle: "short", timeStyle: "short" });
+
+  const has = (key) => typeof (lookup(messages, key) ?? lookup(vi, key)) !== "undefined";
+
+  function t(key, params = {}) {
+    let msg = lookup(messages, key) ?? lookup(vi, key);
+    if (msg == null) return key;
+    if (typeof msg === "object") msg = msg[plural.select(Number(params.count ?? 0))] ?? msg.other;
+    const count = typeof params.count === "number" ? numberFmt.format(params.count) : params.count;
+    return interpolate(String(msg), { ...params, count });
+  }
+
+  const number = (n, opts) => {
+    if (n == null || n === "" || !Number.isFinite(Number(n))) return "—";
+    return opts ? new Intl.NumberFormat(intl, opts).format(n) : numberFmt.format(n);
+  };
+
+  // Timestamp Wayback "YYYYMMDDhhmmss" → ngày theo ngôn ngữ
+  const tsDate = (ts) => {
+    if (!ts || !/^\d{8}/.test(ts)) return "—";
+    return dateFmt.format(Date.UTC(+ts.slice(0, 4), +ts.slice(4, 6) - 1, +ts.slice(6, 8)));
+  };
+
+  const dateTime = (ms) => (ms ? dateTimeFmt.format(ms) : "—");
+
+  // Lỗi có `code` (ApiError, dòng lỗi có errorCode) thì dịch theo mã, không thì hiện nguyên thông điệp.
+  // Bản dịch dùng được {message} (thông điệp gốc) và {status} (mã HTTP upstream)
+  const errorText = (err) => {
+    if (err == null) return t("errors.unknown");
+    if (typeof err === "string") return err;
+    const code = err.code ?? err.errorCode;
+    const message = err.message ?? err.errorMsg;
+    if (code && has(`errors.${code}`)) {
+      return t(`errors.${code}`, { message, status: err.upstreamStatus ?? err.status, ...err.params });
+    }
+    return message || t("errors.unknown");
+  };
+
+  return { locale, intl, t, has, number, tsDate, dateTime, errorText };
+}
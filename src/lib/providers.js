@@ -0,0 +1,129 @@
+// Các nguồn lưu trữ ngoài Wayback Machine. Nguồn nào cũng trả cùng một dạng tóm tắt:
+// { archived, firstTs, lastTs, captures, url } — timestamp dạng YYYYMMDDhhmmss.
+// Wayback có thêm dữ liệu CDX chi tiết nên được xử lý riêng trong scanner.js
+import { upstreamError } from "./errors.js";
+
+export const PROVIDERS = {
+  wayback: { label: "Wayback Machine", short: "WB", base: "https://web.archive.org" },
+  commoncrawl: { label: "Common Crawl", short: "CC", base: "https://index.commoncrawl.org" },
+  archivetoday: { label: "archive.today", short: "AT", base: "https://archive.ph" },
+};
+
+export const PROVIDER_IDS = Object.keys(PROVIDERS);
+export const DEFAULT_PROVIDERS = ["wayback"];
+
+// Giữ các id hợp lệ, bỏ trùng; rỗng thì về mặc định
+export function normalizeProviders(list) {
+  const ids = (Array.isArray(list) ? list : String(list ?? "").split(","))
+    .map(s => String(s).trim().toLowerCase())
+    .filter(id => PROVIDER_IDS.includes(id));
+  return ids.length ? [...new Set(ids)] : DEFAULT_PROVIDERS;
+}
+
+const EMPTY_SUMMARY = { archived: false, firstTs: null, lastTs: null, captures: 0, url: null };
+const trimBase = (base, id) => (base || PROVIDERS[id].base).replace(/\/+$/, "");
+
+// Common Crawl không có chỉ mục chung: mỗi đợt crawl một chỉ mục riêng (hơn 100 đợt).
+// Chỉ hỏi một số đợt rải đều từ cũ nhất tới mới nhất, nên số bản lưu là số trên các đợt đã hỏi
+export const COMMONCRAWL_SAMPLE = 6;
+const collectionsByBase = new Map();
+
+function commonCrawlCollections(base, fetch) {
+  if (!collectionsByBase.has(base)) {
+    const p = fetch(`${base}/collinfo.json`).then(async (res) => {
+      if (!res.ok) throw upstreamError(res, "Common Crawl");
+      return (await res.json()).map(c => c.id);
+    });
+    p.catch(() => collectionsByBase.delete(base)); // lỗi thì lần sau hỏi lại
+    collectionsByBase.set(base, p);
+  }
+  return collectionsByBase.get(base);
+}
+
+function sampleEvenly(list, n) {
+  if (list.length <= n) return list;
+  const picked = new Set();
+  for (let i = 0; i < n; i++) picked.add(list[Math.round((i * (list.length - 1)) / (n - 1))]);
+  return [...picked];
+}
+
+async function lookupCommonCrawl(domain, { fetch, sharedFetch = fetch, baseUrl, sample = COMMONCRAWL_SAMPLE }) {
+  const base = trimBase(baseUrl, "commoncrawl");
+  const crawls = sampleEvenly(await commonCrawlCollections(base, sharedFetch), sample);
+  const timestamps = [];
+  await Promise.all(crawls.map(async (id) => {
+    const res = await fetch(`${base}/${id}-index?output=json&fl=timestamp&url=${encodeURIComponent(domain)}`);
+    if (res.status === 404) return; // đợt này không có bản lưu
+    if (!res.ok) throw upstreamError(res, "Common Crawl");
+    for (const line of (await res.text()).split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        const ts = JSON.parse(line).timestamp;
+        if (ts) timestamps.push(ts);
+      } catch { /* dòng lỗi */ }
+    }
+  }));
+  timestamps.sort();
+  return {
+    ...EMPTY_SUMMARY,
+    archived: timestamps.length > 0,
+    firstTs: timestamps[0] ?? null,
+    lastTs: timestamps[timestamps.length - 1] ?? null,
+    captures: timestamps.length,
+    sampledCrawls: crawls.length,
+  };
+}
+
+// archive.today: timemap theo chuẩn Memento (application/link-format), mỗi bản lưu một dòng
+async function lookupArchiveToday(domain, { fetch, baseUrl }) {
+  const base = trimBase(baseUrl, "archivetoday");
+  const res = await fetch(`${base}/timemap/http://${domain}/`);
+  if (res.status === 404) return { ...EMPTY_SUMMARY };
+  if (!res.ok) throw upstreamError(res, "archive.today");
+  const timestamps = [];
+  for (const m of (await res.text()).matchAll(/<[^>]*\/(\d{14})\/[^>]*>;\s*rel="[^"]*memento[^"]*"/g)) {
+    timestamps.push(m[1]);
+  }
+  timestamps.sort();
+  return {
+    ...EMPTY_SUMMARY,
+    archived: timestamps.length > 0,
+    firstTs: timestamps[0] ?? null,
+    lastTs: timestamps[timestamps.length - 1] ?? null,
+    captures: timestamps.length,
+    url: timestamps.length ? `${base}/${domain}` : null,
+  };
+}
+
+const LOOKUPS = { commoncrawl: lookupCommonCrawl, archivetoday: lookupArchiveToday };
+
+// Tra một nguồn (trừ wayback); `baseUrl` để trỏ sang máy chủ giả lập
+// `signal` chỉ hủy request của miền này, không hủy danh sách đợt crawl dùng chung
+export function lookupProvider(id, domain, { fetch = globalThis.fetch, baseUrl, signal } = {}) {
+  const lookup = LOOKUPS[id];
+  if (!lookup) throw new Error(`Unknown provider: ${id}`);
+  const signalled = signal ? (url, init) => fetch(url, { ...init, signal }) : fetch;
+  return lookup(domain, { fetch: signalled, sharedFetch: fetch, baseUrl });
+}
+
+// Gộp tóm tắt các nguồn: bản lưu đầu sớm nhất, bản lưu cuối muộn nhất
+export function mergeProviders(summaries) {
+  const ok = Object.entries(summaries).filter(([, s]) => s && !s.error && s.archived);
+  const firsts = ok.map(([, s]) => s.firstTs).filter(Boolean).sort();
+  const lasts = ok.map(([, s]) => s.lastTs).filter(Boolean).sort();
+  const firstTs = firsts[0] ?? null;
+  const lastTs = lasts[lasts.length - 1] ?? null;
+  const firstYear = firstTs ? firstTs.slice(0, 4) : "—";
+  const lastYear = lastTs ? lastTs.slice(0, 4) : "—";
+  return {
+    firstTs, lastTs, firstYear, lastYear,
+    spanYears: firstTs && lastTs ? Number(lastYear) - Number(firstYear) : null,
+    sources: ok.map(([id]) => id),
+  };
+}
+
+// "20130101000000" → "2013-01-01"
+export const formatTs = (ts) => (ts ? `${ts.slice(0, 4)}-${ts.slice(4, 6)}-${ts.slice(6, 8)}` : "—");
+
+// Link xem một bản lưu trên Wayback
+export const waybackUrl = (ts, domain) => `${PROVIDERS.wayback.base}/web/${ts}/${domain}`;
@@ -0,0 +1,384 @@
+// Báo cáo chia sẻ: thống kê tóm tắt + biểu đồ, file HTML tự chứa (bảng sắp xếp được) và liên kết nén
+// mở bảng ở chế độ chỉ xem. Tất cả dựng từ cùng các dòng mà bảng kết quả đang hiển thị (đã chấm điểm, lọc, sắp xếp)
+import { COLUMN_KEYS, toRecord, fromRecord } from "./exportColumns.js";
+import { exportMeta } from "./resultFiles.js";
+import { SORT_ACCESSORS, ageYears } from "./tableView.js";
+import { formatGap } from "./coverage.js";
+import { VERDICTS } from "./scoring.js";
+import { PROVIDERS } from "./providers.js";
+import { safeHttpUrl } from "./domains.js";
+
+// Khoảng tuổi lưu trữ của biểu đồ phân bố (năm; gồm min, không gồm max)
+export const AGE_BUCKETS = [
+  { min: 0, max: 1 },
+  { min: 1, max: 3 },
+  { min: 3, max: 5 },
+  { min: 5, max: 10 },
+  { min: 10, max: null },
+];
+
+// Màu cột biểu đồ, dùng chung cho giao diện và file HTML
+export const BAR_COLORS = {
+  default: "#3b82f6",
+  good: "#10b981",
+  review: "#f59e0b",
+  bad: "#ef4444",
+  muted: "#9ca3af",
+};
+
+// Dòng đang quét chưa tính vào tỉ lệ; dòng lỗi chỉ đếm số lượng
+export function summarizeRows(rows) {
+  const s = {
+    total: rows.length,
+    complete: 0,
+    archived: 0,
+    errors: 0,
+    pending: 0,
+    ages: AGE_BUCKETS.map(() => 0),
+    noAge: 0,
+    verdicts: Object.fromEntries(Object.keys(VERDICTS).map(k => [k, 0])),
+    capturesByYear: {},
+  };
+  let ageSum = 0;
+  for (const r of rows) {
+    if (r.status === "error") { s.errors++; continue; }
+    if (r.status !== "complete") { s.pending++; continue; }
+    s.complete++;
+    if (r.archived) s.archived++;
+    if (r.verdict in s.verdicts) s.verdicts[r.verdict]++;
+    const age = ageYears(r);
+    const bucket = age == null ? -1 : AGE_BUCKETS.findIndex(b => age >= b.min && (b.max == null || age < b.max));
+    if (bucket < 0) s.noAge++;
+    else {
+      s.ages[bucket]++;
+      ageSum += age;
+    }
+    for (const [y, n] of Object.entries(r.yearCounts || {})) s.capturesByYear[y] = (s.capturesByYear[y] || 0) + n;
+  }
+  const aged = s.complete - s.noAge;
+  s.archivedPct = s.complete ? s.archived / s.complete : null;
+  s.avgAge = aged ? ageSum / aged : null;
+  return s;
+}
+
+const ageBucketLabel = ({ min, max }, t) => {
+  if (max == null) return t("report.ageAtLeast", { min });
+  if (min === 0) return t("report.ageUnder", { max });
+  return t("report.ageRange", { min, max: max - 1 });
+};
+
+// Các ô số liệu [{ label, value, tone }]
+export function reportStats(s, { t, number }) {
+  const stats = [
+    { label: t("report.stats.domains"), value: number(s.total) },
+    {
+      label: t("report.stats.archived"),
+      value: s.archivedPct == null ? "—" : number(s.archivedPct, { style: "percent", maximumFractionDigits: 1 }),
+      hint: t("report.stats.archivedOf", { archived: number(s.archived), complete: number(s.complete) }),
+    },
+    {
+      label: t("report.stats.avgAge"),
+      value: s.avgAge == null ? "—" : t("units.yearsDecimal", { value: number(s.avgAge, { maximumFractionDigits: 1 }) }),
+    },
+    { label: t("report.stats.errors"), value: number(s.errors), tone: s.errors ? "bad" : null },
+  ];
+  if (s.pending) stats.push({ label: t("report.stats.pending"), value: number(s.pending), tone: "review" });
+  return stats;
+}
+
+// Dữ liệu biểu đồ [{ key, title, layout: "bars" | "columns", bars: [{ label, value, color }] }]
+export function reportCharts(s, t) {
+  const years = Object.keys(s.capturesByYear).sort();
+  return [
+    {
+      key: "age",
+      title: t("report.charts.age"),
+      layout: "bars",
+      bars: [
+        ...AGE_BUCKETS.map((b, i) => ({ label: ageBucketLabel(b, t), value: s.ages[i], color: BAR_COLORS.default })),
+        { label: t("report.noAge"), value: s.noAge, color: BAR_COLORS.muted },
+      ],
+    },
+    {
+      key: "verdicts",
+      title: t("report.charts.verdicts"),
+      layout: "bars",
+      bars: Object.keys(VERDICTS).map(k => ({ label: t(`verdicts.${k}`), value: s.verdicts[k], color: BAR_COLORS[k] })),
+    },
+    {
+      key: "captures",
+      title: t("report.charts.captures"),
+      layout: "columns",
+      bars: years.map(y => ({ label: y, value: s.capturesByYear[y], color: BAR_COLORS.default })),
+    },
+  ];
+}
+
+// ---- File HTML ----
+
+// Cột của bảng trong file HTML — cùng khóa và tên cột với bảng kết quả
+const REPORT_COLUMNS = [
+  "domain", "status", "score", "years", "firstYear", "lastYear", "sources", "totalSnapshots",
+  "activePeriods", "longestGap", "recentGap", "redirectPct", "mainRedirect",
+];
+
+const esc = (v) => String(v ?? "").replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+function cellText(key, r, i18n) {
+  const { t, number, errorText } = i18n;
+  switch (key) {
+    case "domain": return r.domain;
+    case "status": {
+      const label = t(`table.status.${r.status}`);
+      return r.status === "error" && (r.errorCode || r.errorMsg) ? `${label}: ${errorText(r)}` : label;
+    }
+    case "score": return r.verdict ? `${t(`verdicts.${r.verdict}`)} (${number(r.score)})` : "—";
+    case "years": {
+      const age = ageYears(r);
+      return age == null ? "—" : t("units.years", { count: age });
+    }
+    case "firstYear": return r.firstYear ?? "—";
+    case "lastYear": return r.lastYear ?? "—";
+    case "sources": return (r.sources || []).map(id => PROVIDERS[id]?.short ?? id).join(" ") || "—";
+    case "totalSnapshots": return number(r.totalSnapshots ?? 0);
+    case "activePeriods": return r.activePeriods || "—";
+    case "longestGap": return formatGap(r.longestGap, i18n);
+    case "recentGap": return formatGap(r.recentGap, i18n);
+    case "redirectPct": return r.redirectPct == null ? "—" : number(r.redirectPct / 100, { style: "percent", maximumFractionDigits: 1 });
+    case "mainRedirect": return r.mainRedirect ?? "—";
+    default: return "";
+  }
+}
+
+function htmlCell(key, r, i18n) {
+  const sortValue = SORT_ACCESSORS[key]?.(r);
+  const text = esc(cellText(key, r, i18n));
+  const href = key === "domain" ? safeHttpUrl(r.closestUrl) : null;
+  const content = href
+    ? `<a href="${esc(href)}" target="_blank" rel="noreferrer">${text}</a>`
+    : key === "score" && r.verdict ? `<span class="v-${r.verdict}">${text}</span>` : text;
+  return `<td data-v="${esc(sortValue)}">${content}</td>`;
+}
+
+function svgChart(chart, number) {
+  const max = Math.max(1, ...chart.bars.map(b => b.value));
+  if (chart.layout === "columns") {
+    const colW = 14, h = 120, w = Math.max(1, chart.bars.length) * colW;
+    const cols = chart.bars.map((b, i) => {
+      const bh = b.value > 0 ? Math.max(2, Math.round((b.value / max) * h)) : 0;
+      return `<rect x="${i * colW}" y="${h - bh}" width="${colW - 2}" height="${bh}" fill="${b.color}"><title>${esc(b.label)}: ${esc(number(b.value))}</title></rect>`;
+    }).join("");
+    const first = chart.bars[0]?.label ?? "", last = chart.bars[chart.bars.length - 1]?.label ?? "";
+    return `<svg width="${w}" height="${h + 16}" role="img">${cols}<text x="0" y="${h + 13}">${esc(first)}</text><text x="${w}" y="${h + 13}" text-anchor="end">${esc(last)}</text></svg>`;
+  }
+  const rowH = 22, labelW = 110, barW = 200;
+  const bars = chart.bars.map((b, i) => {
+    const y = i * rowH;
+    const bw = Math.round((b.value / max) * barW);
+    return `<text x="0" y="${y + 15}">${esc(b.label)}</text>`
+      + `<rect x="${labelW}" y="${y + 4}" width="${bw}" height="${rowH - 8}" fill="${b.color}" />`
+      + `<text x="${labelW + bw + 6}" y="${y + 15}">${esc(number(b.value))}</text>`;
+  }).join("");
+  return `<svg width="${labelW + barW + 60}" height="${chart.bars.length * rowH}" role="img">${bars}</svg>`;
+}
+
+const REPORT_CSS = `
+body{font:14px/1.4 system-ui,-apple-system,"Segoe UI",Roboto,sans-serif;margin:24px;color:#111;background:#f8fafc}
+h1{font-size:20px;margin:0 0 4px}.meta{color:#6b7280;font-size:12px;margin:0 0 16px}
+.stats{display:flex;flex-wrap:wrap;gap:12px;margin-bottom:16px}
+.stat{background:#fff;border:1px solid #e5e7eb;border-radius:8px;padding:10px 14px;min-width:140px}
+.stat b{display:block;font-size:20px}.stat span{color:#6b7280;font-size:12px}
+.tone-bad b{color:#dc2626}.tone-review b{color:#d97706}
+.charts{display:flex;flex-wrap:wrap;gap:16px;margin-bottom:16px}
+.chart{background:#fff;border:1px solid #e5e7eb;border-radius:8px;padding:10px 14px;max-width:100%;overflow-x:auto}
+.chart h2{font-size:13px;margin:0 0 8px}.chart svg text{font-size:11px;fill:#374151}
+table{border-collapse:collapse;background:#fff;width:100%;font-size:13px}
+th,td{border-bottom:1px solid #e5e7eb;padding:6px 10px;text-align:left;white-space:nowrap}
+th{background:#f3f4f6;cursor:pointer;user-select:none;position:sticky;top:0}
+th[aria-sort=ascending]::after{content:" ▲"}th[aria-sort=descending]::after{content:" ▼"}
+a{color:#1d4ed8}.v-good{color:#047857;font-weight:600}.v-review{color:#b45309;font-weight:600}.v-bad{color:#b91c1c;font-weight:600}
+`;
+
+// Bấm tiêu đề cột: tăng → giảm → thứ tự ban đầu; ô trống luôn nằm cuối
+const SORT_SCRIPT = `
+(function () {
+  var table = document.getElementById("results"), body = table.tBodies[0];
+  var original = Array.prototype.slice.call(body.rows), state = { col: -1, dir: 0 };
+  var value = function (row, col) {
+    var v = row.cells[col].getAttribute("data-v");
+    return v === "" ? null : isNaN(v) ? v : Number(v);
+  };
+  Array.prototype.forEach.call(table.tHead.rows[0].cells, function (th, col) {
+    th.addEventListener("click", function () {
+      state = { col: col, dir: state.col !== col ? 1 : state.dir === 1 ? -1 : 0 };
+      Array.prototype.forEach.call(table.tHead.rows[0].cells, function (h) { h.removeAttribute("aria-sort"); });
+      if (state.dir) th.setAttribute("aria-sort", state.dir === 1 ? "ascending" : "descending");
+      var rows = original.slice();
+      if (state.dir) rows.sort(function (a, b) {
+        var va = value(a, col), vb = value(b, col);
+        if (va === null || vb === null) return va === vb ? 0 : va === null ? 1 : -1;
+        var cmp = typeof va === "string" || typeof vb === "string" ? String(va).localeCompare(String(vb)) : va - vb;
+        return cmp * state.dir;
+      });
+      rows.forEach(function (r) { body.appendChild(r); });
+    });
+  });
+})();
+`;
+
+// Trang HTML một file duy nhất (CSS, biểu đồ SVG, script sắp xếp nằm sẵn bên trong), mở được khi không có mạng
+export function buildHtmlReport(rows, { scan = null, i18n }) {
+  const { t, number, dateTime, locale } = i18n;
+  const summary = summarizeRows(rows);
+  const title = scan?.name ? t("report.titleFor", { name: scan.name }) : t("report.title");
+  const scanDate = typeof scan?.createdAt === "number" ? scan.createdAt : Date.parse(scan?.createdAt ?? "") || null;
+  const meta = [
+    t("report.generatedAt", { date: dateTime(Date.now()) }),
+    scanDate ? t("report.scannedAt", { date: dateTime(scanDate) }) : null,
+    t("report.rowCount", { count: rows.length }),
+  ].filter(Boolean).join(" • ");
+
+  const stats = reportStats(summary, i18n).map(s =>
+    `<div class="stat${s.tone ? ` tone-${s.tone}` : ""}"><b>${esc(s.value)}</b><span>${esc(s.label)}${s.hint ? ` — ${esc(s.hint)}` : ""}</span></div>`
+  ).join("");
+  const charts = reportCharts(summary, t)
+    .filter(c => c.bars.some(b => b.value > 0))
+    .map(c => `<div class="chart"><h2>${esc(c.title)}</h2>${svgChart(c, number)}</div>`)
+    .join("");
+  const head = REPORT_COLUMNS.map(k => `<th>${esc(t(`table.columns.${k}`))}</th>`).join("");
+  const body = rows.map(r => `<tr>${REPORT_COLUMNS.map(k => htmlCell(k, r, i18n)).join("")}</tr>`).join("\n");
+
+  return `<!doctype html>
+<html lang="${esc(locale)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${esc(title)}</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+<h1>${esc(title)}</h1>
+<p class="meta">${esc(meta)}</p>
+<div class="stats">${stats}</div>
+<div class="charts">${charts}</div>
+<table id="results">
+<thead><tr>${head}</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+<script>${SORT_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+// ---- Liên kết chia sẻ ----
+// Dữ liệu nằm sau dấu # nên không gửi lên server; nén deflate-raw (CompressionStream có sẵn trong trình duyệt) rồi base64url
+
+const SHARE_PREFIX = "#share=";
+const SHARE_VERSION = 1;
+// Liên kết dài hơn mức này nhiều ứng dụng chat / email sẽ cắt mất — khi đó nên gửi file HTML
+export const MAX_LINK_LENGTH = 100_000;
+// Giới hạn dữ liệu sau khi giải nén: liên kết vài KB dựng tay có thể nở ra hàng trăm MB trong tab người nhận.
+// Liên kết hợp lệ dài tối đa MAX_LINK_LENGTH chỉ giải nén ra vài MB
+export const MAX_SHARE_BYTES = 10_000_000;
+
+// Mọi cột trừ coverage_flag (tính lại được) và cột lỗi (đã có trong `errors`);
+// score/verdict đi kèm để người xem thấy đúng kết luận của người gửi
+const LINK_COLUMNS = COLUMN_KEYS.filter(k => !["coverage_flag", "error_code", "error_msg"].includes(k));
+
+const shareError = (code, message, params) => Object.assign(new Error(message), { code, params });
+
+async function transform(bytes, stream) {
+  return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+}
+
+function toBase64Url(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+// Giải nén nhưng dừng đọc ngay khi vượt `max` byte
+async function inflateCapped(bytes, max) {
+  const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw")).getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    size += value.length;
+    if (size > max) {
+      reader.cancel().catch(() => {});
+      throw shareError("share_too_large", `Share data is too large (over ${max} bytes)`, { length: size, max });
+    }
+    chunks.push(value);
+  }
+  const out = new Uint8Array(size);
+  let offset = 0;
+  for (const c of chunks) {
+    out.set(c, offset);
+    offset += c.length;
+  }
+  return out;
+}
+
+const fromBase64Url = (text) => Uint8Array.from(atob(text.replace(/-/g, "+").replace(/_/g, "/")), c => c.charCodeAt(0));
+
+// Trả URL đầy đủ; `baseUrl` là địa chỉ trang app (không kèm #)
+export async function encodeShareLink(rows, { scan = null, locale = null, baseUrl }) {
+  if (typeof CompressionStream === "undefined") throw shareError("share_unsupported", "Browser cannot compress share links");
+  const payload = {
+    v: SHARE_VERSION,
+    meta: exportMeta(scan, { columns: LINK_COLUMNS, total: rows.length, locale }),
+    columns: LINK_COLUMNS,
+    rows: rows.map(r => {
+      const record = toRecord(r, LINK_COLUMNS);
+      return LINK_COLUMNS.map(k => record[k]);
+    }),
+    // Lỗi không có cột riêng: { chỉ số dòng: [mã lỗi, thông điệp] }
+    errors: Object.fromEntries(rows.flatMap((r, i) =>
+      r.status === "error" ? [[i, [r.errorCode ?? null, r.errorMsg ?? null]]] : []
+    )),
+  };
+  const bytes = await transform(new TextEncoder().encode(JSON.stringify(payload)), new CompressionStream("deflate-raw"));
+  const url = `${baseUrl}${SHARE_PREFIX}${toBase64Url(bytes)}`;
+  if (url.length > MAX_LINK_LENGTH) {
+    throw shareError("share_too_large", `Share link is too long (${url.length} characters)`, { length: url.length, max: MAX_LINK_LENGTH });
+  }
+  return url;
+}
+
+// Phần dữ liệu của liên kết chia sẻ trong location.hash, null nếu không phải liên kết chia sẻ
+export const shareDataFromHash = (hash) =>
+  hash?.startsWith(SHARE_PREFIX) && hash.length > SHARE_PREFIX.length ? hash.slice(SHARE_PREFIX.length) : null;
+
+// → { meta, rows }; dòng dựng lại như khi nhập file kết quả, kèm điểm/kết luận và lỗi của người gửi
+export async function decodeShareLink(data) {
+  if (typeof DecompressionStream === "undefined") throw shareError("share_unsupported", "Browser cannot read share links");
+  let payload;
+  try {
+    const bytes = await inflateCapped(fromBase64Url(data), MAX_SHARE_BYTES);
+    payload = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (e) {
+    if (e?.code === "share_too_large") throw e;
+    throw shareError("share_invalid", "Share link is damaged or incomplete");
+  }
+  if (payload?.v !== SHARE_VERSION || !Array.isArray(payload.columns) || !Array.isArray(payload.rows)) {
+    throw shareError("share_invalid", "Share link is damaged or incomplete");
+  }
+  const rows = payload.rows.map((values, i) => {
+    const record = Object.fromEntries(payload.columns.map((k, j) => [k, values?.[j]]));
+    const row = fromRecord(record);
+    row.score = record.score === "" || record.score == null ? null : Number(record.score);
+    row.verdict = VERDICTS[record.verdict] ? record.verdict : null;
+    const error = payload.errors?.[i];
+    if (Array.isArray(error)) {
+      row.errorCode = error[0] ?? undefined;
+      row.errorMsg = error[1] ?? undefined;
+    }
+    return row;
+  });
+  return { meta: payload.meta ?? null, rows };
+}
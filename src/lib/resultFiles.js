@@ -0,0 +1,153 @@
+// File kết quả: xuất CSV / JSON / NDJSON / XLSX kèm metadata, và đọc ngược lại để mở hoặc so sánh
+import { COLUMN_KEYS, toRecord, fromRecord, toCSV } from "./exportColumns.js";
+import { readJSON, writeJSON } from "./storage.js";
+
+export const EXPORT_FORMATS = {
+  csv: { label: "CSV", ext: "csv", type: "text/csv;charset=utf-8" },
+  json: { label: "JSON", ext: "json", type: "application/json" },
+  ndjson: { label: "NDJSON", ext: "ndjson", type: "application/x-ndjson" },
+  xlsx: { label: "Excel (XLSX)", ext: "xlsx", type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" },
+};
+
+const FILE_KIND = "archive-checker-results";
+
+// Metadata đi kèm file: lần quét nào, cài đặt gì, nguồn nào, ngôn ngữ giao diện lúc xuất
+export function exportMeta(scan, { columns, total, locale = null }) {
+  const settings = scan?.settings || {};
+  return {
+    kind: FILE_KIND,
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    locale,
+    scan: scan ? {
+      name: scan.name,
+      createdAt: scan.createdAt ? new Date(scan.createdAt).toISOString() : null,
+      finishedAt: scan.finishedAt ? new Date(scan.finishedAt).toISOString() : null,
+      status: scan.status,
+    } : null,
+    settings,
+    providers: settings.providers || ["wayback"],
+    columns,
+    rows: total,
+  };
+}
+
+// Trả Blob; xlsx chỉ tải khi cần
+export async function buildExportFile(rows, { format = "csv", columns = COLUMN_KEYS, meta }) {
+  const { type } = EXPORT_FORMATS[format];
+  const records = rows.map(r => toRecord(r, columns));
+  if (format === "csv") {
+    // CSV giữ đúng RFC 4180 (dòng đầu là tiêu đề, giống CLI); metadata chỉ có trong JSON / NDJSON / XLSX
+    return new Blob([toCSV(rows, columns)], { type });
+  }
+  if (format === "json") return new Blob([JSON.stringify({ meta, rows: records }, null, 2)], { type });
+  if (format === "ndjson") {
+    return new Blob([[{ _meta: meta }, ...records].map(x => JSON.stringify(x)).join("\n")], { type });
+  }
+  const XLSX = await import("xlsx");
+  const wb = XLSX.utils.book_new();
+  const sheet = XLSX.utils.json_to_sheet(records, { header: columns });
+  // Ô số giữ kiểu số, kèm định dạng có dấu phân cách để Excel/Sheets hiển thị theo ngôn ngữ của máy mở file
+  for (const cell of Object.values(sheet)) {
+    if (cell?.t === "n") cell.z = Number.isInteger(cell.v) ? "#,##0" : "#,##0.0";
+  }
+  XLSX.utils.book_append_sheet(wb, sheet, "results");
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([
+    ["exportedAt", meta.exportedAt],
+    ["scan", meta.scan?.name ?? ""],
+    ["scanCreatedAt", meta.scan?.createdAt ?? ""],
+    ["providers", meta.providers.join(", ")],
+    ["meta", JSON.stringify(meta)],
+  ]), "meta");
+  return new Blob([XLSX.write(wb, { type: "array", bookType: "xlsx" })], { type });
+}
+
+export function downloadBlob(blob, filename) {
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+const CAPTURE_COLUMNS = ["closest_ts", "first_capture", "last_capture"];
+
+// TSV dán thẳng vào Google Sheets / Excel. Có `i18n` thì số và ngày theo ngôn ngữ đang dùng,
+// để bảng tính cùng ngôn ngữ tự nhận ra kiểu dữ liệu
+export function toTSV(rows, columns = COLUMN_KEYS, i18n = null) {
+  const format = (key, v) => {
+    if (!i18n || v === "") return v;
+    if (CAPTURE_COLUMNS.includes(key)) return i18n.tsDate(v);
+    return typeof v === "number" ? i18n.number(v) : v;
+  };
+  const line = (values) => values.map(v => String(v).replace(/[\t\n]/g, " ")).join("\t");
+  return [line(columns), ...rows.map(r => {
+    const record = toRecord(r, columns);
+    return line(columns.map(k => format(k, record[k])));
+  })].join("\n");
+}
+
+async function sheetRecords(input, type) {
+  const XLSX = await import("xlsx");
+  const wb = XLSX.read(input, { type, raw: type === "string" }); // CSV: giữ nguyên chữ, không tự đổi ngày tháng
+  const records = XLSX.utils.sheet_to_json(wb.Sheets[wb.SheetNames[0]], { raw: false, defval: "" });
+  let meta = null;
+  if (wb.Sheets.meta) {
+    const pairs = XLSX.utils.sheet_to_json(wb.Sheets.meta, { header: 1, raw: false, defval: "" });
+    const json = pairs.find(p => p[0] === "meta")?.[1];
+    try { meta = json ? JSON.parse(json) : null; } catch { /* metadata hỏng thì bỏ qua */ }
+  }
+  return { meta, records };
+}
+
+// Đọc file kết quả đã xuất (hoặc bảng bất kỳ có cột "domain") → { meta, rows }
+export async function parseResultFile(file) {
+  const name = file.name.toLowerCase();
+  let meta = null, records;
+  if (name.endsWith(".json")) {
+    const data = JSON.parse(await file.text());
+    ({ meta = null, rows: records } = Array.isArray(data) ? { rows: data } : data);
+  } else if (/\.(ndjson|jsonl)$/.test(name)) {
+    records = [];
+    for (const line of (await file.text()).split("\n")) {
+      if (!line.trim()) continue;
+      const obj = JSON.parse(line);
+      if (obj._meta) meta = obj._meta;
+      else records.push(obj);
+    }
+  } else if (/\.(csv|tsv|txt)$/.test(name)) {
+    let text = await file.text();
+    // File CSV xuất từ bản cũ có dòng metadata "# {...}" ở đầu
+    if (text.startsWith("# ")) {
+      const nl = text.indexOf("\n");
+      try { meta = JSON.parse(text.slice(2, nl)); } catch { /* dòng chú thích khác */ }
+      text = text.slice(nl + 1);
+    }
+    ({ records } = await sheetRecords(text, "string"));
+  } else {
+    ({ meta, records } = await sheetRecords(await file.arrayBuffer(), "array"));
+  }
+
+  if (!Array.isArray(records) || !records.some(r => r && "domain" in r)) {
+    throw Object.assign(new Error("File has no domain column"), { code: "no_domain_column" });
+  }
+  const seen = new Set();
+  const rows = records.map(fromRecord).filter(r => {
+    if (!r.domain || seen.has(r.domain)) return false;
+    seen.add(r.domain);
+    return true;
+  });
+  return { meta: meta?.kind === FILE_KIND ? meta : null, rows };
+}
+
+// Mẫu xuất đã lưu: { name, format, columns }
+const TEMPLATES_KEY = "archive-checker:export-templates";
+
+export function loadTemplates() {
+  const list = readJSON(TEMPLATES_KEY, []);
+  return (Array.isArray(list) ? list : []).filter(t =>
+    t?.name && EXPORT_FORMATS[t.format] && Array.isArray(t.columns) && t.columns.every(k => COLUMN_KEYS.includes(k))
+  );
+}
+
+export const saveTemplates = (templates) => writeJSON(TEMPLATES_KEY, templates);
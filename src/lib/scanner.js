@@ -0,0 +1,325 @@
+// Bộ máy quét dùng chung: trình duyệt (App), serverless (/api/scan, kiểm tra danh sách theo dõi) và CLI (bin/archive-check.js)
+import { createScheduler, sleep, isAbortError } from "./scheduler.js";
+import { DEFAULT_PROVIDERS, mergeProviders } from "./providers.js";
+import { ApiError, errorFromResponse, toApiError, upstreamError } from "./errors.js";
+
+export { extractDomainsFromText, parseDomainInput, normalizeDomain } from "./domains.js";
+
+// Giá trị mặc định của một dòng khi chưa có / không có dữ liệu CDX
+export const EMPTY_ENRICH = {
+  spanYears: null, firstYear: "—", lastYear: "—", totalSnapshots: 0, uniqueSnapshots: 0, yearCounts: {},
+  activePeriods: 0, longestGap: null, recentGap: null,
+  statusTotals: {}, statusYears: {}, redirectPct: null, redirectTargets: [], mainRedirect: null,
+  firstTs: null, lastTs: null, providers: {}, sources: [],
+  cache: null
+};
+
+// Wayback Available API
+// `fetch` có thể là fetch đã qua bộ giới hạn tốc độ (scheduler.fetch); `baseUrl` để trỏ sang máy chủ giả lập
+export async function checkAvailable(domain, { fetch = globalThis.fetch, baseUrl = "https://archive.org", signal } = {}) {
+  const endpoint = `${baseUrl.replace(/\/+$/, "")}/wayback/available?url=${encodeURIComponent(domain)}`;
+  const t0 = performance.now();
+  let res, data;
+  try {
+    res = await fetch(endpoint, { cache: "no-store", signal });
+  } catch (e) {
+    if (isAbortError(e)) throw e;
+    throw new ApiError("Network error", { code: "network", status: 502, retryable: true });
+  }
+  // Kiểm tra mã HTTP trước khi đọc body: trang lỗi HTML / 503 rỗng vẫn giữ được mã upstream và Retry-After
+  if (!res.ok) throw upstreamError(res, "Wayback");
+  try {
+    data = await res.json();
+  } catch (e) {
+    if (isAbortError(e)) throw e;
+    throw new ApiError("Invalid Wayback response", { code: "upstream_invalid", status: 502, upstreamStatus: res.status, retryable: true });
+  }
+  const t1 = performance.now();
+  const closest = data?.archived_snapshots?.closest;
+  return {
+    archived: Boolean(closest),
+    closestUrl: closest?.url || null,
+    closestTs: closest?.timestamp || null,
+    timeMs: Math.max(1, Math.round(t1 - t0)),
+  };
+}
+
+// Header khóa API cho các proxy /api/* (server đặt API_KEY)
+const authHeaders = (apiKey) => (apiKey ? { "X-Api-Key": apiKey } : {});
+
+// Nguồn CDX mặc định của trình duyệt: đi qua proxy /api/cdx
+// Nguồn CDX nào cũng trả { data, cache } — cache là trạng thái X-Cache của proxy (HIT/MISS/...)
+// Lỗi ném ra là ApiError đọc từ body lỗi của proxy (code, upstreamStatus, retryable)
+export function proxyCdx(base = "/api/cdx", { refresh = false, apiKey = "" } = {}) {
+  return async (type, domain, { fetch = globalThis.fetch, signal } = {}) => {
+    const res = await fetch(`${base}?url=${encodeURIComponent(domain)}&type=${type}${refresh ? "&refresh=1" : ""}`, {
+      headers: authHeaders(apiKey),
+      signal,
+    });
+    if (!res.ok) throw await errorFromResponse(res);
+    return { data: await res.json(), cache: res.headers.get("x-cache") };
+  };
+}
+
+// Các nguồn khác Wayback: trình duyệt đi qua proxy /api/provider (archive.today, Common Crawl không cho CORS)
+export function proxyProvider(base = "/api/provider", { refresh = false, apiKey = "" } = {}) {
+  return async (id, domain, { fetch = globalThis.fetch, signal } = {}) => {
+    const res = await fetch(`${base}?id=${id}&url=${encodeURIComponent(domain)}${refresh ? "&refresh=1" : ""}`, {
+      headers: authHeaders(apiKey),
+      signal,
+    });
+    if (!res.ok) throw await errorFromResponse(res);
+    return res.json();
+  };
+}
+
+// Gộp trạng thái cache của các lần gọi CDX cho một miền: HIT | MISS | PARTIAL | null
+function summarizeCache(statuses) {
+  const known = statuses.filter(c => c && c !== "OFF");
+  if (known.length === 0) return null;
+  const hits = known.filter(c => c === "HIT").length;
+  return hits === known.length ? "HIT" : hits === 0 ? "MISS" : "PARTIAL";
+}
+
+// Kết quả truy vấn first / last: [["timestamp"], ["2005..."]] hoặc { timestamp }
+const timestampOf = (res) => (Array.isArray(res) ? res[1]?.[0] : res?.timestamp) || null;
+
+const isClientError = (err) => err?.status >= 400 && err.status < 500 && !err.retryable;
+
+// Số lần gọi tối đa cho mỗi truy vấn CDX của một miền
+const CDX_ATTEMPTS = 3;
+
+// Hàm nâng cấp - check đa dạng kiểu dữ liệu trả về, log lỗi rõ ràng
+// Chỉ thử lại lỗi tạm thời (retryable: timeout, upstream 5xx/429). Lỗi 4xx của chính request
+// (sai tham số, thiếu khóa API) thì ném ra ngay, không gọi tiếp các truy vấn còn lại.
+// Dữ liệu rỗng là kết quả hợp lệ (miền chưa có bản lưu), không thử lại
+// `cdx(type, domain, { fetch, signal })` cho phép server gọi thẳng CDX thay vì đi vòng qua proxy
+export async function enrichByCDX(domain, { cdx = proxyCdx(), fetch = globalThis.fetch, signal } = {}) {
+  const cacheStatuses = [];
+  const fetchProxy = async (type) => {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const { data, cache } = await cdx(type, domain, { fetch, signal });
+        cacheStatuses.push(cache);
+        if (data && ((Array.isArray(data) && data.length > 1) || (typeof data === "object" && Object.keys(data).length > 0))) {
+          return data;
+        }
+        return null;
+      } catch (err) {
+        if (isAbortError(err)) throw err;
+        const e = toApiError(err);
+        if (isClientError(e)) throw e;
+        if (!e.retryable || attempt >= CDX_ATTEMPTS) {
+          console.warn(`CDX API lỗi cho ${domain} (${type}) [${e.code}]:`, err);
+          return null;
+        }
+        await sleep(e.retryAfterMs ?? 1000 * attempt, signal);
+      }
+    }
+  };
+
+  let firstTs = null, lastTs = null;
+  let firstYear = "—", lastYear = "—", spanYears = null, totalSnapshots = 0, uniqueSnapshots = 0, yearCounts = {};
+  let activePeriods = 0, longestGap = null, recentGap = null;
+  let statusTotals = {}, statusYears = {}, redirectPct = null, redirectTargets = [], mainRedirect = null;
+
+  // Tổng số bản lưu thật + phân bổ theo năm (server đã gom sẵn, không tải từng dòng CDX về trình duyệt).
+  // stats đã đọc cả CDX nên có luôn bản lưu đầu / cuối; chỉ khi stats lỗi mới gọi riêng first / last
+  const statsRes = await fetchProxy("stats");
+  if (statsRes && typeof statsRes.total === "number") {
+    totalSnapshots = statsRes.total;
+    uniqueSnapshots = statsRes.unique ?? 0;
+    yearCounts = Object.fromEntries(
+      Object.entries(statsRes.years || {}).map(([y, v]) => [y, v.total ?? 0])
+    );
+    // Độ phủ theo thời gian: khoảng trống dài nhất, số giai đoạn hoạt động, gap gần nhất trước bản lưu cuối
+    activePeriods = statsRes.coverage?.periods ?? 0;
+    longestGap = statsRes.coverage?.longestGap ?? null;
+    recentGap = statsRes.coverage?.recentGap ?? null;
+  }
+
+  if (statsRes && statsRes.firstTs !== undefined) {
+    firstTs = statsRes.firstTs;
+    lastTs = statsRes.lastTs;
+  } else {
+    firstTs = timestampOf(await fetchProxy("first"));
+    lastTs = timestampOf(await fetchProxy("last"));
+  }
+  if (firstTs) firstYear = firstTs.slice(0, 4);
+  if (lastTs) lastYear = lastTs.slice(0, 4);
+
+  // Chỉ lưu số năm; chữ "năm"/"years" do giao diện thêm theo ngôn ngữ
+  if (firstYear !== "—" && lastYear !== "—") spanYears = Number(lastYear) - Number(firstYear);
+
+  // Lịch sử mã trạng thái (mọi bản lưu, không chỉ 200) + đích chuyển hướng của các bản lưu 3xx
+  const statusRes = await fetchProxy("status");
+  if (statusRes && typeof statusRes.total === "number") {
+    statusTotals = statusRes.classes || {};
+    statusYears = statusRes.years || {};
+    redirectPct = statusRes.total ? Math.round(((statusTotals["3xx"] ?? 0) / statusRes.total) * 1000) / 10 : 0;
+    redirectTargets = statusRes.redirects?.targets || [];
+    mainRedirect = redirectTargets.find(t => t.external)?.host ?? null;
+  }
+
+  return {
+    firstTs, lastTs, firstYear, lastYear, spanYears, totalSnapshots, uniqueSnapshots, yearCounts,
+    activePeriods, longestGap, recentGap,
+    statusTotals, statusYears, redirectPct, redirectTargets, mainRedirect,
+    cache: summarizeCache(cacheStatuses)
+  };
+}
+
+// Quét một miền trên các nguồn đã chọn (song song); chỉ ném lỗi khi mọi nguồn đều lỗi.
+// Năm đầu/năm cuối là gộp của mọi nguồn; số liệu CDX chi tiết (bản lưu, gap, chuyển hướng) chỉ có từ Wayback
+async function scanDomain(domain, { providers, cdx, lookup, fetch, bases, signal }) {
+  const settled = await Promise.allSettled(providers.map(async (id) => {
+    if (id !== "wayback") return lookup(id, domain, { fetch, signal });
+    const res = await checkAvailable(domain, { fetch, baseUrl: bases.wayback, signal });
+    let enrichInfo = { ...EMPTY_ENRICH };
+    if (res.archived) {
+      try {
+        enrichInfo = await enrichByCDX(domain, { cdx, fetch, signal });
+      } catch (err) {
+        // Request bị proxy từ chối (401, 400) thì báo lỗi cả dòng thay vì âm thầm trống dữ liệu
+        if (isAbortError(err) || isClientError(err)) throw err;
+        console.warn(`Lỗi enrich cho ${domain}:`, err);
+      }
+    }
+    return { ...res, ...enrichInfo };
+  }));
+  const failed = settled.find(s => s.status === "rejected");
+  if (settled.every(s => s.status === "rejected")) throw failed.reason;
+
+  const summaries = {};
+  let wayback = null;
+  settled.forEach((s, i) => {
+    const id = providers[i];
+    if (s.status === "rejected") {
+      summaries[id] = { error: s.reason?.message || String(s.reason) };
+    } else if (id === "wayback") {
+      wayback = s.value;
+      summaries[id] = {
+        archived: wayback.archived, firstTs: wayback.firstTs, lastTs: wayback.lastTs,
+        captures: wayback.totalSnapshots, url: wayback.closestUrl,
+      };
+    } else {
+      summaries[id] = s.value;
+    }
+  });
+
+  const merged = mergeProviders(summaries);
+  // Không có Wayback thì dẫn tới bản lưu mới nhất của nguồn khác
+  const latest = Object.values(summaries).filter(s => s.url).sort((a, b) => (b.lastTs ?? "").localeCompare(a.lastTs ?? ""))[0];
+  return {
+    ...EMPTY_ENRICH,
+    ...(wayback || {}),
+    ...merged,
+    archived: merged.sources.length > 0,
+    closestUrl: wayback?.closestUrl ?? latest?.url ?? null,
+    closestTs: wayback?.closestTs ?? latest?.lastTs ?? null,
+    providers: summaries,
+  };
+}
+
+// Hàm quét song song qua worker pool của scheduler (xem scheduler.js)
+// onRow(index, patch) nhận cập nhật từng dòng; onStats nhận tiến độ
+// (số liệu tốc độ/throttle lấy qua onStats của chính scheduler)
+// providers: các nguồn dùng cho lần quét; lookup(id, domain, { fetch, signal }) tra nguồn khác Wayback;
+// bases: { wayback } đổi địa chỉ Wayback Available API; retries: số lần thử lại một miền bị lỗi
+// signal hủy được mọi request đang chạy và lúc chờ thử lại; miền bị hủy giữa chừng không gọi onRow nữa
+export async function scanDomainsParallel(domains, {
+  signal,
+  concurrency = 5,
+  rps = 3,
+  scheduler = createScheduler({ concurrency, rps }),
+  cdx,
+  providers = DEFAULT_PROVIDERS,
+  lookup = proxyProvider(),
+  bases = {},
+  retries = 1,
+  onRow = () => {},
+  onStats = () => {},
+} = {}) {
+  onStats({ done: 0, total: domains.length, errors: 0, avg: 0 });
+
+  let done = 0;
+  let errors = 0;
+  let totalTime = 0;
+  const fetch = scheduler.fetch;
+
+  await scheduler.run(domains, async (domain, idx) => {
+    onRow(idx, { status: "checking", errorCode: undefined, errorMsg: undefined });
+    const t0 = performance.now();
+    let result;
+    for (let retry = 0; retry <= retries; retry++) {
+      try {
+        result = { ...(await scanDomain(domain, { providers, cdx, lookup, fetch, bases, signal })), status: "complete" };
+        break; // thành công, break retry
+      } catch (e) {
+        if (signal?.aborted) return; // dòng giữ trạng thái đang dở để lần "Tiếp tục" quét lại
+        if (retry === retries) {
+          result = {
+            status: "error",
+            errorCode: toApiError(e).code, // giao diện dịch theo mã, errorMsg là thông điệp gốc
+            errorMsg: e?.message || "Unknown error",
+            ...EMPTY_ENRICH,
+            timeMs: 0,
+            closestUrl: null,
+            closestTs: null
+          };
+        } else {
+          await sleep(1000, signal); // 429/503 đã được scheduler chờ sẵn, đây chỉ là lỗi mạng thoáng qua
+        }
+      }
+    }
+    if (signal?.aborted) return; // nguồn khác xong trước khi hủy cũng không ghi kết quả dở dang
+    const t1 = performance.now();
+    onRow(idx, {
+      ...result,
+      timeMs: result.status === "error" ? 0 : Math.max(1, Math.round(t1 - t0))
+    });
+    done += 1;
+    if (result.status === "error") errors += 1;
+    else totalTime += (result.timeMs || 0);
+    onStats({ done, total: domains.length, errors, avg: Math.round(totalTime / Math.max(1, (done - errors))) });
+  }, { signal });
+}
+
+// Quét qua POST /api/scan, đọc luồng NDJSON và đẩy từng sự kiện ra onEvent
+// Sự kiện: start | row | stats | rate | done | error. Trả về sự kiện done
+// (server hết thời gian thì có `partial: true, remaining: [chỉ số chưa xong]`).
+// Luồng đóng mà chưa có done (hàm bị cắt, mất mạng) thì ném lỗi `interrupted`
+export async function scanViaServer(domains, { endpoint = "/api/scan", signal, apiKey = "", onEvent = () => {}, ...settings } = {}) {
+  const res = await fetch(endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Accept: "application/x-ndjson", ...authHeaders(apiKey) },
+    body: JSON.stringify({ domains, ...settings }),
+    signal,
+  });
+  if (!res.ok || !res.body) throw await errorFromResponse(res);
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buf = "";
+  let finished = null;
+  const flush = (line) => {
+    if (!line.trim()) return;
+    let event;
+    try { event = JSON.parse(line); } catch { console.warn("Dòng NDJSON lỗi:", line); return; }
+    if (event.type === "done") finished = event;
+    onEvent(event);
+  };
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buf += decoder.decode(value, { stream: true });
+    let nl;
+    while ((nl = buf.indexOf("\n")) >= 0) {
+      flush(buf.slice(0, nl));
+      buf = buf.slice(nl + 1);
+    }
+  }
+  flush(buf + decoder.decode());
+  if (!finished) throw new ApiError("Scan stream ended before completion", { code: "interrupted", status: 502, retryable: true });
+  return finished;
+}
@@ -0,0 +1,202 @@
+// Bộ điều phối quét: worker pool (giới hạn số miền chạy song song)
+// + ngân sách request/giây dùng chung cho mọi lời gọi archive.org và /api/cdx.
+// Gặp HTTP 429/503 thì dừng cả hàng đợi theo Retry-After (hoặc backoff lũy thừa)
+// và tự hạ tốc độ, sau đó tăng dần lại khi các request thành công.
+// Mọi lúc chờ (giới hạn tốc độ, throttle, tạm dừng) đều dừng ngay khi `signal` bị hủy.
+
+// Chờ `ms`; signal bị hủy thì ném lỗi AbortError ngay, không đợi hết giờ
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(t);
+      reject(signal.reason);
+    };
+    const t = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// Lỗi do chính mình hủy (AbortController.abort()), không phải lỗi mạng
+export const isAbortError = (err) => err?.name === "AbortError";
+
+const THROTTLE_STATUSES = [429, 503];
+const THROUGHPUT_WINDOW_MS = 10000;
+
+// Retry-After: số giây hoặc ngày HTTP
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+export function createScheduler({
+  concurrency = 5,
+  rps = 3,
+  maxRetries = 4,
+  maxBackoffMs = 60000,
+  fetchImpl = (...args) => globalThis.fetch(...args),
+  onStats = () => {},
+} = {}) {
+  const limits = { concurrency, rps };
+  let currentRps = rps;     // tốc độ thực tế sau khi tự điều chỉnh
+  let nextSlot = 0;         // mốc sớm nhất được gửi request kế tiếp
+  let pausedUntil = 0;      // bị throttle: dừng mọi request tới mốc này
+  let throttleEvents = 0;
+  let lastThrottle = null;  // { status, waitMs, at }
+  let active = 0;
+  let paused = null;        // tạm dừng: { promise, resolve } — request mới và miền mới chờ tới khi resume()
+  const completed = [];     // mốc thời gian các request xong, để tính throughput
+  const pumps = new Set();
+
+  const stats = () => {
+    const now = Date.now();
+    while (completed.length && completed[0] < now - THROUGHPUT_WINDOW_MS) completed.shift();
+    return {
+      concurrency: limits.concurrency,
+      rps: limits.rps,
+      currentRps: Math.round(currentRps * 100) / 100,
+      throughput: Math.round((completed.length / (THROUGHPUT_WINDOW_MS / 1000)) * 100) / 100,
+      active,
+      throttleEvents,
+      lastThrottle,
+      pausedMs: Math.max(0, pausedUntil - now),
+      paused: Boolean(paused),
+    };
+  };
+  const emit = () => onStats(stats());
+
+  // Chờ tới khi resume(); vẫn thoát ngay nếu signal bị hủy
+  function waitResume(signal) {
+    if (!paused) return Promise.resolve();
+    if (!signal) return paused.promise;
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) return reject(signal.reason);
+      const onAbort = () => reject(signal.reason);
+      signal.addEventListener("abort", onAbort, { once: true });
+      paused.promise.then(() => {
+        signal.removeEventListener("abort", onAbort);
+        resolve();
+      });
+    });
+  }
+
+  async function acquire(signal) {
+    for (;;) {
+      signal?.throwIfAborted();
+      if (paused) {
+        await waitResume(signal);
+        continue;
+      }
+      const now = Date.now();
+      if (pausedUntil > now) {
+        await sleep(pausedUntil - now, signal);
+        continue;
+      }
+      const slot = Math.max(now, nextSlot);
+      nextSlot = slot + 1000 / currentRps;
+      if (slot > now) await sleep(slot - now, signal);
+      if (paused || pausedUntil > Date.now()) continue; // bị throttle/tạm dừng trong lúc chờ → xếp hàng lại
+      return;
+    }
+  }
+
+  // fetch có giới hạn tốc độ; tự chờ và thử lại khi gặp 429/503. `opts.signal` hủy cả lúc chờ lẫn request
+  async function limitedFetch(url, opts) {
+    for (let attempt = 0; ; attempt++) {
+      await acquire(opts?.signal);
+      const res = await fetchImpl(url, opts);
+      completed.push(Date.now());
+      if (THROTTLE_STATUSES.includes(res.status) && attempt < maxRetries) {
+        const waitMs = Math.min(
+          maxBackoffMs,
+          parseRetryAfter(res.headers.get("retry-after")) ?? 1000 * 2 ** attempt + Math.random() * 500
+        );
+        pausedUntil = Math.max(pausedUntil, Date.now() + waitMs);
+        currentRps = Math.max(0.2, currentRps / 2);
+        throttleEvents += 1;
+        lastThrottle = { status: res.status, waitMs: Math.round(waitMs), at: Date.now() };
+        emit();
+        res.body?.cancel().catch(() => {}); // bỏ response bị throttle: trả socket lại ngay
+        continue;
+      }
+      // Tăng dần lại về mức người dùng đặt
+      if (res.ok && currentRps < limits.rps) currentRps = Math.min(limits.rps, currentRps + limits.rps / 10);
+      emit();
+      return res;
+    }
+  }
+
+  // Chạy worker(item, index) cho mọi item, tối đa `concurrency` cái cùng lúc.
+  // Miền xong là lấy miền kế tiếp ngay, không chờ miền chậm nhất như batch cũ.
+  // Hủy thì không lấy thêm miền và trả về ngay, không chờ các miền đang chạy (chúng tự dừng theo signal)
+  function run(items, worker, { signal } = {}) {
+    let next = 0;
+    let running = 0;
+    return new Promise(resolve => {
+      const pump = () => {
+        if (signal?.aborted) {
+          pumps.delete(pump);
+          return resolve();
+        }
+        while (!paused && running < limits.concurrency && next < items.length) {
+          const i = next++;
+          running += 1;
+          active += 1;
+          Promise.resolve()
+            .then(() => worker(items[i], i))
+            .catch(err => { if (!isAbortError(err)) console.warn("Worker lỗi:", err); })
+            .finally(() => {
+              running -= 1;
+              active -= 1;
+              pump();
+            });
+        }
+        if (running === 0 && next >= items.length) {
+          pumps.delete(pump);
+          resolve();
+        }
+      };
+      signal?.addEventListener("abort", pump, { once: true });
+      pumps.add(pump);
+      pump();
+    });
+  }
+
+  return {
+    fetch: limitedFetch,
+    run,
+    stats,
+    setConcurrency(n) {
+      limits.concurrency = Math.max(1, Math.round(n));
+      pumps.forEach(p => p());
+      emit();
+    },
+    // Tạm dừng: miền đang chạy gửi nốt request đã tới lượt, còn lại giữ nguyên trong hàng đợi
+    pause() {
+      if (paused) return;
+      let resolve;
+      const promise = new Promise(r => { resolve = r; });
+      paused = { promise, resolve };
+      emit();
+    },
+    resume() {
+      if (!paused) return;
+      paused.resolve();
+      paused = null;
+      pumps.forEach(p => p());
+      emit();
+    },
+    setRps(n) {
+      limits.rps = Math.max(0.2, n);
+      currentRps = Math.min(currentRps, limits.rps);
+      nextSlot = Math.min(nextSlot, Date.now() + 1000 / limits.rps);
+      emit();
+    },
+  };
+}
@@ -0,0 +1,195 @@
+// Chấm điểm miền (0–100) và phân loại theo bộ quy tắc do người dùng chỉnh.
+// Một "preset" = trọng số điểm + danh sách quy tắc, lưu ở localStorage và xuất/nhập được dạng JSON.
+import { ageYears } from "./tableView.js";
+import { readJSON, writeJSON } from "./storage.js";
+
+// Chỉ số dùng được trong điều kiện quy tắc (tính từ một dòng kết quả đã hoàn thành).
+// Tên chỉ số ở bản dịch "metrics.<khóa>", đơn vị ở "unitLabels.<unit>"
+export const METRICS = {
+  score: { unit: "" },
+  age: { unit: "years" },
+  snapshots: { unit: "" },
+  density: { unit: "perYear" },
+  longestGap: { unit: "days" },
+  recency: { unit: "years" },
+  activePeriods: { unit: "" },
+  redirectPct: { unit: "percent" },
+};
+
+export const OPERATORS = [">=", "<=", ">", "<", "="];
+
+// Nhãn kết luận ở bản dịch "verdicts.<khóa>"
+export const VERDICTS = {
+  good: { className: "bg-emerald-100 text-emerald-800 border-emerald-300" },
+  review: { className: "bg-amber-100 text-amber-800 border-amber-300" },
+  bad: { className: "bg-red-100 text-red-800 border-red-300" },
+};
+
+// Thành phần của điểm: giá trị đạt `target` (hoặc tốt hơn) thì được trọn trọng số.
+// inverse: càng nhỏ càng tốt, chạm `target` thì về 0. Tên ở bản dịch "scoreComponents.<khóa>"
+export const SCORE_COMPONENTS = {
+  age: { unit: "years" },
+  snapshots: { unit: "" },
+  density: { unit: "perYear" },
+  longestGap: { unit: "days", inverse: true },
+  recency: { unit: "years", inverse: true },
+};
+
+// Tên giữ nguyên tiếng Việt vì là khóa của preset đã lưu; giao diện hiện tên đã dịch
+export const DEFAULT_PRESET = {
+  name: "Mặc định",
+  weights: {
+    age: { weight: 30, target: 10 },
+    snapshots: { weight: 25, target: 500 },
+    density: { weight: 15, target: 50 },
+    longestGap: { weight: 15, target: 1095 },
+    recency: { weight: 15, target: 5 },
+  },
+  rules: [
+    {
+      verdict: "good",
+      conditions: [
+        { metric: "age", op: ">=", value: 5 },
+        { metric: "snapshots", op: ">=", value: 50 },
+        { metric: "recency", op: "<=", value: 2 },
+      ],
+    },
+    { verdict: "bad", conditions: [{ metric: "snapshots", op: "<", value: 1 }] },
+    { verdict: "bad", conditions: [{ metric: "redirectPct", op: ">=", value: 80 }] },
+  ],
+  fallback: "review",
+};
+
+// Giá trị chỉ số của một dòng. Miền chưa có bản lưu: tuổi 0, bản lưu cuối xa vô hạn
+export function rowMetrics(row, now = new Date()) {
+  const age = ageYears(row);
+  const snapshots = row.totalSnapshots ?? 0;
+  const last = Number(row.lastYear);
+  return {
+    age: age ?? 0,
+    snapshots,
+    density: age == null ? 0 : Math.round(snapshots / (age + 1)),
+    longestGap: row.longestGap?.days ?? 0,
+    recency: Number.isFinite(last) ? Math.max(0, now.getFullYear() - last) : Infinity,
+    activePeriods: row.activePeriods ?? 0,
+    redirectPct: row.redirectPct ?? 0,
+  };
+}
+
+const clamp01 = (x) => Math.min(1, Math.max(0, x));
+
+// Chưa có bản lưu thì 0 điểm (không để "không có gap" được cộng điểm)
+export function scoreMetrics(m, weights) {
+  if (!m.snapshots) return 0;
+  let sum = 0, total = 0;
+  for (const [key, { inverse }] of Object.entries(SCORE_COMPONENTS)) {
+    const { weight = 0, target = 0 } = weights[key] || {};
+    if (!(weight > 0) || !(target > 0)) continue;
+    const ratio = m[key] / target;
+    sum += weight * clamp01(inverse ? 1 - ratio : ratio);
+    total += weight;
+  }
+  return total ? Math.round((sum / total) * 100) : 0;
+}
+
+function test(actual, op, value) {
+  switch (op) {
+    case ">=": return actual >= value;
+    case "<=": return actual <= value;
+    case ">": return actual > value;
+    case "<": return actual < value;
+    case "=": return actual === value;
+    default: return false;
+  }
+}
+
+// { score, verdict, rule } — rule: chỉ số quy tắc khớp đầu tiên, -1 nếu rơi vào mặc định.
+// Dòng chưa quét xong thì không chấm
+export function evaluateRow(row, preset = DEFAULT_PRESET, now = new Date()) {
+  if (!row || row.status !== "complete") return { score: null, verdict: null, rule: null };
+  const m = rowMetrics(row, now);
+  m.score = scoreMetrics(m, preset.weights || {});
+  const rule = (preset.rules || []).findIndex(r =>
+    r.conditions.length > 0 && r.conditions.every(c => test(m[c.metric], c.op, c.value))
+  );
+  return { score: m.score, verdict: rule >= 0 ? preset.rules[rule].verdict : preset.fallback, rule };
+}
+
+// "Tuổi lưu trữ ≥ 5 năm VÀ Tổng bản lưu ≥ 50" — `t` là hàm dịch của useI18n()
+export function describeRule(rule, t) {
+  return rule.conditions
+    .map(c => {
+      const unit = METRICS[c.metric]?.unit;
+      const label = t(`metrics.${c.metric}`);
+      return `${label} ${c.op.replace(">=", "≥").replace("<=", "≤")} ${c.value}${unit ? ` ${t(`unitLabels.${unit}`)}` : ""}`;
+    })
+    .join(` ${t("scoring.and")} `);
+}
+
+// Lỗi preset: thông điệp tiếng Anh (CLI), giao diện dịch theo `code` + `params` (errors.preset_*)
+function presetError(code, message, params = {}) {
+  return Object.assign(new Error(message), { code, params });
+}
+
+// Kiểm tra preset nhập từ JSON; trả bản đã chuẩn hóa hoặc ném Error mô tả chỗ sai
+export function validatePreset(data) {
+  if (!data || typeof data !== "object") throw presetError("preset_not_object", "Preset must be a JSON object");
+  const name = String(data.name ?? "").trim();
+  if (!name) throw presetError("preset_no_name", "Preset is missing a name");
+
+  const weights = {};
+  for (const key of Object.keys(SCORE_COMPONENTS)) {
+    const w = data.weights?.[key] ?? { weight: 0, target: 0 };
+    const weight = Number(w.weight), target = Number(w.target);
+    if (!Number.isFinite(weight) || !Number.isFinite(target) || weight < 0 || target < 0) {
+      throw presetError("preset_bad_weight", `Invalid weight "${key}"`, { key });
+    }
+    weights[key] = { weight, target };
+  }
+
+  if (!Array.isArray(data.rules)) throw presetError("preset_no_rules", "Preset is missing its rules list");
+  const rules = data.rules.map((r, i) => {
+    if (!VERDICTS[r?.verdict]) {
+      throw presetError("preset_bad_verdict", `Rule ${i + 1}: invalid verdict "${r?.verdict}"`, { rule: i + 1, verdict: r?.verdict });
+    }
+    if (!Array.isArray(r.conditions)) throw presetError("preset_no_conditions", `Rule ${i + 1}: missing conditions`, { rule: i + 1 });
+    const conditions = r.conditions.map((c, j) => {
+      const value = Number(c?.value);
+      if (!METRICS[c?.metric] || !OPERATORS.includes(c?.op) || !Number.isFinite(value)) {
+        throw presetError("preset_bad_condition", `Rule ${i + 1}, condition ${j + 1} is invalid`, { rule: i + 1, condition: j + 1 });
+      }
+      return { metric: c.metric, op: c.op, value };
+    });
+    return { verdict: r.verdict, conditions };
+  });
+
+  const fallback = data.fallback ?? "review";
+  if (!VERDICTS[fallback]) throw presetError("preset_bad_fallback", `Invalid fallback verdict "${fallback}"`, { verdict: fallback });
+  return { name, weights, rules, fallback };
+}
+
+// Lưu preset trong trình duyệt
+const PRESETS_KEY = "archive-checker:scoring-presets";
+const ACTIVE_KEY = "archive-checker:scoring-active";
+
+export function loadPresets() {
+  const list = readJSON(PRESETS_KEY, []);
+  const valid = [];
+  for (const p of Array.isArray(list) ? list : []) {
+    try { valid.push(validatePreset(p)); } catch { /* bỏ preset hỏng */ }
+  }
+  return valid.some(p => p.name === DEFAULT_PRESET.name) ? valid : [DEFAULT_PRESET, ...valid];
+}
+
+export const savePresets = (presets) => writeJSON(PRESETS_KEY, presets);
+
+// Bộ tiêu chí đang dùng (có thể là bản đang sửa, chưa lưu thành preset)
+export function loadActivePreset() {
+  try {
+    return validatePreset(readJSON(ACTIVE_KEY, DEFAULT_PRESET));
+  } catch {
+    return DEFAULT_PRESET;
+  }
+}
+
+export const saveActivePreset = (preset) => writeJSON(ACTIVE_KEY, preset);
@@ -0,0 +1,17 @@
+// Đọc/ghi JSON trong localStorage; lỗi (hết dung lượng, chế độ riêng tư, chạy trong Node) thì bỏ qua
+export function readJSON(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+export function writeJSON(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    console.warn(`Không lưu được ${key}:`, err);
+  }
+}
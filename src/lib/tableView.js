@@ -0,0 +1,85 @@
+// Sắp xếp / lọc bảng kết quả. Trả về danh sách chỉ số dòng gốc,
+// để các thao tác theo dòng (chi tiết, quét lại) vẫn trỏ đúng vào `rows`.
+import { toUnicodeDomain } from "./domains.js";
+
+const num = (v) => {
+  const n = Number(v);
+  return v === "" || v == null || !Number.isFinite(n) ? null : n;
+};
+
+// Tuổi lưu trữ (năm cuối - năm đầu), null nếu chưa có dữ liệu. Dòng cũ (trước khi có spanYears) tính từ năm đầu/cuối
+export const ageYears = (r) => {
+  if (typeof r.spanYears === "number") return r.spanYears;
+  const first = num(r.firstYear), last = num(r.lastYear);
+  return first == null || last == null ? null : last - first;
+};
+
+const STATUS_ORDER = { error: 0, checking: 1, complete: 2 };
+const VERDICT_ORDER = { bad: 0, review: 1, good: 2 };
+
+export const SORT_ACCESSORS = {
+  domain: r => r.domain,
+  status: r => STATUS_ORDER[r.status] ?? 3,
+  years: ageYears,
+  firstYear: r => num(r.firstYear),
+  lastYear: r => num(r.lastYear),
+  totalSnapshots: r => r.totalSnapshots ?? 0,
+  activePeriods: r => r.activePeriods || null,
+  longestGap: r => r.longestGap?.days ?? null,
+  recentGap: r => r.recentGap?.days ?? null,
+  redirectPct: r => r.redirectPct ?? null,
+  mainRedirect: r => r.mainRedirect ?? null,
+  sources: r => r.sources?.length || null,
+  timeMs: r => r.timeMs || null,
+  score: r => r.score ?? null,
+  verdict: r => VERDICT_ORDER[r.verdict] ?? null,
+};
+
+export const DEFAULT_FILTERS = {
+  q: "",
+  status: "all",
+  verdict: "all",
+  minAge: "",
+  minSnapshots: "",
+  maxSnapshots: "",
+  archivedOnly: false,
+};
+
+export function hasActiveFilters(f) {
+  return Object.keys(DEFAULT_FILTERS).some(k => f[k] !== DEFAULT_FILTERS[k]);
+}
+
+function matches(r, f) {
+  if (f.q) {
+    const q = f.q.trim().toLowerCase();
+    if (q && !r.domain.includes(q) && !toUnicodeDomain(r.domain).includes(q)) return false;
+  }
+  if (f.status !== "all" && r.status !== f.status) return false;
+  if (f.verdict !== "all" && r.verdict !== f.verdict) return false;
+  if (f.archivedOnly && !r.archived) return false;
+  const minAge = num(f.minAge);
+  if (minAge != null && (ageYears(r) ?? -1) < minAge) return false;
+  const snaps = r.totalSnapshots ?? 0;
+  const minSnaps = num(f.minSnapshots), maxSnaps = num(f.maxSnapshots);
+  if (minSnaps != null && snaps < minSnaps) return false;
+  if (maxSnaps != null && snaps > maxSnaps) return false;
+  return true;
+}
+
+// sort: { key, dir: "asc" | "desc" } hoặc null (giữ thứ tự nhập)
+// Giá trị rỗng luôn nằm cuối bất kể chiều sắp xếp
+export function viewIndices(rows, { filters = DEFAULT_FILTERS, sort = null } = {}) {
+  const indices = [];
+  rows.forEach((r, i) => { if (matches(r, filters)) indices.push(i); });
+  const get = sort && SORT_ACCESSORS[sort.key];
+  if (!get) return indices;
+  const dir = sort.dir === "desc" ? -1 : 1;
+  return indices.sort((a, b) => {
+    const va = get(rows[a]), vb = get(rows[b]);
+    if (va == null && vb == null) return a - b;
+    if (va == null) return 1;
+    if (vb == null) return -1;
+    const cmp = typeof va === "string" ? va.localeCompare(vb) : va - vb;
+    return cmp === 0 ? a - b : cmp * dir;
+  });
+}
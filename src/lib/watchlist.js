@@ -0,0 +1,61 @@
+// Danh sách theo dõi: miền được kiểm tra lại định kỳ trên server (/api/watch-check, chạy theo cron).
+// Phần dùng chung giữa server và giao diện: ảnh chụp trạng thái, so sánh, và các lời gọi /api/watchlist
+import { errorFromResponse } from "./errors.js";
+
+// Chu kỳ kiểm tra lại (giờ)
+export const WATCH_INTERVALS = [6, 12, 24, 72, 168];
+export const DEFAULT_INTERVAL_HOURS = 24;
+
+export const clampInterval = (h) => Math.min(720, Math.max(1, Math.round(Number(h) || DEFAULT_INTERVAL_HOURS)));
+
+// Những gì cần nhớ sau mỗi lần kiểm tra để so sánh với lần sau
+export function watchSnapshot(row) {
+  return {
+    archived: Boolean(row.archived),
+    firstTs: row.firstTs ?? null,
+    lastTs: row.lastTs ?? null,
+    totalSnapshots: row.totalSnapshots ?? 0,
+    closestUrl: row.closestUrl ?? null,
+  };
+}
+
+// Các trường được báo khi đổi: trạng thái lưu trữ, ngày bản lưu cuối, số bản lưu
+export const WATCH_FIELDS = ["archived", "lastTs", "totalSnapshots"];
+
+// [{ field, from, to }]; lần kiểm tra đầu tiên (chưa có `prev`) chỉ làm mốc, không tính là thay đổi
+export function diffSnapshot(prev, next) {
+  if (!prev) return [];
+  return WATCH_FIELDS
+    .filter(field => (prev[field] ?? null) !== (next[field] ?? null))
+    .map(field => ({ field, from: prev[field] ?? null, to: next[field] ?? null }));
+}
+
+// `i18n` là bộ dịch của createI18n / useI18n()
+export function describeChange({ field, from, to }, { t, number, tsDate }) {
+  if (field === "archived") return t(to ? "watch.change.archived" : "watch.change.unarchived");
+  if (field === "lastTs") return t("watch.change.lastTs", { from: tsDate(from), to: tsDate(to) });
+  if (field === "totalSnapshots") return t("watch.change.totalSnapshots", { from: number(from ?? 0), to: number(to ?? 0) });
+  return `${field}: ${from} → ${to}`;
+}
+
+// Lời gọi /api/watchlist từ trình duyệt
+const headers = (apiKey) => ({ "Content-Type": "application/json", ...(apiKey ? { "X-Api-Key": apiKey } : {}) });
+
+async function call(url, { apiKey, ...init } = {}) {
+  const res = await fetch(url, { ...init, headers: headers(apiKey) });
+  if (!res.ok) throw await errorFromResponse(res);
+  return res.json();
+}
+
+// { items, changes } — `since` (ms) chỉ lấy thay đổi mới hơn mốc đó
+export const fetchWatchlist = ({ since, apiKey } = {}) =>
+  call(`/api/watchlist${since ? `?since=${since}` : ""}`, { apiKey });
+
+export const addToWatchlist = (domains, intervalHours, { apiKey } = {}) =>
+  call("/api/watchlist", { method: "POST", body: JSON.stringify({ domains, intervalHours }), apiKey });
+
+export const removeFromWatchlist = (domain, { apiKey } = {}) =>
+  call(`/api/watchlist?domain=${encodeURIComponent(domain)}`, { method: "DELETE", apiKey });
+
+// Kiểm tra ngay các miền đã tới hạn (như một lượt cron)
+export const runWatchCheck = ({ apiKey } = {}) => call("/api/watch-check", { method: "POST", apiKey });
@@ -0,0 +1,498 @@
+// English translation. Keys missing here fall back to vi.js
+export default {
+  app: {
+    language: "Language",
+    quickScan: "Quick Scan",
+    scanning: "Scanning...",
+    resume: "Resume ({count})",
+    resumeTitle: "Re-scan only unfinished or failed domains",
+    retryErrors: "Retry errors ({count})",
+    retryErrorsTitle: "Re-scan only failed domains, optionally with different settings",
+    serverScan: "Scan on server",
+    serverScanTitle: "Runs the scan on the server and streams results to this tab; it still stops if the tab is closed. Uncheck to scan directly in the browser",
+    history: "History",
+    scoring: "Criteria",
+    watch: "Watchlist",
+    watchTitle: "Domains re-checked by the server on a schedule, with alerts on new captures",
+    loadSample: "Load Sample Domains",
+    importResults: "Import results",
+    importResultsTitle: "Reopen an exported results file (CSV / JSON / NDJSON / XLSX) to view or compare it",
+    export: "Export Results",
+    share: "Share",
+    shareTitle: "HTML report or read-only link for teammates",
+    copyGood: "Copy GOOD domains & years",
+    footer: "GENO TOOL — Copyright GENO @ KJC",
+  },
+  progress: {
+    paused: "Paused",
+    scanning: {
+      one: "Scanning {count} domain in parallel",
+      other: "Scanning {count} domains in parallel",
+    },
+    limits: "Up to {concurrency} domains in parallel • Budget {rps} requests/second • Slows down automatically on HTTP 429/503",
+    throughput: "Throughput:",
+    currentRps: "Current rate:",
+    throttled: {
+      one: "Throttled: {count} time",
+      other: "Throttled: {count} times",
+    },
+    lastThrottle: " (last HTTP {status}, waited {seconds}s)",
+    pausedFor: "Paused for {seconds}s",
+    done: "✓ Completed: {count}",
+    errors: "✗ Errors: {count}",
+    avg: "⏱ Avg: {ms}ms",
+    continue: "Continue",
+    pause: "Pause",
+    pauseServerTitle: "Stops the server scan stream; click Resume to scan the remaining domains",
+    pauseBrowserTitle: "Holds the queue; domains in progress finish the requests already sent",
+    cancel: "Cancel Scan",
+  },
+  input: {
+    placeholder: "Paste any text — valid domains are extracted automatically (one per line, comma or space separated)",
+    parsed: "Domains extracted:",
+    max: "(max {max})",
+    duplicates: {
+      one: "• {count} duplicate merged",
+      other: "• {count} duplicates merged",
+    },
+    rejected: "• {count} rejected",
+    truncated: "• {count} cut off by the {max} limit",
+    modeTitle: "How domains are extracted using the Public Suffix List",
+    modeRegistrable: "Reduce to registrable domain (a.b.example.co.uk → example.co.uk)",
+    modeHostname: "Keep the full hostname",
+    moreRejected: {
+      one: "… and {count} more",
+      other: "… and {count} more",
+    },
+  },
+  settings: {
+    concurrency: "Parallel",
+    domainsUnit: "domains",
+    rate: "Rate",
+    rpsUnit: "requests/second",
+    sources: "Sources",
+    sourcesTitle: "First/last year are merged across all sources; detailed capture stats come from Wayback only",
+    refreshCache: "Refresh cache",
+    refreshCacheTitle: "Ignore CDX results cached on the proxy and fetch fresh data from archive.org",
+    apiKey: "API key",
+    apiKeyTitle: "Only needed when the server sets API_KEY",
+    apiKeyPlaceholder: "(optional)",
+  },
+  results: {
+    title: {
+      one: "Scan Results ({count} domain)",
+      other: "Scan Results ({count} domains)",
+    },
+    exportAll: "Export / copy everything (ignore filters)",
+    exportAllTitle: "By default Export Results / Copy / Share only take the visible rows, in the current filter and sort order",
+    errorDomains: "Domains that failed to return data:",
+  },
+  baseline: {
+    label: "Comparison baseline:",
+    domains: {
+      one: "({count} domain)",
+      other: "({count} domains)",
+    },
+    rescan: "Re-scan & compare",
+  },
+  notices: {
+    noGood: "No GOOD domains to copy",
+    copied: {
+      one: "Copied {count} domain",
+      other: "Copied {count} domains",
+    },
+    copyFailed: "Could not copy to clipboard: {message}",
+    importEmpty: "The file has no rows",
+    importedName: "{name} (imported)",
+    imported: {
+      one: "Imported {count} domain from {file}",
+      other: "Imported {count} domains from {file}",
+    },
+    importFailed: "Could not import {file}: {message}",
+  },
+  table: {
+    columns: {
+      domain: "Domain",
+      status: "Status",
+      score: "Rating",
+      years: "Years",
+      firstYear: "First year",
+      lastYear: "Last year",
+      sources: "Sources",
+      totalSnapshots: "Total captures",
+      activePeriods: "Periods",
+      longestGap: "Longest gap",
+      recentGap: "Recent gap",
+      redirectPct: "% redirects",
+      mainRedirect: "Main redirect target",
+      timeMs: "Time (ms)",
+    },
+    columnTitles: {
+      score: "Verdict from the active criteria and a 0–100 score",
+      sources: "Archive sources that hold captures of the domain",
+      activePeriods: "Number of periods with captures, separated by gaps of 1 year or more",
+      recentGap: "Most recent gap of 1 year or more before the last capture",
+      redirectPct: "Share of 3xx captures among captures of every status code",
+    },
+    actions: "Actions",
+    search: "Search domains…",
+    allStatuses: "All statuses",
+    allVerdicts: "All verdicts",
+    status: {
+      complete: "Complete",
+      error: "Error",
+      checking: "Checking",
+    },
+    minAge: "Age ≥",
+    snapshots: "Captures",
+    from: "from",
+    to: "to",
+    archivedOnly: "Archived domains only",
+    clearFilters: "Clear filters",
+    shown: "Showing {shown} / {total}",
+    cache: "cache",
+    cacheTitle: "CDX data served from the proxy cache",
+    cachePartial: "partly cached",
+    cachePartialTitle: "Part of the CDX data served from cache",
+    uniqueTitle: {
+      one: "{count} distinct content version",
+      other: "{count} distinct content versions",
+    },
+    dropTitle: "Domain was likely dropped and re-registered",
+    detail: "Show domain details",
+    archive: "Archive",
+    refreshTitle: "Re-scan this domain, bypassing the cache",
+    noMatch: "No domains match the filters.",
+    sourceTitle: "{label}: {count} captures, {from} → {to}",
+  },
+  units: {
+    years: {
+      one: "{count} year",
+      other: "{count} years",
+    },
+    yearsDecimal: "{value} years",
+    days: {
+      one: "{count} day",
+      other: "{count} days",
+    },
+    snapshots: {
+      one: "{count} capture",
+      other: "{count} captures",
+    },
+  },
+  unitLabels: {
+    years: "years",
+    perYear: "captures/year",
+    days: "days",
+    percent: "%",
+  },
+  metrics: {
+    score: "Score",
+    age: "Archive age",
+    snapshots: "Total captures",
+    density: "Density",
+    longestGap: "Longest gap",
+    recency: "Last capture age",
+    activePeriods: "Periods",
+    redirectPct: "% redirects",
+  },
+  scoreComponents: {
+    age: "Archive age",
+    snapshots: "Total captures",
+    density: "Density",
+    longestGap: "Longest gap",
+    recency: "Last capture recency",
+  },
+  verdicts: {
+    good: "GOOD",
+    review: "REVIEW",
+    bad: "REJECT",
+  },
+  scoring: {
+    title: "Rating criteria",
+    defaultName: "Default",
+    unsaved: "(unsaved)",
+    presetName: "Preset name",
+    savePreset: "Save preset",
+    delete: "Delete",
+    confirmDelete: "Delete preset \"{name}\"?",
+    importJson: "Import JSON",
+    exportJson: "Export JSON",
+    importFailed: "Could not import {file}: {message}",
+    scoreTitle: "Score (0–100)",
+    scoreHint: "Each component earns its full weight when it reaches the target; gaps and recency are better when smaller and drop to 0 at the target.",
+    component: "Component",
+    weight: "Weight",
+    target: "Target",
+    rulesTitle: "Verdict rules",
+    rulesHint: "Checked top to bottom; the first rule whose conditions all match decides the verdict.",
+    if: "If",
+    and: "AND",
+    addCondition: "Add condition",
+    addRule: "Add rule",
+    fallback: "No rule matches →",
+  },
+  reject: {
+    invalid: "Not a valid domain name",
+    idn: "Could not convert IDN/punycode",
+    ip: "Is an IP address",
+    unknownSuffix: "Suffix is not in the Public Suffix List",
+    suffixOnly: "Only a public suffix",
+  },
+  history: {
+    title: "Scan history ({count})",
+    compareTwo: "Compare 2 scans",
+    empty: "No saved scans yet.",
+    status: {
+      running: "Running",
+      complete: "Complete",
+      cancelled: "Cancelled",
+      interrupted: "Interrupted",
+      paused: "Paused",
+    },
+    done: "{done}/{total} done",
+    errors: {
+      one: " • {count} error",
+      other: " • {count} errors",
+    },
+    open: "Open",
+    rename: "Rename",
+    delete: "Delete",
+    confirmDelete: "Delete \"{name}\"?",
+  },
+  compare: {
+    title: "Compare",
+    changes: {
+      one: ": {count} change",
+      other: ": {count} changes",
+    },
+    none: "No differences.",
+    domain: "Domain",
+    change: "Change",
+    lastYear: "Last year",
+    snapshots: "Total captures",
+    kinds: {
+      added: "New domain",
+      removed: "No longer in the list",
+      newlyArchived: "Newly archived",
+      noLongerArchived: "Lost captures",
+      lastYear: "Last year changed",
+      snapshots: "Capture count changed",
+      newError: "New error",
+      recovered: "Recovered",
+    },
+  },
+  drawer: {
+    summary: {
+      one: "{count} capture (200)",
+      other: "{count} captures (200)",
+    },
+    timeline: "Monthly capture calendar",
+    sources: "Archive sources",
+    sampledCrawls: "Across {count} crawls queried",
+    statusByYear: "Status codes by year",
+    noStatus: "No status code data yet.",
+    other: "other",
+    redirectShare: "{pct}% of captures are redirects (3xx)",
+    redirectOnly: "— never had a 200 capture, the domain was only used for redirects",
+    redirectTargets: "Redirect targets",
+    noRedirects: "No redirect captures.",
+    sameDomain: " • same domain",
+    closest: "Closest capture",
+  },
+  timeline: {
+    loading: "Loading capture calendar…",
+    failed: "Could not load the capture calendar: {message}",
+    empty: "No 200 captures.",
+    year: "Year",
+    snapshots: "Captures",
+    unique: "Content",
+    uniqueTitle: "Distinct digests: how many times the page content actually changed",
+    first: "first",
+    representative: "typical",
+    last: "last",
+    less: "Less",
+    more: "More • \"typical\" is the first capture of the most common content that year",
+  },
+  fileImport: {
+    empty: "The file has no data",
+    readFailed: "Could not read {file}: {message}",
+    column: "Column {n}",
+    namedColumn: "{name} (column {n})",
+    drop: "Drop a TXT / CSV / XLSX file here",
+    pick: "Import file",
+    hint: "or drag a TXT / CSV / XLSX file onto the box above",
+    sheet: "Sheet",
+    domainColumn: "Domain column",
+    hasHeader: "First row is a header",
+    more: {
+      one: "… {count} more row",
+      other: "… {count} more rows",
+    },
+    add: {
+      one: "Add {count} row to the list",
+      other: "Add {count} rows to the list",
+    },
+  },
+  export: {
+    title: {
+      one: "Export results ({count} row)",
+      other: "Export results ({count} rows)",
+    },
+    templates: "Saved templates…",
+    templateName: "Template name",
+    saveTemplate: "Save template",
+    deleteTemplate: "Delete template",
+    templateSaved: "Saved template \"{name}\"",
+    failed: "Could not export the file: {message}",
+    nothingToCopy: "No rows to copy",
+    copied: "Copied {rows} rows × {columns} columns",
+    copyFailed: "Could not copy to clipboard: {message}",
+    copyTitle: "Copy as a table (TSV) to paste straight into Google Sheets / Excel",
+    copy: "Copy",
+    download: "Download",
+    columns: "Columns ({count}/{total})",
+    all: "All",
+    none: "None",
+    hint: "JSON, NDJSON and XLSX files include metadata (scan date, settings, sources); CSV stays a plain table. Any of them can be reopened with \"Import results\" to view or compare against a new scan.",
+    fileName: "archive-results",
+  },
+  report: {
+    title: "Archive check report",
+    titleFor: "Report: {name}",
+    generatedAt: "Generated {date}",
+    scannedAt: "scanned {date}",
+    rowCount: {
+      one: "{count} domain",
+      other: "{count} domains",
+    },
+    stats: {
+      domains: "Domains",
+      archived: "Archived",
+      archivedOf: "{archived} of {complete} finished domains",
+      avgAge: "Average archive age",
+      errors: "Errors",
+      pending: "Not finished",
+    },
+    charts: {
+      age: "Archive age distribution",
+      verdicts: "Verdicts",
+      captures: "Captures per year (all domains)",
+    },
+    ageUnder: "< {max} year",
+    ageRange: "{min}–{max} years",
+    ageAtLeast: "{min}+ years",
+    noAge: "No data",
+  },
+  share: {
+    title: {
+      one: "Share report ({count} row)",
+      other: "Share report ({count} rows)",
+    },
+    html: "Download HTML report",
+    htmlTitle: "A single HTML file with a sortable table, summary stats and charts; works offline",
+    link: "Create link",
+    linkTitle: "A link that opens the table read-only; the data is compressed into the link itself",
+    copyLink: "Copy link",
+    linkCopied: "Link created and copied ({size})",
+    linkCreated: "Link created ({size}); copy it from the field below",
+    linkFailed: "Could not create the link: {message}",
+    htmlFailed: "Could not build the report: {message}",
+    hint: "The report uses the rows currently shown (current filters, sort order and scores). Link data lives after the #, so it is never sent to the server.",
+    fileName: "archive-report",
+    readOnly: "Read-only view",
+    loading: "Unpacking link…",
+    openFailed: "Could not open the shared link: {message}",
+    sharedAt: "Shared {date}",
+    openApp: "Open the app",
+  },
+  retry: {
+    title: {
+      one: "Retry {count} failed domain",
+      other: "Retry {count} failed domains",
+    },
+    close: "Close",
+    retry: "Retry",
+  },
+  watch: {
+    title: {
+      one: "Watchlist ({count} domain)",
+      other: "Watchlist ({count} domains)",
+    },
+    intervalTitle: "Re-check interval",
+    every: "Every {interval}",
+    intervals: {
+      6: "6 hours",
+      12: "12 hours",
+      24: "day",
+      72: "3 days",
+      168: "week",
+    },
+    hours: {
+      one: "{count} hour",
+      other: "{count} hours",
+    },
+    add: {
+      one: "Watch {count} entered domain",
+      other: "Watch {count} entered domains",
+    },
+    added: {
+      one: "Added {count} domain to the watchlist",
+      other: "Added {count} domains to the watchlist",
+    },
+    checkNow: "Check now",
+    checkNowTitle: "Check due domains right away, like a scheduled run",
+    checked: "Checked {checked}/{due} due domains, {changes} changes",
+    reload: "Reload",
+    loadFailed: "Could not load the watchlist: {message}",
+    domain: "Domain",
+    interval: "Interval",
+    lastChecked: "Last checked",
+    next: "Next",
+    archived: "Archived",
+    lastCapture: "Last capture",
+    snapshots: "Captures",
+    error: "(error)",
+    yes: "Yes",
+    no: "Not yet",
+    remove: "Stop watching",
+    feed: "Recent changes",
+    feedEmpty: "No changes yet. Each domain's first check only sets the baseline.",
+    change: {
+      archived: "First archived",
+      unarchived: "No longer archived",
+      lastTs: "New capture: {from} → {to}",
+      totalSnapshots: "Captures: {from} → {to}",
+    },
+  },
+  errors: {
+    unknown: "Unknown error",
+    network: "Network error",
+    http_error: "HTTP error {status}",
+    upstream_error: "Archive source returned an error ({message})",
+    upstream_timeout: "Archive source timed out",
+    upstream_unreachable: "Could not reach the archive source",
+    upstream_invalid: "Archive source returned unreadable data",
+    unauthorized: "Missing or wrong API key",
+    rate_limited: "Too many requests, try again later",
+    invalid_param: "Invalid parameter ({message})",
+    limit_exceeded: "Limit exceeded ({message})",
+    method_not_allowed: "Method not allowed",
+    no_domain_column: "The file has no domain column",
+    preset_not_object: "Preset must be a JSON object",
+    preset_no_name: "Preset is missing a name",
+    preset_bad_weight: "Invalid weight \"{key}\"",
+    preset_no_rules: "Preset is missing its rules list",
+    preset_bad_verdict: "Rule {rule}: invalid verdict \"{verdict}\"",
+    preset_no_conditions: "Rule {rule}: missing conditions",
+    preset_bad_condition: "Rule {rule}, condition {condition} is invalid",
+    preset_bad_fallback: "Invalid fallback verdict \"{verdict}\"",
+    watchlist_storage: "The watchlist needs a KV store on Vercel (set KV_REST_API_URL and KV_REST_API_TOKEN)",
+    interrupted: "The server scan stopped before finishing; resume to scan the remaining domains",
+    cron_secret_missing: "Set CRON_SECRET on the server before running watchlist checks",
+    check_running: "Another check is already running, try again later",
+    share_unsupported: "This browser cannot compress data for share links",
+    share_too_large: "The shared data is too large ({length} characters, max {max}); filter out some rows or share the HTML report instead",
+    share_invalid: "The share link is damaged or cut off",
+  },
+};
@@ -0,0 +1,423 @@
+// Bản dịch tiếng Việt (ngôn ngữ gốc). Khóa thiếu ở ngôn ngữ khác sẽ lấy từ đây
+export default {
+  app: {
+    language: "Ngôn ngữ",
+    quickScan: "Quét Nhanh",
+    scanning: "Đang Quét Nhanh...",
+    resume: "Tiếp tục ({count})",
+    resumeTitle: "Chỉ quét lại các miền đang dở hoặc lỗi",
+    retryErrors: "Thử lại lỗi ({count})",
+    retryErrorsTitle: "Chỉ quét lại các miền lỗi, có thể đổi cài đặt",
+    serverScan: "Quét trên server",
+    serverScanTitle: "Quét trên server và gửi kết quả về tab này; đóng tab thì quét vẫn dừng. Bỏ chọn để quét ngay trong trình duyệt",
+    history: "Lịch sử",
+    scoring: "Tiêu chí",
+    watch: "Theo dõi",
+    watchTitle: "Miền được server kiểm tra lại định kỳ, báo khi có bản lưu mới",
+    loadSample: "Tải Miền Mẫu",
+    importResults: "Nhập kết quả",
+    importResultsTitle: "Mở lại file kết quả đã xuất (CSV / JSON / NDJSON / XLSX) để xem hoặc so sánh",
+    export: "Xuất Kết Quả",
+    share: "Chia sẻ",
+    shareTitle: "Báo cáo HTML hoặc liên kết chỉ xem cho đồng đội",
+    copyGood: "Coppy miền TỐT & năm",
+    footer: "GENO TOOL Bản Quyền thuộc về GENO Ở KJC",
+  },
+  progress: {
+    paused: "Đã tạm dừng",
+    scanning: "Đang quét {count} miền song song",
+    limits: "Tối đa {concurrency} miền song song • Ngân sách {rps} request/giây • Tự giảm tốc khi gặp HTTP 429/503",
+    throughput: "Thông lượng:",
+    currentRps: "Tốc độ hiện tại:",
+    throttled: "Bị giới hạn: {count} lần",
+    lastThrottle: " (gần nhất HTTP {status}, chờ {seconds}s)",
+    pausedFor: "Đang tạm dừng {seconds}s",
+    done: "✓ Đã hoàn thành: {count}",
+    errors: "✗ Lỗi: {count}",
+    avg: "⏱ TB: {ms}ms",
+    continue: "Chạy tiếp",
+    pause: "Tạm dừng",
+    pauseServerTitle: "Ngắt luồng quét trên server; bấm Tiếp tục để quét nốt các miền chưa xong",
+    pauseBrowserTitle: "Giữ hàng đợi, các miền đang chạy làm nốt request đã gửi",
+    cancel: "Hủy Quét",
+  },
+  input: {
+    placeholder: "Dán bất cứ nội dung nào — hệ thống tự động tách miền hợp lệ (1 dòng, dấu phẩy hoặc cách đều được)",
+    parsed: "Số miền đã tách:",
+    max: "(tối đa {max})",
+    duplicates: "• {count} trùng lặp đã gộp",
+    rejected: "• {count} bị loại",
+    truncated: "• {count} bị cắt do vượt giới hạn {max}",
+    modeTitle: "Cách tách miền theo Public Suffix List",
+    modeRegistrable: "Rút về tên miền đăng ký (a.b.example.co.uk → example.co.uk)",
+    modeHostname: "Giữ nguyên hostname đầy đủ",
+    moreRejected: "… và {count} mục khác",
+  },
+  settings: {
+    concurrency: "Song song",
+    domainsUnit: "miền",
+    rate: "Tốc độ",
+    rpsUnit: "request/giây",
+    sources: "Nguồn",
+    sourcesTitle: "Năm đầu/năm cuối gộp từ mọi nguồn; số liệu bản lưu chi tiết chỉ có từ Wayback",
+    refreshCache: "Làm mới cache",
+    refreshCacheTitle: "Không dùng kết quả CDX đã cache trên proxy, lấy mới từ archive.org",
+    apiKey: "Khóa API",
+    apiKeyTitle: "Chỉ cần khi server đặt API_KEY",
+    apiKeyPlaceholder: "(không bắt buộc)",
+  },
+  results: {
+    title: "Kết Quả Quét ({count} miền)",
+    exportAll: "Xuất / copy toàn bộ (bỏ qua bộ lọc)",
+    exportAllTitle: "Mặc định Xuất Kết Quả / Coppy / Chia sẻ chỉ lấy các dòng đang hiển thị theo bộ lọc và thứ tự sắp xếp",
+    errorDomains: "Miền lỗi không lấy được dữ liệu:",
+  },
+  baseline: {
+    label: "Mốc so sánh:",
+    domains: "({count} miền)",
+    rescan: "Quét lại & so sánh",
+  },
+  notices: {
+    noGood: "Không có miền TỐT nào để copy",
+    copied: "Đã copy {count} miền",
+    copyFailed: "Không copy được vào clipboard: {message}",
+    importEmpty: "File không có dòng nào",
+    importedName: "{name} (nhập từ file)",
+    imported: "Đã nhập {count} miền từ {file}",
+    importFailed: "Không nhập được {file}: {message}",
+  },
+  table: {
+    columns: {
+      domain: "Miền",
+      status: "Trạng thái",
+      score: "Đánh giá",
+      years: "Số năm",
+      firstYear: "Năm đầu",
+      lastYear: "Năm cuối",
+      sources: "Nguồn",
+      totalSnapshots: "Tổng bản lưu",
+      activePeriods: "Giai đoạn",
+      longestGap: "Gap dài nhất",
+      recentGap: "Gap gần nhất",
+      redirectPct: "% chuyển hướng",
+      mainRedirect: "Đích chuyển hướng chính",
+      timeMs: "Thời gian (ms)",
+    },
+    columnTitles: {
+      score: "Kết luận theo bộ tiêu chí đang dùng và điểm 0–100",
+      sources: "Các nguồn lưu trữ có bản lưu của miền",
+      activePeriods: "Số giai đoạn có bản lưu, tách nhau bởi khoảng trống ≥ 1 năm",
+      recentGap: "Khoảng trống ≥ 1 năm gần nhất trước bản lưu cuối",
+      redirectPct: "Tỉ lệ bản lưu 3xx trên tổng bản lưu mọi mã trạng thái",
+    },
+    actions: "Hành động",
+    search: "Tìm miền…",
+    allStatuses: "Mọi trạng thái",
+    allVerdicts: "Mọi kết luận",
+    status: {
+      complete: "Hoàn thành",
+      error: "Lỗi",
+      checking: "Đang kiểm tra",
+    },
+    minAge: "Tuổi ≥",
+    snapshots: "Bản lưu",
+    from: "từ",
+    to: "đến",
+    archivedOnly: "Chỉ miền có bản lưu",
+    clearFilters: "Bỏ lọc",
+    shown: "Hiển thị {shown} / {total}",
+    cache: "cache",
+    cacheTitle: "Dữ liệu CDX lấy từ cache của proxy",
+    cachePartial: "1 phần cache",
+    cachePartialTitle: "Một phần dữ liệu CDX lấy từ cache",
+    uniqueTitle: "{count} bản khác nội dung",
+    dropTitle: "Nghi miền đã bị bỏ rồi đăng ký lại",
+    detail: "Xem chi tiết miền",
+    archive: "Lưu trữ",
+    refreshTitle: "Quét lại miền này, bỏ qua cache",
+    noMatch: "Không có miền nào khớp bộ lọc.",
+    sourceTitle: "{label}: {count} bản lưu, {from} → {to}",
+  },
+  units: {
+    years: "{count} năm",
+    yearsDecimal: "{value} năm",
+    days: "{count} ngày",
+    snapshots: "{count} bản lưu",
+  },
+  unitLabels: {
+    years: "năm",
+    perYear: "bản lưu/năm",
+    days: "ngày",
+    percent: "%",
+  },
+  metrics: {
+    score: "Điểm",
+    age: "Tuổi lưu trữ",
+    snapshots: "Tổng bản lưu",
+    density: "Mật độ",
+    longestGap: "Gap dài nhất",
+    recency: "Bản lưu cuối cách đây",
+    activePeriods: "Số giai đoạn",
+    redirectPct: "% chuyển hướng",
+  },
+  scoreComponents: {
+    age: "Tuổi lưu trữ",
+    snapshots: "Tổng bản lưu",
+    density: "Mật độ",
+    longestGap: "Gap dài nhất",
+    recency: "Độ mới bản lưu cuối",
+  },
+  verdicts: {
+    good: "TỐT",
+    review: "CÂN NHẮC",
+    bad: "LOẠI",
+  },
+  scoring: {
+    title: "Tiêu chí đánh giá",
+    defaultName: "Mặc định",
+    unsaved: "(chưa lưu)",
+    presetName: "Tên preset",
+    savePreset: "Lưu preset",
+    delete: "Xóa",
+    confirmDelete: "Xóa preset \"{name}\"?",
+    importJson: "Nhập JSON",
+    exportJson: "Xuất JSON",
+    importFailed: "Không nhập được {file}: {message}",
+    scoreTitle: "Điểm (0–100)",
+    scoreHint: "Mỗi thành phần đạt mốc thì được trọn trọng số; gap và độ mới càng nhỏ càng tốt, chạm mốc thì về 0.",
+    component: "Thành phần",
+    weight: "Trọng số",
+    target: "Mốc",
+    rulesTitle: "Quy tắc kết luận",
+    rulesHint: "Xét từ trên xuống, quy tắc đầu tiên thỏa mọi điều kiện sẽ quyết định kết luận.",
+    if: "Nếu",
+    and: "VÀ",
+    addCondition: "Thêm điều kiện",
+    addRule: "Thêm quy tắc",
+    fallback: "Không khớp quy tắc nào →",
+  },
+  reject: {
+    invalid: "Không phải tên miền hợp lệ",
+    idn: "Không chuyển được IDN/punycode",
+    ip: "Là địa chỉ IP",
+    unknownSuffix: "Đuôi miền không có trong Public Suffix List",
+    suffixOnly: "Chỉ là đuôi miền (public suffix)",
+  },
+  history: {
+    title: "Lịch sử quét ({count})",
+    compareTwo: "So sánh 2 lần quét",
+    empty: "Chưa có lần quét nào được lưu.",
+    status: {
+      running: "Đang quét",
+      complete: "Hoàn thành",
+      cancelled: "Đã hủy",
+      interrupted: "Bị gián đoạn",
+      paused: "Tạm dừng",
+    },
+    done: "{done}/{total} xong",
+    errors: " • {count} lỗi",
+    open: "Mở",
+    rename: "Đổi tên",
+    delete: "Xóa",
+    confirmDelete: "Xóa \"{name}\"?",
+  },
+  compare: {
+    title: "So sánh",
+    changes: ": {count} thay đổi",
+    none: "Không có khác biệt.",
+    domain: "Miền",
+    change: "Thay đổi",
+    lastYear: "Năm cuối",
+    snapshots: "Tổng bản lưu",
+    kinds: {
+      added: "Miền mới",
+      removed: "Không còn trong danh sách",
+      newlyArchived: "Mới có bản lưu",
+      noLongerArchived: "Mất bản lưu",
+      lastYear: "Đổi năm cuối",
+      snapshots: "Đổi số bản lưu",
+      newError: "Lỗi mới",
+      recovered: "Hết lỗi",
+    },
+  },
+  drawer: {
+    summary: "{count} bản lưu (200)",
+    timeline: "Lịch bản lưu theo tháng",
+    sources: "Nguồn lưu trữ",
+    sampledCrawls: "Trên {count} đợt crawl được hỏi",
+    statusByYear: "Mã trạng thái theo năm",
+    noStatus: "Chưa có dữ liệu mã trạng thái.",
+    other: "khác",
+    redirectShare: "{pct}% bản lưu là chuyển hướng (3xx)",
+    redirectOnly: "— chưa từng có bản lưu 200, miền chỉ dùng để chuyển hướng",
+    redirectTargets: "Đích chuyển hướng",
+    noRedirects: "Không có bản lưu chuyển hướng.",
+    sameDomain: " • cùng miền",
+    closest: "Bản lưu gần nhất",
+  },
+  timeline: {
+    loading: "Đang tải lịch bản lưu…",
+    failed: "Không tải được lịch bản lưu: {message}",
+    empty: "Không có bản lưu (200) nào.",
+    year: "Năm",
+    snapshots: "Bản lưu",
+    unique: "Nội dung",
+    uniqueTitle: "Số digest khác nhau: số lần nội dung trang thật sự thay đổi",
+    first: "đầu",
+    representative: "đại diện",
+    last: "cuối",
+    less: "Ít",
+    more: "Nhiều • \"đại diện\" là bản lưu đầu tiên của nội dung xuất hiện nhiều nhất trong năm",
+  },
+  fileImport: {
+    empty: "File không có dữ liệu",
+    readFailed: "Không đọc được {file}: {message}",
+    column: "Cột {n}",
+    namedColumn: "{name} (cột {n})",
+    drop: "Thả file TXT / CSV / XLSX vào đây",
+    pick: "Nhập file",
+    hint: "hoặc kéo-thả file TXT / CSV / XLSX vào ô trên",
+    sheet: "Sheet",
+    domainColumn: "Cột chứa miền",
+    hasHeader: "Dòng đầu là tiêu đề",
+    more: "… {count} dòng nữa",
+    add: "Thêm {count} dòng vào danh sách",
+  },
+  export: {
+    title: "Xuất kết quả ({count} dòng)",
+    templates: "Mẫu đã lưu…",
+    templateName: "Tên mẫu",
+    saveTemplate: "Lưu mẫu",
+    deleteTemplate: "Xóa mẫu",
+    templateSaved: "Đã lưu mẫu \"{name}\"",
+    failed: "Không xuất được file: {message}",
+    nothingToCopy: "Không có dòng nào để copy",
+    copied: "Đã copy {rows} dòng × {columns} cột",
+    copyFailed: "Không copy được vào clipboard: {message}",
+    copyTitle: "Copy dạng bảng (TSV), dán thẳng vào Google Sheets / Excel",
+    copy: "Copy",
+    download: "Tải file",
+    columns: "Cột ({count}/{total})",
+    all: "Tất cả",
+    none: "Bỏ hết",
+    hint: "File JSON, NDJSON và XLSX kèm metadata (ngày quét, cài đặt, nguồn); CSV chỉ là bảng thuần. File nào cũng mở lại được bằng \"Nhập kết quả\" để xem hoặc so sánh với lần quét mới.",
+    fileName: "archive-ketqua",
+  },
+  report: {
+    title: "Báo cáo kiểm tra lưu trữ",
+    titleFor: "Báo cáo: {name}",
+    generatedAt: "Tạo lúc {date}",
+    scannedAt: "quét lúc {date}",
+    rowCount: "{count} miền",
+    stats: {
+      domains: "Số miền",
+      archived: "Có bản lưu",
+      archivedOf: "{archived}/{complete} miền đã quét xong",
+      avgAge: "Tuổi lưu trữ trung bình",
+      errors: "Lỗi",
+      pending: "Chưa quét xong",
+    },
+    charts: {
+      age: "Phân bố tuổi lưu trữ",
+      verdicts: "Kết luận",
+      captures: "Số bản lưu theo năm (cộng mọi miền)",
+    },
+    ageUnder: "< {max} năm",
+    ageRange: "{min}–{max} năm",
+    ageAtLeast: "≥ {min} năm",
+    noAge: "Chưa có dữ liệu",
+  },
+  share: {
+    title: "Chia sẻ báo cáo ({count} dòng)",
+    html: "Tải báo cáo HTML",
+    htmlTitle: "Một file HTML duy nhất: bảng sắp xếp được, số liệu tóm tắt và biểu đồ, mở được khi không có mạng",
+    link: "Tạo liên kết",
+    linkTitle: "Liên kết mở bảng ở chế độ chỉ xem; dữ liệu nén ngay trong liên kết",
+    copyLink: "Copy liên kết",
+    linkCopied: "Đã tạo và copy liên kết ({size})",
+    linkCreated: "Đã tạo liên kết ({size}), copy thủ công bên dưới",
+    linkFailed: "Không tạo được liên kết: {message}",
+    htmlFailed: "Không tạo được báo cáo: {message}",
+    hint: "Báo cáo lấy đúng các dòng đang hiển thị (theo bộ lọc, thứ tự sắp xếp và điểm hiện tại). Dữ liệu của liên kết nằm sau dấu #, không gửi lên server.",
+    fileName: "bao-cao-archive",
+    readOnly: "Chế độ chỉ xem",
+    loading: "Đang giải nén liên kết…",
+    openFailed: "Không mở được liên kết chia sẻ: {message}",
+    sharedAt: "Chia sẻ lúc {date}",
+    openApp: "Mở ứng dụng",
+  },
+  retry: {
+    title: "Thử lại {count} miền lỗi",
+    close: "Đóng",
+    retry: "Thử lại",
+  },
+  watch: {
+    title: "Theo dõi ({count} miền)",
+    intervalTitle: "Chu kỳ kiểm tra lại",
+    every: "Mỗi {interval}",
+    intervals: {
+      6: "6 giờ",
+      12: "12 giờ",
+      24: "1 ngày",
+      72: "3 ngày",
+      168: "1 tuần",
+    },
+    hours: "{count} giờ",
+    add: "Theo dõi {count} miền đang nhập",
+    added: "Đã thêm {count} miền vào danh sách theo dõi",
+    checkNow: "Kiểm tra ngay",
+    checkNowTitle: "Kiểm tra ngay các miền đã tới hạn, như một lượt chạy định kỳ",
+    checked: "Đã kiểm tra {checked}/{due} miền tới hạn, {changes} thay đổi",
+    reload: "Làm mới",
+    loadFailed: "Không tải được danh sách theo dõi: {message}",
+    domain: "Miền",
+    interval: "Chu kỳ",
+    lastChecked: "Kiểm tra lần cuối",
+    next: "Lần tới",
+    archived: "Lưu trữ",
+    lastCapture: "Bản lưu cuối",
+    snapshots: "Số bản lưu",
+    error: "(lỗi)",
+    yes: "Có",
+    no: "Chưa",
+    remove: "Bỏ theo dõi",
+    feed: "Thay đổi gần đây",
+    feedEmpty: "Chưa có thay đổi nào. Lần kiểm tra đầu tiên của mỗi miền chỉ làm mốc so sánh.",
+    change: {
+      archived: "Lần đầu có bản lưu",
+      unarchived: "Không còn bản lưu",
+      lastTs: "Bản lưu mới: {from} → {to}",
+      totalSnapshots: "Số bản lưu: {from} → {to}",
+    },
+  },
+  errors: {
+    unknown: "Lỗi không xác định",
+    network: "Lỗi mạng",
+    http_error: "Lỗi HTTP {status}",
+    upstream_error: "Nguồn lưu trữ trả lỗi ({message})",
+    upstream_timeout: "Nguồn lưu trữ phản hồi quá lâu",
+    upstream_unreachable: "Không kết nối được nguồn lưu trữ",
+    upstream_invalid: "Nguồn lưu trữ trả dữ liệu không đọc được",
+    unauthorized: "Sai hoặc thiếu khóa API",
+    rate_limited: "Gửi quá nhiều request, thử lại sau",
+    invalid_param: "Tham số không hợp lệ ({message})",
+    limit_exceeded: "Vượt giới hạn ({message})",
+    method_not_allowed: "Phương thức không được hỗ trợ",
+    no_domain_column: "File không có cột domain",
+    preset_not_object: "Preset phải là một object JSON",
+    preset_no_name: "Preset thiếu tên (name)",
+    preset_bad_weight: "Trọng số \"{key}\" không hợp lệ",
+    preset_no_rules: "Preset thiếu danh sách quy tắc (rules)",
+    preset_bad_verdict: "Quy tắc {rule}: kết luận \"{verdict}\" không hợp lệ",
+    preset_no_conditions: "Quy tắc {rule}: thiếu điều kiện",
+    preset_bad_condition: "Quy tắc {rule}, điều kiện {condition} không hợp lệ",
+    preset_bad_fallback: "Kết luận mặc định \"{verdict}\" không hợp lệ",
+    watchlist_storage: "Danh sách theo dõi trên Vercel cần KV (đặt KV_REST_API_URL và KV_REST_API_TOKEN)",
+    interrupted: "Quét trên server bị ngắt giữa chừng; bấm Tiếp tục để quét nốt các miền còn lại",
+    cron_secret_missing: "Cần đặt CRON_SECRET trên server trước khi chạy kiểm tra danh sách theo dõi",
+    check_running: "Đang có một lượt kiểm tra khác chạy, thử lại sau",
+    share_unsupported: "Trình duyệt không hỗ trợ nén dữ liệu cho liên kết chia sẻ",
+    share_too_large: "Dữ liệu chia sẻ quá lớn ({length} ký tự, tối đa {max}) — lọc bớt dòng hoặc gửi báo cáo HTML thay thế",
+    share_invalid: "Liên kết chia sẻ bị hỏng hoặc bị cắt mất một phần",
+  },
+};
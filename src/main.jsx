@@ -1,10 +1,27 @@
-import React from 'react'
+import React, { useEffect, useState } from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import SharedReport from './components/SharedReport.jsx'
+import { I18nProvider } from './components/I18nProvider.jsx'
+import { shareDataFromHash } from './lib/report.js'
 import './index.css'
 
+// Liên kết chia sẻ (#share=...) mở trang chỉ xem thay cho app
+function Root() {
+  const [hash, setHash] = useState(window.location.hash)
+  useEffect(() => {
+    const onChange = () => setHash(window.location.hash)
+    window.addEventListener('hashchange', onChange)
+    return () => window.removeEventListener('hashchange', onChange)
+  }, [])
+  const shared = shareDataFromHash(hash)
+  return shared ? <SharedReport data={shared} /> : <App />
+}
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    <I18nProvider>
+      <Root />
+    </I18nProvider>
   </React.StrictMode>
 )
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readdir, rm, writeFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { createCache, cacheFromEnv, cacheKey, fileBackend, memoryBackend } from "../api/_lib/cache.js";
+
+test("wrap reports MISS, then HIT, and REFRESH bypasses and overwrites the entry", async () => {
+  const cache = createCache({ backend: memoryBackend(), ttlMs: 60000 });
+  let calls = 0;
+  const loader = async () => ++calls;
+  assert.deepEqual(await cache.wrap("k", loader), { data: 1, cache: "MISS", age: 0 });
+  const hit = await cache.wrap("k", loader);
+  assert.equal(hit.cache, "HIT");
+  assert.equal(hit.data, 1);
+  assert.deepEqual(await cache.wrap("k", loader, { refresh: true }), { data: 2, cache: "REFRESH", age: 0 });
+  assert.equal((await cache.wrap("k", loader)).data, 2);
+  assert.equal(calls, 2);
+});
+
+test("wrap reloads expired entries, passes through without a backend and survives backend failures", async () => {
+  const expired = createCache({ backend: memoryBackend(), ttlMs: 0 });
+  await expired.wrap("k", async () => "a");
+  assert.deepEqual(await expired.wrap("k", async () => "b"), { data: "b", cache: "MISS", age: 0 });
+
+  assert.deepEqual(await createCache({ backend: null, ttlMs: 1000 }).wrap("k", async () => "x"), { data: "x", cache: "OFF", age: 0 });
+
+  const failing = { get: async () => { throw new Error("down"); }, set: async () => { throw new Error("down"); } };
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.equal((await createCache({ backend: failing, ttlMs: 1000 }).wrap("k", async () => "y")).data, "y");
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test("memory backend evicts the least recently used entry", async () => {
+  const backend = memoryBackend({ maxEntries: 2 });
+  await backend.set("a", 1);
+  await backend.set("b", 2);
+  await backend.get("a"); // a vừa dùng → b cũ nhất
+  await backend.set("c", 3);
+  assert.equal(await backend.get("b"), null);
+  assert.equal(await backend.get("a"), 1);
+  assert.equal(await backend.get("c"), 3);
+});
+
+test("CDX_CACHE_TTL=0 is honored instead of falling back to 6 hours", async () => {
+  const cache = cacheFromEnv({ CDX_CACHE_TTL: "0" });
+  await cache.wrap(cacheKey("stats", "a.com"), async () => 1);
+  assert.equal((await cache.wrap(cacheKey("stats", "a.com"), async () => 2)).cache, "MISS");
+  const fallback = cacheFromEnv({ CDX_CACHE_TTL: "abc" });
+  await fallback.wrap("k", async () => 1);
+  assert.equal((await fallback.wrap("k", async () => 2)).cache, "HIT");
+});
+
+test("file backend sweeps expired and damaged entries and caps the entry count", async () => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), "cdx-cache-test-"));
+  try {
+    const backend = fileBackend({ dir, maxEntries: 2, sweepEvery: 1000 });
+    const now = Date.now();
+    await backend.set("old", { value: 1, storedAt: now - 3, expiresAt: now + 60000 }); // lần ghi đầu cũng dọn
+    await backend.set("gone", { value: 2, storedAt: now - 2, expiresAt: now - 1 });
+    await backend.set("mid", { value: 3, storedAt: now - 1, expiresAt: now + 60000 });
+    await backend.set("new", { value: 4, storedAt: now, expiresAt: now + 60000 });
+    await writeFile(path.join(dir, "broken.json"), "{");
+    assert.equal((await readdir(dir)).length, 5);
+
+    await backend.prune(now);
+    assert.equal((await readdir(dir)).length, 2);
+    assert.equal(await backend.get("old"), null);
+    assert.equal(await backend.get("gone"), null);
+    assert.equal((await backend.get("mid")).value, 3);
+    assert.equal((await backend.get("new")).value, 4);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
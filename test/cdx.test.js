@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { queryCdx } from "../api/_lib/cdx.js";
+
+// CDX giả cho type=status: hai bản lưu 3xx khác năm, bản phát lại trả Location kèm body chưa đọc
+function fakeWayback() {
+  const replays = [];
+  const fetch = async (url, init = {}) => {
+    const u = new URL(url);
+    if (u.pathname.includes("/cdx/search/cdx")) {
+      return new Response([
+        "20100101000000 200 A http://a.com/",
+        "20110101000000 301 B http://a.com/",
+        "20120101000000 302 C http://www.a.com/",
+      ].join("\n"));
+    }
+    let cancelled = false;
+    const body = new ReadableStream({ pull(c) { c.enqueue(new TextEncoder().encode("<html>…</html>")); }, cancel() { cancelled = true; } });
+    const res = new Response(body, { status: 302, headers: { Location: "https://web.archive.org/web/2011id_/https://b.com/" } });
+    replays.push({ init, isCancelled: () => cancelled });
+    return res;
+  };
+  return { fetch, replays };
+}
+
+test("redirect sampling reads only Location, without following, and cancels each body", async () => {
+  const { fetch, replays } = fakeWayback();
+  const data = await queryCdx("status", "a.com", { fetch });
+  assert.equal(data.total, 3);
+  assert.deepEqual(data.classes, { "2xx": 1, "3xx": 2 });
+  assert.equal(data.redirects.targets[0].host, "b.com");
+  assert.equal(data.redirects.targets[0].captures, 2);
+  assert.equal(replays.length, 2);
+  for (const r of replays) {
+    assert.equal(r.init.redirect, "manual");
+    assert.equal(r.isCancelled(), true);
+  }
+});
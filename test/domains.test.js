@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeDomain, parseDomainInput, toUnicodeDomain } from "../src/lib/domains.js";
+
+test("reduces hosts to the registrable domain using the Public Suffix List", () => {
+  assert.deepEqual(normalizeDomain("a.b.example.co.uk"), { domain: "example.co.uk" });
+  assert.deepEqual(normalizeDomain("https://www.Example.com:8080/path?q=1#x"), { domain: "example.com" });
+  assert.deepEqual(normalizeDomain("user@mail.example.org"), { domain: "example.org" });
+  assert.deepEqual(normalizeDomain("//cdn.example.net/"), { domain: "example.net" });
+});
+
+test("hostname mode keeps subdomains", () => {
+  assert.deepEqual(normalizeDomain("https://www.example.co.uk/x", { mode: "hostname" }), { domain: "www.example.co.uk" });
+});
+
+test("registrable mode uses only the ICANN suffixes, so hosted sites reduce to the provider's domain", () => {
+  assert.deepEqual(normalizeDomain("foo.bar.github.io"), { domain: "github.io" });
+  assert.deepEqual(normalizeDomain("foo.blogspot.com"), { domain: "blogspot.com" });
+  assert.deepEqual(parseDomainInput("a.github.io b.github.io").domains, ["github.io"]);
+  assert.deepEqual(normalizeDomain("foo.github.io", { mode: "hostname" }), { domain: "foo.github.io" });
+});
+
+test("IDN domains are converted to punycode and back", () => {
+  const { domain } = normalizeDomain("Bücher.de");
+  assert.equal(domain, "xn--bcher-kva.de");
+  assert.equal(toUnicodeDomain(domain), "bücher.de");
+});
+
+test("rejects IPs, unknown suffixes, bare suffixes and junk with a reason code", () => {
+  assert.deepEqual(normalizeDomain("192.168.0.1"), { reason: "ip" });
+  assert.deepEqual(normalizeDomain("example.notarealtld"), { reason: "unknownSuffix" });
+  assert.deepEqual(normalizeDomain("co.uk"), { reason: "suffixOnly" });
+  assert.deepEqual(normalizeDomain("exa_mple.com"), { reason: "invalid" });
+});
+
+test("parseDomainInput dedupes, reports rejects and truncates at the limit", () => {
+  const input = [
+    "https://a.example.com/page, b.example.com; <c.org>",
+    "hello world 10.0.0.1 bad..com",
+    "d.net e.net",
+  ].join("\n");
+  const report = parseDomainInput(input, { limit: 3 });
+  assert.deepEqual(report.domains, ["example.com", "c.org", "d.net"]);
+  assert.equal(report.duplicates, 1);
+  assert.equal(report.truncated, 1);
+  // Chữ thường trong văn bản không bị báo lỗi, chỉ token có dáng tên miền
+  assert.deepEqual(report.rejected.map(r => [r.token, r.reason]), [["10.0.0.1", "ip"], ["bad..com", "invalid"]]);
+});
+
+test("empty input gives an empty report", () => {
+  assert.deepEqual(parseDomainInput("").domains, []);
+});
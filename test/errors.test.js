@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ApiError, errorFromResponse, toApiError, upstreamError } from "../src/lib/errors.js";
+
+test("upstreamError keeps 429/503, maps other failures to 502 and reads both Retry-After forms", () => {
+  const throttled = upstreamError(new Response("", { status: 429, headers: { "Retry-After": "7" } }), "Wayback");
+  assert.equal(throttled.status, 429);
+  assert.equal(throttled.message, "Wayback HTTP 429");
+  assert.equal(throttled.retryable, true);
+  assert.equal(throttled.retryAfterMs, 7000);
+
+  const at = new Date(Date.now() + 30000).toUTCString();
+  const dated = upstreamError(new Response("", { status: 503, headers: { "Retry-After": at } }));
+  assert.equal(dated.status, 503);
+  assert.ok(dated.retryAfterMs > 25000 && dated.retryAfterMs <= 30000, String(dated.retryAfterMs));
+
+  const past = upstreamError(new Response("", { status: 503, headers: { "Retry-After": "Wed, 21 Oct 2015 07:28:00 GMT" } }));
+  assert.equal(past.retryAfterMs, null);
+
+  const notFound = upstreamError(new Response("", { status: 404 }));
+  assert.equal(notFound.status, 502);
+  assert.equal(notFound.upstreamStatus, 404);
+  assert.equal(notFound.retryable, false);
+  assert.equal(notFound.retryAfterMs, null);
+});
+
+test("toApiError classifies timeouts, network failures and unknown errors", () => {
+  const own = new ApiError("x", { code: "invalid_param", status: 400 });
+  assert.equal(toApiError(own), own);
+  assert.deepEqual(
+    toApiError(new DOMException("timed out", "TimeoutError")).toJSON(),
+    { error: "Upstream timeout", code: "upstream_timeout", upstreamStatus: null, retryable: true },
+  );
+  const net = toApiError(new TypeError("fetch failed"));
+  assert.equal(net.code, "upstream_unreachable");
+  assert.equal(net.retryable, true);
+  const other = toApiError(new TypeError("x is not a function"));
+  assert.equal(other.code, "internal");
+  assert.equal(other.retryable, false);
+  assert.equal(toApiError("boom").message, "boom");
+});
+
+test("errorFromResponse reads the API error body, or guesses from the HTTP status", async () => {
+  const body = { error: "CDX HTTP 502", code: "upstream_error", upstreamStatus: 502, retryable: false };
+  const e = await errorFromResponse(Response.json(body, { status: 502 }));
+  assert.equal(e.message, "CDX HTTP 502");
+  assert.equal(e.code, "upstream_error");
+  assert.equal(e.status, 502);
+  assert.equal(e.upstreamStatus, 502);
+  assert.equal(e.retryable, false); // body thắng mã HTTP
+
+  const html = await errorFromResponse(new Response("<html>busy</html>", { status: 503, headers: { "Retry-After": "2" } }));
+  assert.equal(html.message, "HTTP 503");
+  assert.equal(html.code, "http_error");
+  assert.equal(html.retryable, true);
+  assert.equal(html.retryAfterMs, 2000);
+
+  const denied = await errorFromResponse(new Response("nope", { status: 401 }));
+  assert.equal(denied.retryable, false);
+});
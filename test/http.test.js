@@ -0,0 +1,56 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { guard, safeEqual } from "../api/_lib/http.js";
+import watchCheck from "../api/watch-check.js";
+
+function fakeRes() {
+  const res = { headers: {}, statusCode: 200, body: null };
+  res.setHeader = (k, v) => { res.headers[k] = v; };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; };
+  return res;
+}
+
+afterEach(() => {
+  delete process.env.API_KEY;
+  delete process.env.VERCEL;
+  delete process.env.CRON_SECRET;
+});
+
+test("API_KEY is accepted only from the X-Api-Key header", () => {
+  process.env.API_KEY = "s3cret";
+  const ok = fakeRes();
+  assert.equal(guard({ headers: { "x-api-key": "s3cret" }, query: {} }, ok, { rateLimit: false }), true);
+
+  const viaQuery = fakeRes();
+  assert.equal(guard({ headers: {}, query: { key: "s3cret" } }, viaQuery, { rateLimit: false }), false);
+  assert.equal(viaQuery.statusCode, 401);
+  assert.equal(viaQuery.body.code, "unauthorized");
+
+  const wrong = fakeRes();
+  assert.equal(guard({ headers: { "x-api-key": "s3cre" }, query: {} }, wrong, { rateLimit: false }), false);
+});
+
+test("without API_KEY every request passes", () => {
+  assert.equal(guard({ headers: {}, query: {} }, fakeRes(), { rateLimit: false }), true);
+});
+
+test("safeEqual compares secrets of any length", () => {
+  assert.equal(safeEqual("abc", "abc"), true);
+  assert.equal(safeEqual("abc", "abcd"), false);
+  assert.equal(safeEqual("", "x"), false);
+});
+
+test("/api/watch-check refuses to run on Vercel without CRON_SECRET", async () => {
+  process.env.VERCEL = "1";
+  const res = fakeRes();
+  await watchCheck({ method: "GET", headers: {}, query: {} }, res);
+  assert.equal(res.statusCode, 503);
+  assert.equal(res.body.code, "cron_secret_missing");
+
+  process.env.CRON_SECRET = "cron";
+  const denied = fakeRes();
+  process.env.API_KEY = "key"; // không có bearer đúng thì vẫn cần khóa API như mọi endpoint
+  await watchCheck({ method: "GET", headers: { authorization: "Bearer nope" }, query: {} }, denied);
+  assert.equal(denied.statusCode, 401);
+});
@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { encodeShareLink, decodeShareLink, shareDataFromHash, buildHtmlReport, summarizeRows, MAX_SHARE_BYTES } from "../src/lib/report.js";
+import { fromRecord } from "../src/lib/exportColumns.js";
+import { safeHttpUrl } from "../src/lib/domains.js";
+import { createI18n } from "../src/lib/i18n.js";
+
+const row = (domain, extra = {}) => ({
+  domain, status: "complete", archived: true, spanYears: 6, firstYear: "2010", lastYear: "2016",
+  totalSnapshots: 120, uniqueSnapshots: 80, yearCounts: { 2010: 20, 2016: 100 }, activePeriods: 2,
+  longestGap: { days: 400, from: "20110101", to: "20120205" }, recentGap: null, redirectPct: 10, mainRedirect: null,
+  timeMs: 300, closestTs: "20160101000000", closestUrl: `http://web.archive.org/web/20160101000000/${domain}`,
+  score: 72, verdict: "good", sources: ["wayback"], firstTs: "20100101000000", lastTs: "20160101000000",
+  ...extra,
+});
+
+// Liên kết dựng tay như kẻ tấn công: JSON tùy ý, nén deflate-raw, base64url
+async function craftLink(payload) {
+  const stream = new Blob([JSON.stringify(payload)]).stream().pipeThrough(new CompressionStream("deflate-raw"));
+  const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+  return Buffer.from(bytes).toString("base64url");
+}
+
+test("share links round-trip rows, verdicts and errors", async () => {
+  const rows = [
+    row("a.com"),
+    row("b.com", { status: "error", errorCode: "upstream_error", errorMsg: "Wayback HTTP 503", score: null, verdict: null }),
+  ];
+  const url = await encodeShareLink(rows, { scan: { name: "Scan", createdAt: 0 }, locale: "en", baseUrl: "https://app.test/" });
+  assert.ok(url.startsWith("https://app.test/#share="));
+  const { meta, rows: back } = await decodeShareLink(shareDataFromHash(new URL(url).hash));
+  assert.equal(meta.scan.name, "Scan");
+  assert.equal(back.length, 2);
+  assert.equal(back[0].spanYears, 6);
+  assert.equal(back[0].totalSnapshots, 120);
+  assert.deepEqual(back[0].yearCounts, { 2010: 20, 2016: 100 });
+  assert.deepEqual(back[0].longestGap, { days: 400, from: "20110101", to: "20120205" });
+  assert.equal(back[0].closestUrl, "http://web.archive.org/web/20160101000000/a.com");
+  assert.equal(back[0].score, 72);
+  assert.equal(back[0].verdict, "good");
+  assert.equal(back[1].status, "error");
+  assert.equal(back[1].errorCode, "upstream_error");
+  assert.equal(back[1].verdict, null);
+  assert.deepEqual(summarizeRows(back), summarizeRows(rows.map(r => ({ ...r }))));
+});
+
+test("a malicious share payload cannot inject script URLs or unknown verdicts", async () => {
+  const data = await craftLink({
+    v: 1,
+    meta: { scan: { name: "<img src=x onerror=alert(1)>" } },
+    columns: ["domain", "status", "archive_url", "verdict", "score"],
+    rows: [
+      ["evil.com", "complete", "javascript:alert(document.cookie)", "good\" onmouseover=\"alert(1)", "1"],
+      ["data.com", "complete", "data:text/html,<script>alert(1)</script>", "good", "2"],
+      ["ok.com", "complete", "https://web.archive.org/web/2020/ok.com", "bad", "3"],
+    ],
+  });
+  const { rows } = await decodeShareLink(data);
+  assert.equal(rows[0].closestUrl, undefined);
+  assert.equal(rows[0].verdict, null);
+  assert.equal(rows[1].closestUrl, undefined);
+  assert.equal(rows[2].closestUrl, "https://web.archive.org/web/2020/ok.com");
+
+  const html = buildHtmlReport(rows, { scan: { name: "<img src=x onerror=alert(1)>" }, i18n: createI18n("en") });
+  assert.doesNotMatch(html, /javascript:|data:text/i);
+  assert.doesNotMatch(html, /<img/);
+  assert.match(html, /href="https:\/\/web\.archive\.org\/web\/2020\/ok\.com"/);
+});
+
+test("the HTML report never links a non-http URL, even for rows that skipped decoding", () => {
+  const html = buildHtmlReport([row("x.com", { closestUrl: "javascript:alert(1)" })], { i18n: createI18n("vi") });
+  assert.doesNotMatch(html, /javascript:/);
+});
+
+test("imported result files drop non-http archive URLs", () => {
+  assert.equal(fromRecord({ domain: "x.com", archive_url: "javascript:alert(1)" }).closestUrl, undefined);
+  assert.equal(fromRecord({ domain: "x.com", archive_url: " https://web.archive.org/web/1/x.com " }).closestUrl, "https://web.archive.org/web/1/x.com");
+  assert.equal(safeHttpUrl("JAVASCRIPT:alert(1)"), null);
+  assert.equal(safeHttpUrl("not a url"), null);
+});
+
+test("damaged or foreign share links are rejected", async () => {
+  await assert.rejects(decodeShareLink("not-base64-deflate"), { code: "share_invalid" });
+  await assert.rejects(decodeShareLink(await craftLink({ v: 2, columns: [], rows: [] })), { code: "share_invalid" });
+  assert.equal(shareDataFromHash("#other"), null);
+  assert.equal(shareDataFromHash("#share="), null);
+});
+
+test("a tiny link that inflates past the size cap is refused", async () => {
+  const bomb = await craftLink({ v: 1, columns: ["domain"], rows: [["a".repeat(MAX_SHARE_BYTES + 1)]] });
+  assert.ok(bomb.length < 50_000, String(bomb.length));
+  await assert.rejects(decodeShareLink(bomb), (e) => e.code === "share_too_large" && e.params.max === MAX_SHARE_BYTES);
+});
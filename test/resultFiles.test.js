@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildExportFile, exportMeta, parseResultFile } from "../src/lib/resultFiles.js";
+import { COLUMN_KEYS, csvLine, fromRecord, toRecord } from "../src/lib/exportColumns.js";
+
+const rows = [{ domain: "a.com", status: "complete", archived: true, spanYears: 3, totalSnapshots: 12 }];
+
+test("CSV export is a plain table whose first line is the header", async () => {
+  const columns = ["domain", "years", "total_snapshots"];
+  const blob = await buildExportFile(rows, { format: "csv", columns, meta: exportMeta(null, { columns, total: 1 }) });
+  const [header] = (await blob.text()).split("\n");
+  assert.equal(header.trim(), "domain,years,total_snapshots");
+});
+
+test("CSV files from older exports with a metadata line still import", async () => {
+  const meta = exportMeta({ name: "Old scan" }, { columns: ["domain"], total: 1 });
+  const file = new File([`# ${JSON.stringify(meta)}\ndomain,years\na.com,3\n`], "old.csv");
+  const { meta: back, rows: imported } = await parseResultFile(file);
+  assert.equal(back.scan.name, "Old scan");
+  assert.equal(imported[0].domain, "a.com");
+});
+
+test("errored rows export their error code and message, and import back", () => {
+  const row = { domain: "b.com", status: "error", errorCode: "upstream_timeout", errorMsg: "Upstream timeout" };
+  assert.ok(COLUMN_KEYS.includes("error_code") && COLUMN_KEYS.includes("error_msg"));
+  const record = toRecord(row, ["domain", "status", "error_code", "error_msg"]);
+  assert.deepEqual(record, { domain: "b.com", status: "error", error_code: "upstream_timeout", error_msg: "Upstream timeout" });
+  assert.equal(csvLine(row, ["domain", "error_code"]), '"b.com","upstream_timeout"');
+  const back = fromRecord(record);
+  assert.equal(back.status, "error");
+  assert.equal(back.errorCode, "upstream_timeout");
+  assert.equal(back.errorMsg, "Upstream timeout");
+  assert.equal(toRecord({ domain: "a.com", status: "complete" }, ["error_code"]).error_code, "");
+});
@@ -0,0 +1,81 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { scanViaServer } from "../src/lib/scanner.js";
+import handler from "../api/scan.js";
+
+const ndjson = (events) => new Response(events.map(e => JSON.stringify(e) + "\n").join(""), {
+  headers: { "Content-Type": "application/x-ndjson" },
+});
+
+test("scanViaServer returns the done event, including the unfinished domains of a partial run", async () => {
+  const events = [];
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async () => ndjson([
+    { type: "start", total: 2 },
+    { type: "row", index: 0, status: "complete" },
+    { type: "done", done: 1, total: 2, partial: true, remaining: [1] },
+  ]);
+  try {
+    const result = await scanViaServer(["a.com", "b.com"], { onEvent: (e) => events.push(e.type) });
+    assert.deepEqual(result.remaining, [1]);
+    assert.equal(result.partial, true);
+    assert.deepEqual(events.slice(-3), ["start", "row", "done"]);
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+});
+
+test("scanViaServer rejects with `interrupted` when the stream ends without done", async () => {
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async () => ndjson([{ type: "start", total: 2 }, { type: "row", index: 0, status: "complete" }]);
+  try {
+    await assert.rejects(scanViaServer(["a.com", "b.com"]), { code: "interrupted" });
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+});
+
+// Wayback giả: slow.com không bao giờ trả lời (chỉ dừng khi bị hủy), miền khác chưa từng được lưu
+const realFetch = globalThis.fetch;
+before(() => {
+  globalThis.fetch = (url, { signal } = {}) => {
+    const u = new URL(String(url));
+    if ((u.searchParams.get("url") || "").startsWith("slow.com")) {
+      return new Promise((_, reject) => signal?.addEventListener("abort", () => reject(signal.reason), { once: true }));
+    }
+    if (u.pathname.includes("wayback/available")) return Promise.resolve(Response.json({ archived_snapshots: {} }));
+    return Promise.resolve(u.searchParams.get("output") === "json" ? Response.json([]) : new Response(""));
+  };
+});
+after(() => {
+  globalThis.fetch = realFetch;
+  delete process.env.SCAN_BUDGET_MS;
+});
+
+function fakeResponse() {
+  const res = new EventEmitter();
+  res.chunks = [];
+  res.writableEnded = false;
+  res.finished = new Promise(resolve => { res.end = () => { res.writableEnded = true; resolve(); }; });
+  res.writeHead = (status, headers) => { res.statusCode = status; res.headers = headers; };
+  res.setHeader = () => {};
+  res.status = (status) => { res.statusCode = status; return res; };
+  res.json = (body) => { res.chunks.push(JSON.stringify(body)); res.end(); };
+  res.write = (chunk) => res.chunks.push(chunk);
+  return res;
+}
+
+test("/api/scan stops at its time budget and lists the unfinished domains", async () => {
+  process.env.SCAN_BUDGET_MS = "300";
+  const res = fakeResponse();
+  await handler({ method: "POST", headers: {}, body: { domains: ["fast.com", "slow.com"], rps: 20 } }, res);
+  await res.finished;
+  const events = res.chunks.join("").trim().split("\n").map(l => JSON.parse(l));
+  const done = events.at(-1);
+  assert.equal(done.type, "done");
+  assert.equal(done.partial, true);
+  assert.deepEqual(done.remaining, [1]);
+  assert.ok(events.some(e => e.type === "row" && e.index === 0 && e.status === "complete"));
+  assert.ok(!events.some(e => e.type === "row" && e.index === 1 && e.status !== "checking"));
+});
@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ApiError } from "../src/lib/errors.js";
+import { enrichByCDX } from "../src/lib/scanner.js";
+
+const STATS = {
+  total: 3, unique: 2, firstTs: "20050101000000", lastTs: "20200601000000",
+  years: { 2005: { total: 1, unique: 1 }, 2020: { total: 2, unique: 1 } },
+  coverage: { periods: 2, longestGap: { days: 5000 }, recentGap: { days: 5000 } },
+};
+const STATUS = { total: 3, classes: { "2xx": 3 }, years: {}, redirects: { targets: [] } };
+
+// cdx giả: trả lời theo `answers[type]` (hàm hoặc giá trị) và ghi lại thứ tự các truy vấn
+function fakeCdx(answers) {
+  const calls = [];
+  const cdx = async (type) => {
+    calls.push(type);
+    const answer = answers[type];
+    const data = typeof answer === "function" ? answer(calls.filter(t => t === type).length) : answer;
+    return { data: data ?? null, cache: "MISS" };
+  };
+  return { cdx, calls };
+}
+
+test("enrichByCDX takes the first and last capture from stats without extra queries", async () => {
+  const { cdx, calls } = fakeCdx({ stats: STATS, status: STATUS });
+  const row = await enrichByCDX("a.com", { cdx });
+  assert.deepEqual(calls, ["stats", "status"]);
+  assert.equal(row.firstTs, "20050101000000");
+  assert.equal(row.lastTs, "20200601000000");
+  assert.equal(row.spanYears, 15);
+  assert.equal(row.totalSnapshots, 3);
+});
+
+test("enrichByCDX falls back to first/last queries when stats fails", async () => {
+  const down = () => { throw new ApiError("CDX HTTP 502", { code: "upstream_error", status: 502, retryable: false }); };
+  const { cdx, calls } = fakeCdx({
+    stats: down,
+    first: [["timestamp"], ["20100101000000"]],
+    last: { timestamp: "20120101000000" },
+    status: STATUS,
+  });
+  const row = await enrichByCDX("a.com", { cdx });
+  assert.deepEqual(calls, ["stats", "first", "last", "status"]);
+  assert.equal(row.firstYear, "2010");
+  assert.equal(row.lastYear, "2012");
+  assert.equal(row.spanYears, 2);
+  assert.equal(row.totalSnapshots, 0);
+});
+
+test("enrichByCDX retries only retryable errors, up to three attempts, honoring Retry-After", async () => {
+  const busy = () => { throw new ApiError("CDX HTTP 503", { code: "upstream_error", status: 503, retryable: true, retryAfterMs: 1 }); };
+  const { cdx, calls } = fakeCdx({ stats: (n) => (n < 3 ? busy() : STATS), status: busy });
+  const row = await enrichByCDX("a.com", { cdx });
+  assert.deepEqual(calls, ["stats", "stats", "stats", "status", "status", "status"]);
+  assert.equal(row.totalSnapshots, 3);
+  assert.deepEqual(row.statusTotals, {}); // hết lượt thử thì bỏ qua phần đó, không làm hỏng cả dòng
+});
+
+test("enrichByCDX does not retry non-retryable upstream errors", async () => {
+  const broken = () => { throw new ApiError("CDX HTTP 404", { code: "upstream_error", status: 502, retryable: false }); };
+  const { cdx, calls } = fakeCdx({ stats: broken, first: broken, last: broken, status: STATUS });
+  const row = await enrichByCDX("a.com", { cdx });
+  assert.deepEqual(calls, ["stats", "first", "last", "status"]);
+  assert.equal(row.firstTs, null);
+});
+
+test("enrichByCDX throws client 4xx errors at once without further queries", async () => {
+  const denied = () => { throw new ApiError("Invalid or missing API key", { code: "unauthorized", status: 401 }); };
+  const { cdx, calls } = fakeCdx({ stats: denied, status: STATUS });
+  await assert.rejects(enrichByCDX("a.com", { cdx }), { code: "unauthorized" });
+  assert.deepEqual(calls, ["stats"]);
+});
@@ -0,0 +1,118 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createScheduler, parseRetryAfter, sleep } from "../src/lib/scheduler.js";
+
+const response = (status, headers = {}) => new Response(null, { status, headers });
+
+// fetch giả trả lần lượt các response trong `queue`, hết thì trả 200
+const fakeFetch = (queue) => {
+  const calls = [];
+  const impl = async (url) => {
+    calls.push({ url, at: Date.now() });
+    return queue.shift() ?? response(200);
+  };
+  return { impl, calls };
+};
+
+test("parseRetryAfter reads seconds and HTTP dates", () => {
+  assert.equal(parseRetryAfter("3"), 3000);
+  assert.equal(parseRetryAfter("Thu, 01 Jan 2026 00:00:10 GMT", Date.parse("2026-01-01T00:00:00Z")), 10000);
+  assert.equal(parseRetryAfter("Thu, 01 Jan 2026 00:00:00 GMT", Date.parse("2026-01-02T00:00:00Z")), 0);
+  assert.equal(parseRetryAfter("soon"), null);
+  assert.equal(parseRetryAfter(null), null);
+});
+
+test("waits for Retry-After on 429, lowers the rate and retries", async () => {
+  const { impl, calls } = fakeFetch([response(429, { "retry-after": "0.2" })]);
+  const scheduler = createScheduler({ rps: 100, fetchImpl: impl });
+  const res = await scheduler.fetch("https://x.test/a");
+  assert.equal(res.status, 200);
+  assert.equal(calls.length, 2);
+  assert.ok(calls[1].at - calls[0].at >= 190, `retried after ${calls[1].at - calls[0].at}ms`);
+  const stats = scheduler.stats();
+  assert.equal(stats.throttleEvents, 1);
+  assert.equal(stats.lastThrottle.status, 429);
+  assert.equal(stats.lastThrottle.waitMs, 200);
+  // Hạ còn một nửa rồi tăng lại 1/10 sau lần thành công
+  assert.equal(stats.currentRps, 60);
+});
+
+test("a throttle pauses every queued request, not just the throttled one", async () => {
+  const { impl, calls } = fakeFetch([response(503, { "retry-after": "0.2" })]);
+  const scheduler = createScheduler({ rps: 100, fetchImpl: impl });
+  const start = Date.now();
+  await Promise.all([scheduler.fetch("https://x.test/a"), scheduler.fetch("https://x.test/b")]);
+  assert.equal(calls.length, 3);
+  assert.ok(calls.slice(1).every(c => c.at - start >= 190));
+});
+
+test("backs off exponentially without Retry-After and gives up after maxRetries", async () => {
+  const { impl, calls } = fakeFetch([response(429), response(429), response(429)]);
+  const scheduler = createScheduler({ rps: 100, maxRetries: 2, maxBackoffMs: 50, fetchImpl: impl });
+  const res = await scheduler.fetch("https://x.test/a");
+  assert.equal(res.status, 429);
+  assert.equal(calls.length, 3);
+  assert.equal(scheduler.stats().throttleEvents, 2);
+  assert.equal(scheduler.stats().lastThrottle.waitMs, 50); // bị chặn bởi maxBackoffMs
+});
+
+test("spaces requests by the requests-per-second budget", async () => {
+  const { impl, calls } = fakeFetch([]);
+  const scheduler = createScheduler({ rps: 20, fetchImpl: impl });
+  await Promise.all([1, 2, 3, 4, 5].map(i => scheduler.fetch(`https://x.test/${i}`)));
+  const span = calls[4].at - calls[0].at;
+  assert.ok(span >= 180, `5 requests at 20 rps took ${span}ms`);
+});
+
+test("run never exceeds the concurrency limit and finishes every item", async () => {
+  const scheduler = createScheduler({ concurrency: 3 });
+  let running = 0, peak = 0;
+  const done = [];
+  await scheduler.run([...Array(10).keys()], async (item) => {
+    running += 1;
+    peak = Math.max(peak, running);
+    await sleep(5 + (item % 3) * 5);
+    running -= 1;
+    done.push(item);
+  });
+  assert.equal(peak, 3);
+  assert.deepEqual(done.sort((a, b) => a - b), [...Array(10).keys()]);
+});
+
+test("abort stops rate-limit waits and takes no new items", async () => {
+  const controller = new AbortController();
+  const { impl } = fakeFetch([response(429, { "retry-after": "30" })]);
+  const scheduler = createScheduler({ concurrency: 1, rps: 100, fetchImpl: impl });
+  const started = [];
+  const run = scheduler.run([1, 2, 3], async (item) => {
+    started.push(item);
+    await scheduler.fetch(`https://x.test/${item}`, { signal: controller.signal });
+  }, { signal: controller.signal });
+  setTimeout(() => controller.abort(), 50);
+  const t0 = Date.now();
+  await run;
+  assert.ok(Date.now() - t0 < 1000);
+  assert.deepEqual(started, [1]);
+});
+
+test("pause holds the queue until resume", async () => {
+  const scheduler = createScheduler({ concurrency: 1 });
+  const started = [];
+  const run = scheduler.run([1, 2, 3], async (item) => {
+    started.push(item);
+    if (item === 1) scheduler.pause();
+    await sleep(5);
+  });
+  await sleep(50);
+  assert.deepEqual(started, [1]);
+  assert.equal(scheduler.stats().paused, true);
+  scheduler.resume();
+  await run;
+  assert.deepEqual(started, [1, 2, 3]);
+});
+
+test("sleep rejects as soon as the signal aborts", async () => {
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 10);
+  await assert.rejects(sleep(10000, controller.signal), { name: "AbortError" });
+});
@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_PRESET, evaluateRow, rowMetrics, scoreMetrics, validatePreset } from "../src/lib/scoring.js";
+
+const NOW = new Date("2025-06-01T00:00:00Z");
+const row = (extra = {}) => ({
+  status: "complete", spanYears: 5, firstYear: "2018", lastYear: "2023", totalSnapshots: 50,
+  longestGap: { days: 100 }, activePeriods: 1, redirectPct: 0,
+  ...extra,
+});
+
+test("the good rule matches exactly at its thresholds and not one step below", () => {
+  // tuổi 5, 50 bản lưu, bản lưu cuối cách 2 năm: vừa chạm mọi ngưỡng ≥ / ≤
+  assert.equal(evaluateRow(row(), DEFAULT_PRESET, NOW).verdict, "good");
+  assert.equal(evaluateRow(row({ spanYears: 4 }), DEFAULT_PRESET, NOW).verdict, "review");
+  assert.equal(evaluateRow(row({ totalSnapshots: 49 }), DEFAULT_PRESET, NOW).verdict, "review");
+  assert.equal(evaluateRow(row({ lastYear: "2022" }), DEFAULT_PRESET, NOW).verdict, "review");
+  assert.equal(evaluateRow(row(), DEFAULT_PRESET, NOW).rule, 0);
+});
+
+test("bad rules: no captures, or mostly redirects", () => {
+  assert.deepEqual(evaluateRow(row({ totalSnapshots: 0 }), DEFAULT_PRESET, NOW), { score: 0, verdict: "bad", rule: 1 });
+  assert.equal(evaluateRow(row({ redirectPct: 80 }), DEFAULT_PRESET, NOW).verdict, "good"); // quy tắc đầu khớp trước
+  assert.equal(evaluateRow(row({ spanYears: 1, redirectPct: 80 }), DEFAULT_PRESET, NOW).rule, 2);
+  assert.equal(evaluateRow(row({ spanYears: 1, redirectPct: 79.9 }), DEFAULT_PRESET, NOW).rule, -1);
+});
+
+test("rows that are not complete get no score or verdict", () => {
+  for (const status of ["checking", "error"]) {
+    assert.deepEqual(evaluateRow(row({ status }), DEFAULT_PRESET, NOW), { score: null, verdict: null, rule: null });
+  }
+  assert.deepEqual(evaluateRow(null), { score: null, verdict: null, rule: null });
+});
+
+test("missing metrics count as no age, no gap and an infinitely old last capture", () => {
+  const m = rowMetrics({ status: "complete", firstYear: "—", lastYear: "—" }, NOW);
+  assert.deepEqual(m, { age: 0, snapshots: 0, density: 0, longestGap: 0, recency: Infinity, activePeriods: 0, redirectPct: 0 });
+  const partial = { status: "complete", totalSnapshots: 10, firstYear: "—", lastYear: "—" };
+  assert.equal(evaluateRow(partial, DEFAULT_PRESET, NOW).verdict, "review");
+  // 10/500 × 25 + trọn 15 điểm "không có gap" = 15.5 → 16
+  assert.equal(evaluateRow(partial, DEFAULT_PRESET, NOW).score, 16);
+});
+
+test("scoreMetrics caps each component at its target and inverts gap and recency", () => {
+  const { weights } = DEFAULT_PRESET;
+  const best = { age: 20, snapshots: 5000, density: 100, longestGap: 0, recency: 0 };
+  assert.equal(scoreMetrics(best, weights), 100);
+  assert.equal(scoreMetrics({ ...best, snapshots: 0 }, weights), 0);
+  // gap chạm target (1095 ngày) và bản lưu cuối đủ 5 năm → mất trọn 30 điểm của hai thành phần đó
+  assert.equal(scoreMetrics({ ...best, longestGap: 1095, recency: 5 }, weights), 70);
+  assert.equal(scoreMetrics({ ...best, recency: Infinity }, weights), 85);
+  // Trọng số 0 hoặc target 0 thì bỏ khỏi mẫu số
+  assert.equal(scoreMetrics({ ...best, age: 5 }, { age: { weight: 10, target: 10 }, snapshots: { weight: 10, target: 0 } }), 50);
+  assert.equal(scoreMetrics(best, {}), 0);
+});
+
+test("validatePreset normalizes a valid preset and fills missing weights", () => {
+  const preset = validatePreset({
+    name: "  Mine ",
+    weights: { age: { weight: "10", target: "5" } },
+    rules: [{ verdict: "good", conditions: [{ metric: "age", op: ">", value: "3" }] }],
+  });
+  assert.equal(preset.name, "Mine");
+  assert.deepEqual(preset.weights.age, { weight: 10, target: 5 });
+  assert.deepEqual(preset.weights.snapshots, { weight: 0, target: 0 });
+  assert.deepEqual(preset.rules[0].conditions[0], { metric: "age", op: ">", value: 3 });
+  assert.equal(preset.fallback, "review");
+  assert.deepEqual(validatePreset(DEFAULT_PRESET), DEFAULT_PRESET);
+});
+
+test("validatePreset rejects invalid presets with a translatable code", () => {
+  const base = { name: "x", rules: [] };
+  const cases = [
+    [null, "preset_not_object"],
+    [{ rules: [] }, "preset_no_name"],
+    [{ ...base, weights: { age: { weight: -1, target: 5 } } }, "preset_bad_weight"],
+    [{ ...base, weights: { density: { weight: "a", target: 5 } } }, "preset_bad_weight"],
+    [{ name: "x" }, "preset_no_rules"],
+    [{ ...base, rules: [{ verdict: "great", conditions: [] }] }, "preset_bad_verdict"],
+    [{ ...base, rules: [{ verdict: "good" }] }, "preset_no_conditions"],
+    [{ ...base, rules: [{ verdict: "good", conditions: [{ metric: "age", op: "!=", value: 1 }] }] }, "preset_bad_condition"],
+    [{ ...base, rules: [{ verdict: "good", conditions: [{ metric: "height", op: ">", value: 1 }] }] }, "preset_bad_condition"],
+    [{ ...base, rules: [{ verdict: "good", conditions: [{ metric: "age", op: ">", value: "x" }] }] }, "preset_bad_condition"],
+    [{ ...base, fallback: "maybe" }, "preset_bad_fallback"],
+  ];
+  for (const [data, code] of cases) assert.throws(() => validatePreset(data), { code }, code);
+  assert.throws(
+    () => validatePreset({ ...base, rules: [{ verdict: "good", conditions: [] }, { verdict: "bad", conditions: [{}] }] }),
+    { code: "preset_bad_condition", params: { rule: 2, condition: 1 } },
+  );
+});
+
+test("a rule with no conditions never matches", () => {
+  const preset = validatePreset({ name: "x", rules: [{ verdict: "good", conditions: [] }], fallback: "bad" });
+  assert.deepEqual(evaluateRow(row(), preset, NOW), { score: 0, verdict: "bad", rule: -1 });
+});
@@ -0,0 +1,143 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { diffSnapshot, watchSnapshot, clampInterval } from "../src/lib/watchlist.js";
+import { memoryWatchStore, fileWatchStore } from "../api/_lib/watchStore.js";
+import { addItems, removeItem, loadItems, loadChanges, runChecks, createWatchStore } from "../api/_lib/watchlist.js";
+
+test("first check only records a baseline", () => {
+  assert.deepEqual(diffSnapshot(null, watchSnapshot({ archived: true, totalSnapshots: 5 })), []);
+});
+
+test("reports archived, last capture and snapshot count changes only", () => {
+  const prev = watchSnapshot({ archived: false, lastTs: null, totalSnapshots: 0, closestUrl: null });
+  const next = watchSnapshot({ archived: true, lastTs: "20240101000000", totalSnapshots: 3, closestUrl: "https://web.archive.org/x" });
+  assert.deepEqual(diffSnapshot(prev, next), [
+    { field: "archived", from: false, to: true },
+    { field: "lastTs", from: null, to: "20240101000000" },
+    { field: "totalSnapshots", from: 0, to: 3 },
+  ]);
+  assert.deepEqual(diffSnapshot(next, { ...next, closestUrl: "https://web.archive.org/y" }), []);
+});
+
+test("clampInterval keeps intervals between 1 hour and 30 days", () => {
+  assert.equal(clampInterval("abc"), 24);
+  assert.equal(clampInterval(0.2), 1);
+  assert.equal(clampInterval(10000), 720);
+});
+
+test("the store refuses file storage on Vercel and prefers kv when configured", () => {
+  assert.throws(() => createWatchStore({ VERCEL: "1" }), { code: "watchlist_storage" });
+  assert.throws(() => createWatchStore({ VERCEL: "1", WATCHLIST_BACKEND: "file" }), { code: "watchlist_storage" });
+  assert.ok(createWatchStore({ VERCEL: "1", KV_REST_API_URL: "https://kv.test", KV_REST_API_TOKEN: "t" }));
+});
+
+// Wayback giả: số bản lưu của mỗi miền đọc từ `captures`, đổi giữa hai lượt để sinh thay đổi
+const captures = new Map();
+const realFetch = globalThis.fetch;
+before(() => {
+  globalThis.fetch = async (url) => {
+    const u = new URL(String(url));
+    const domain = (u.searchParams.get("url") || "").replace(/\/.*$/, "");
+    const n = captures.get(domain) ?? 0;
+    const lines = Array.from({ length: n }, (_, i) => `20${String(10 + i).padStart(2, "0")}0101000000`);
+    if (u.pathname.includes("wayback/available")) {
+      return Response.json({ archived_snapshots: n ? { closest: { url: `https://web.archive.org/web/${lines[0]}/${domain}`, timestamp: lines[0] } } : {} });
+    }
+    if (u.pathname.includes("/cdx/search/cdx")) {
+      if (u.searchParams.get("output") === "json") {
+        if (u.searchParams.get("limit") === "1") {
+          const ts = u.searchParams.get("sort") === "ascending" ? lines[0] : lines.at(-1);
+          return Response.json(ts ? [["timestamp"], [ts]] : []);
+        }
+        return Response.json(n ? [["timestamp"], ...lines.map(l => [l])] : []);
+      }
+      return new Response(lines.map(l => `${l} 200 D${l.slice(2, 4)} ${domain}`).join("\n"));
+    }
+    return new Response("not found", { status: 404 });
+  };
+});
+after(() => { globalThis.fetch = realFetch; });
+
+for (const [name, makeStore] of [
+  ["memory", async () => ({ store: memoryWatchStore({ maxChanges: 3 }), cleanup: async () => {} })],
+  ["file", async () => {
+    const dir = await mkdtemp(path.join(os.tmpdir(), "watch-test-"));
+    return { store: fileWatchStore({ dir, maxChanges: 3 }), cleanup: () => rm(dir, { recursive: true, force: true }) };
+  }],
+]) {
+  test(`${name} store: a check records a baseline, then changes; the feed keeps the newest entries`, async () => {
+    const { store, cleanup } = await makeStore();
+    try {
+      captures.set("a.com", 2).set("b.com", 0);
+      await addItems(["a.com", "b.com"], 24, { store });
+      const first = await runChecks({ store, budgetMs: 10000, rps: 100 });
+      assert.equal(first.checked, 2);
+      assert.deepEqual(first.changes, []);
+
+      captures.set("a.com", 4).set("b.com", 1);
+      const second = await runChecks({ store, only: ["a.com", "b.com"], budgetMs: 10000, rps: 100 });
+      assert.deepEqual(second.changes.map(c => c.domain).sort(), ["a.com", "b.com"]);
+      const a = second.changes.find(c => c.domain === "a.com");
+      assert.deepEqual(a.changes.find(c => c.field === "totalSnapshots"), { field: "totalSnapshots", from: 2, to: 4 });
+
+      // Không có miền tới hạn: không quét gì
+      assert.equal((await runChecks({ store, rps: 100 })).checked, 0);
+
+      captures.set("a.com", 5).set("b.com", 2);
+      await runChecks({ store, only: ["a.com", "b.com"], budgetMs: 10000, rps: 100 });
+      const feed = await loadChanges({ store });
+      assert.equal(feed.length, 3);
+      assert.ok(feed[0].at >= feed[2].at);
+      assert.equal(feed.filter(c => c.snapshot.totalSnapshots === 5).length, 1);
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test(`${name} store: overlapping runs and edits don't overwrite each other`, async () => {
+    const { store, cleanup } = await makeStore();
+    try {
+      captures.set("c.com", 1).set("d.com", 1);
+      await addItems(["c.com", "d.com"], 24, { store });
+
+      // Lượt thứ hai chạy chồng lên lượt đầu thì bị từ chối, không quét trùng
+      const results = await Promise.allSettled([
+        runChecks({ store, budgetMs: 10000, rps: 100 }),
+        runChecks({ store, budgetMs: 10000, rps: 100 }),
+      ]);
+      assert.equal(results.filter(r => r.status === "fulfilled").length, 1);
+      assert.equal(results.find(r => r.status === "rejected").reason.code, "check_running");
+
+      // Thêm miền, đổi chu kỳ và xóa miền trong lúc đang kiểm tra: không mất thay đổi nào
+      captures.set("c.com", 2);
+      const check = runChecks({ store, only: ["c.com", "d.com"], budgetMs: 10000, rps: 100 });
+      await Promise.all([
+        addItems(["e.com"], 12, { store }),
+        addItems(["c.com"], 6, { store }),
+        removeItem("d.com", { store }),
+      ]);
+      await check;
+
+      const items = await loadItems(store);
+      assert.deepEqual(items.map(it => it.domain).sort(), ["c.com", "e.com"]);
+      const c = items.find(it => it.domain === "c.com");
+      assert.equal(c.intervalHours, 6);
+      assert.equal(c.snapshot.totalSnapshots, 2);
+      const e = items.find(it => it.domain === "e.com");
+      assert.equal(e.intervalHours, 12);
+      assert.equal(e.lastCheckedAt, null);
+    } finally {
+      await cleanup();
+    }
+  });
+}
+
+test("watchlist size limit counts only new domains", async () => {
+  const store = memoryWatchStore({ maxChanges: 10 });
+  await addItems(["a.com", "b.com"], 24, { store, max: 2 });
+  await addItems(["a.com"], 6, { store, max: 2 });
+  await assert.rejects(addItems(["c.com"], 24, { store, max: 2 }), { code: "limit_exceeded" });
+});